@@ -0,0 +1,252 @@
+/**
+ * answerPiping.js
+ * Answer piping module
+ *
+ * This module fills in placeholders in the texts of steps and questions
+ * (titles, descriptions, option labels and zone labels) with earlier answers
+ * and details of the signed-in user:
+ *
+ *   "You said you work at {{bedrijf.label}} - how often ..."
+ *   "Welcome {{user.name}}"
+ *   "How often do you visit {{bedrijf|your company}}?"
+ *
+ * `{{questionId}}` and `{{questionId.label}}` give the answer in words (option
+ * labels, rankings, zone labels), `{{questionId.value}}` the stored value codes
+ * and `{{user.claim}}` a claim of the ID token (`user.email` falls back to the
+ * account's user name). Text after `|` is used while the answer is missing.
+ * Piped texts are plain text; escapeHtml is for texts that end up in HTML.
+ * It has no DOM dependencies.
+ */
+
+import { unwrapResponse, isAnswered } from './responseValues.js';
+import { describeAnswer } from './surveyReceipt.js';
+
+// Constants for the placeholder syntax: {{source.part|fallback}}
+const PIPING = {
+  pattern: /\{\{\s*([\w-]+)(?:\.([\w-]+))?\s*(?:\|([^}]*))?\}\}/g,
+  separator: ', ',
+  // {{option}} belongs to checkbox follow-up questions (docs/CHECKBOX_FOLLOW_UP_QUESTIONS.md) and is left alone
+  reservedSources: ['option']
+};
+
+// Source of placeholders with details of the signed-in user, e.g. {{user.name}}
+export const PIPING_USER_SOURCE = 'user';
+
+// Parts of an answer that can be piped
+export const PIPING_PARTS = {
+  label: 'label',
+  value: 'value'
+};
+
+// ID token claims tried in order for user placeholders, by placeholder name
+const USER_CLAIMS = {
+  email: ['email', 'preferred_username'],
+  username: ['preferred_username']
+};
+
+/**
+ * Get the placeholders in a text
+ * @param {string} text - The text
+ * @returns {Array} - Array of { source, part, fallback } (part and fallback may be undefined)
+ */
+export function getPlaceholders(text) {
+  if (typeof text !== 'string' || !text.includes('{{')) {
+    return [];
+  }
+  return Array.from(text.matchAll(PIPING.pattern), ([, source, part, fallback]) => ({ source, part, fallback }))
+    .filter(placeholder => !PIPING.reservedSources.includes(placeholder.source));
+}
+
+/**
+ * Get the IDs of the questions whose answers are piped into a text
+ * @param {string} text - The text
+ * @returns {string[]} - The question IDs
+ */
+export function getPipedQuestionIds(text) {
+  return getPlaceholders(text)
+    .map(placeholder => placeholder.source)
+    .filter(source => source !== PIPING_USER_SOURCE);
+}
+
+/**
+ * Map a list of labelled items, such as options or zones
+ * @param {Array} items - The items
+ * @param {Function} transform - Called with each label, returns the new label
+ * @returns {Array} - Copies of the items with the new labels
+ */
+function mapLabels(items, transform) {
+  return Array.isArray(items)
+    ? items.map(item => (item && typeof item.label === 'string' ? { ...item, label: transform(item.label) } : item))
+    : items;
+}
+
+/**
+ * Map the texts of a question that can hold placeholders: title, description, and the labels
+ * of options, ranked options, matrix rows and columns, slider options and zones and radar options
+ * @param {Object} question - The question object
+ * @param {Function} transform - Called with each text, returns the new text
+ * @returns {Object} - A copy of the question with the new texts
+ */
+export function mapQuestionTexts(question, transform) {
+  const mapped = { ...question };
+  ['title', 'description'].forEach(key => {
+    if (typeof question[key] === 'string') {
+      mapped[key] = transform(question[key]);
+    }
+  });
+  if (question.options) {
+    mapped.options = mapLabels(question.options, transform);
+  }
+  if (question.rankOptions) {
+    mapped.rankOptions = { ...question.rankOptions, options: mapLabels(question.rankOptions.options, transform) };
+  }
+  if (question.matrix) {
+    mapped.matrix = {
+      ...question.matrix,
+      rows: mapLabels(question.matrix.rows, transform),
+      columns: mapLabels(question.matrix.columns, transform)
+    };
+  }
+  if (question.multiValueSlider) {
+    mapped.multiValueSlider = {
+      ...question.multiValueSlider,
+      options: mapLabels(question.multiValueSlider.options, transform),
+      zones: mapLabels(question.multiValueSlider.zones, transform)
+    };
+  }
+  if (question.radar) {
+    mapped.radar = { ...question.radar, options: mapLabels(question.radar.options, transform) };
+  }
+  return mapped;
+}
+
+/**
+ * Get the placeholders in all texts of a question
+ * @param {Object} question - The question object
+ * @returns {Array} - Array of { source, part, fallback }
+ */
+export function getQuestionPlaceholders(question) {
+  const placeholders = [];
+  mapQuestionTexts(question, text => {
+    placeholders.push(...getPlaceholders(text));
+    return text;
+  });
+  return placeholders;
+}
+
+/**
+ * Get the IDs of the questions whose answers are piped into a question's texts
+ * @param {Object} question - The question object
+ * @returns {string[]} - The question IDs, without duplicates
+ */
+export function getQuestionPipingSources(question) {
+  return Array.from(new Set(getQuestionPlaceholders(question)
+    .map(placeholder => placeholder.source)
+    .filter(source => source !== PIPING_USER_SOURCE)));
+}
+
+/**
+ * Find a question of a survey definition by its ID
+ * @param {Object} definition - The survey definition
+ * @param {string} questionId - The question ID
+ * @returns {Object|null} - The question object, or null when it does not exist
+ */
+function findQuestion(definition, questionId) {
+  for (const step of (definition && definition.steps) || []) {
+    const question = (step.questions || []).find(candidate => candidate.id === questionId);
+    if (question) {
+      return question;
+    }
+  }
+  return null;
+}
+
+/**
+ * Write out the stored value codes of an answer
+ * @param {any} value - The answer value
+ * @returns {string} - The value codes
+ */
+function describeValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(describeValue).join(PIPING.separator);
+  }
+  if (value && typeof value === 'object') {
+    return value.isOther ? value.otherValue || '' : JSON.stringify(value);
+  }
+  return String(value);
+}
+
+/**
+ * Get the text of a placeholder
+ * @param {Object} placeholder - The placeholder ({ source, part })
+ * @param {Object} context - { definition, responses, user } with the ID token claims as user
+ * @returns {string} - The text, empty when the answer or claim is missing
+ */
+function resolvePlaceholder(placeholder, context) {
+  if (placeholder.source === PIPING_USER_SOURCE) {
+    const claims = context.user || {};
+    const claimNames = USER_CLAIMS[placeholder.part] || [placeholder.part];
+    const claimName = claimNames.find(name => typeof claims[name] === 'string' && claims[name] !== '');
+    return claimName ? claims[claimName] : '';
+  }
+
+  const question = findQuestion(context.definition, placeholder.source);
+  const response = (context.responses || {})[placeholder.source];
+  // The answer to a hidden question is stale and is not piped
+  if (!question || !response || response.stale) {
+    return '';
+  }
+  const { value } = unwrapResponse(question, response);
+  if (!isAnswered(value)) {
+    return '';
+  }
+  if (placeholder.part === PIPING_PARTS.value) {
+    return describeValue(value);
+  }
+  return describeAnswer(question, value).filter(line => line !== '').join(PIPING.separator);
+}
+
+/**
+ * Fill in the placeholders of a text
+ * @param {string} text - The text
+ * @param {Object} context - { definition, responses, user } with the ID token claims as user
+ * @returns {string} - The text with the placeholders replaced (plain text, not HTML)
+ */
+export function pipeText(text, context) {
+  if (typeof text !== 'string' || !text.includes('{{')) {
+    return text;
+  }
+  return text.replace(PIPING.pattern, (match, source, part, fallback) => {
+    if (PIPING.reservedSources.includes(source)) {
+      return match;
+    }
+    const piped = resolvePlaceholder({ source, part }, context);
+    return piped !== '' ? piped : (fallback || '').trim();
+  });
+}
+
+/**
+ * Fill in the placeholders of all texts of a question
+ * @param {Object} question - The question object
+ * @param {Object} context - { definition, responses, user } with the ID token claims as user
+ * @returns {Object} - A copy of the question with piped texts
+ */
+export function pipeQuestion(question, context) {
+  return getQuestionPlaceholders(question).length > 0
+    ? mapQuestionTexts(question, text => pipeText(text, context))
+    : question;
+}
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text - The text
+ * @returns {string} - The escaped text
+ */
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
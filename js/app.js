@@ -11,6 +11,12 @@ import * as auth from './auth.js';
 import * as ui from './ui.js';
 import * as dataService from './dataService.js';
 import * as surveyWizard from './surveyWizard.js';
+import * as surveyData from './surveyData.js';
+import * as surveyCatalog from './surveyCatalog.js';
+import { migrateSubmission } from './responseMigration.js';
+import * as submissionQueue from './submissionQueue.js';
+import * as resultsDashboard from './resultsDashboard.js';
+import * as resultsTextExplorer from './resultsTextExplorer.js';
 
 // Constants for application state
 const APP_STATE = {
@@ -18,6 +24,17 @@ const APP_STATE = {
   authenticated: false
 };
 
+// Constants for the survey catalog
+const CATALOG_ELEMENTS = {
+  surveyList: 'survey-list',
+  titles: '.section-header h2'
+};
+
+// The survey id of a deep link that is not in the catalog
+const CATALOG_STATE = {
+  notFound: null
+};
+
 // Constants for event timing
 const TIMING = {
   retryInterval: 1000, // ms between retries for MSAL loading
@@ -45,6 +62,13 @@ async function initializeApp() {
   // Initialize the survey wizard
   initializeSurveyWizard();
 
+  // Resume delivery of submissions that were queued while offline
+  submissionQueue.startQueue();
+
+  // Set up the aggregated results view in the admin section
+  resultsDashboard.initResultsDashboard();
+  resultsTextExplorer.initTextExplorer();
+
   // Check for authentication event
   // Add MSAL login success listener, broadcast from auth.js
   window.addEventListener('msalLoginSuccess', async (event) => {
@@ -110,6 +134,7 @@ async function checkExistingAuth() {
     // No account found, show unauthenticated state
     APP_STATE.authenticated = false;
     ui.showUnauthenticatedState();
+    renderSurveyList(null);
   }
 }
 
@@ -119,8 +144,9 @@ async function checkExistingAuth() {
 /**
  * Show or hide admin section based on user claims
  * @param {Object} idTokenClaims - The user's ID token claims
+ * @returns {Promise<void>}
  */
-function updateAdminAccess(idTokenClaims) {
+async function updateAdminAccess(idTokenClaims) {
   // Constants for admin roles checking
   const ADMIN_ROLES = {
     admin: 'admin',
@@ -141,9 +167,16 @@ function updateAdminAccess(idTokenClaims) {
       );
     }
 
-    // For demo purposes, we'll show admin section to all authenticated users
-    // In production, you would strictly enforce role-based access
-    showAdminSection = true;
+    // Admins can also be appointed in the authorizer's admin list, which the
+    // token does not reflect; ask the API whether admin requests are accepted
+    if (!showAdminSection) {
+      showAdminSection = await dataService.hasAdminAccess();
+    }
+  }
+
+  // The user may have signed out while the admin check was running
+  if (idTokenClaims && !APP_STATE.authenticated) {
+    return;
   }
 
   // Update UI to show/hide admin section
@@ -165,7 +198,17 @@ async function updateUserState() {
       ui.showAuthenticatedUser(userDetails, idTokenClaims);
 
       // Update admin section visibility based on user claims
+      // Not awaited: the admin check may need a round trip to the API
       updateAdminAccess(idTokenClaims);
+
+      // List the surveys in the catalog that are meant for this user
+      renderSurveyList(idTokenClaims);
+
+      // Saved survey progress is kept per user, so load this user's progress
+      surveyWizard.reloadProgressForCurrentUser();
+
+      // Now that a token is available, send this user's submissions still waiting in the queue
+      submissionQueue.processQueue(true);
     } else {
       APP_STATE.authenticated = false;
       ui.showUnauthenticatedState();
@@ -206,6 +249,11 @@ function handleSignOut() {
     auth.signOut();
     APP_STATE.authenticated = false;
     ui.showUnauthenticatedState();
+    ui.toggleAdminSection(false);
+    renderSurveyList(null);
+
+    // Drop the signed-out user's responses from memory
+    surveyWizard.reloadProgressForCurrentUser();
   } catch (error) {
     console.error("Sign out error:", error);
     ui.showError("Failed to sign out");
@@ -334,8 +382,11 @@ async function handleViewDeltaFile(filePath) {
     // Extract file name for display
     const fileName = filePath.split('/').pop() || filePath;
 
-    // Fetch the delta file content
-    const fileData = await dataService.getDeltaFileData(filePath);
+    // Fetch the delta file content and bring it in line with the loaded definition version
+    const fileData = migrateSubmission(
+      await dataService.getDeltaFileData(filePath),
+      surveyData.getSurveyDefinition()
+    );
 
     // Display the file content in the UI
     ui.displayDeltaFileContent(fileData, fileName);
@@ -345,13 +396,36 @@ async function handleViewDeltaFile(filePath) {
   }
 }
 
+/**
+ * Select the survey to show from the catalog and point the results at its folder
+ * @returns {Promise<Object|null>} - The catalog entry, or null when the catalog cannot be loaded
+ */
+async function resolveSurveyFromCatalog() {
+  try {
+    const catalog = await surveyCatalog.loadCatalog();
+    const { entry, notFound } = surveyCatalog.selectSurvey(catalog, surveyCatalog.getRequestedSurveyId());
+    CATALOG_STATE.notFound = notFound;
+    dataService.setResultsLocation(entry);
+    console.log(`Survey "${entry.id}" selected from the catalog`);
+    return entry;
+  } catch (error) {
+    console.warn('Survey catalog not available, showing the default survey:', error.message);
+    return null;
+  }
+}
+
 /**
  * Initialize the survey wizard
  */
 async function initializeSurveyWizard() {
   try {
-    // Initialize the survey wizard
-    const initialized = await surveyWizard.initSurveyWizard();
+    const entry = await resolveSurveyFromCatalog();
+
+    // Initialize the survey wizard; the open window of the catalog entry applies
+    // unless the definition sets its own
+    const initialized = entry
+      ? await surveyWizard.initSurveyWizard(entry.path, getCatalogDefaults(entry))
+      : await surveyWizard.initSurveyWizard();
     
     if (!initialized) {
       console.error('Failed to initialize survey wizard');
@@ -359,6 +433,18 @@ async function initializeSurveyWizard() {
     }
     
     console.log('Survey wizard initialized successfully');
+
+    const definition = surveyData.getSurveyDefinition();
+    if (entry && definition) {
+      if (definition.id !== entry.id) {
+        console.warn(`Catalog entry "${entry.id}" loads survey definition "${definition.id}"`);
+      }
+      document.querySelectorAll(CATALOG_ELEMENTS.titles).forEach(title => {
+        if (title.closest('.button-container, #survey-section')) {
+          title.textContent = definition.title || entry.title;
+        }
+      });
+    }
     
     // Expose setupSurveyButton to global scope for UI.js to use
     window.setupSurveyButton = setupSurveyButton;
@@ -371,6 +457,90 @@ async function initializeSurveyWizard() {
   }
 }
 
+/**
+ * Get the settings of a catalog entry that the survey definition may override
+ * @param {Object} entry - The catalog entry
+ * @returns {Object} - The open window of the entry
+ */
+function getCatalogDefaults(entry) {
+  const defaults = {};
+  ['opensAt', 'closesAt'].forEach(key => {
+    if (entry[key]) {
+      defaults[key] = entry[key];
+    }
+  });
+  return defaults;
+}
+
+/**
+ * List the surveys in the catalog that are meant for the user, as deep links
+ * @param {Object|null} idTokenClaims - The user's ID token claims
+ * @returns {Promise<void>}
+ */
+async function renderSurveyList(idTokenClaims) {
+  const listElement = document.getElementById(CATALOG_ELEMENTS.surveyList);
+  if (!listElement) {
+    return;
+  }
+  listElement.innerHTML = '';
+
+  let surveys = [];
+  try {
+    surveys = surveyCatalog.getSurveysForUser(await surveyCatalog.loadCatalog(), idTokenClaims);
+  } catch (error) {
+    console.warn('Survey catalog not available, no survey list shown:', error.message);
+  }
+
+  if (CATALOG_STATE.notFound) {
+    const notice = document.createElement('p');
+    notice.className = 'survey-list-notice';
+    notice.textContent = `Survey "${CATALOG_STATE.notFound}" was not found, the default survey is shown instead.`;
+    listElement.appendChild(notice);
+  }
+
+  // A list with only the current survey adds nothing
+  if (surveys.length < 2) {
+    listElement.style.display = CATALOG_STATE.notFound ? 'block' : 'none';
+    return;
+  }
+
+  const heading = document.createElement('h4');
+  heading.textContent = 'Available surveys';
+  listElement.appendChild(heading);
+
+  const list = document.createElement('ul');
+  surveys.forEach(entry => {
+    const item = document.createElement('li');
+    const link = document.createElement('a');
+    link.href = surveyCatalog.getSurveyLink(entry.id);
+    link.textContent = entry.title || entry.id;
+    item.appendChild(link);
+    const openWindow = formatSurveyWindow(entry);
+    if (openWindow) {
+      item.appendChild(document.createTextNode(` (${openWindow})`));
+    }
+    list.appendChild(item);
+  });
+  listElement.appendChild(list);
+  listElement.style.display = 'block';
+}
+
+/**
+ * Describe the open window of a catalog entry
+ * @param {Object} entry - The catalog entry
+ * @returns {string} - Text such as "open until 12 March 2026", or an empty string
+ */
+function formatSurveyWindow(entry) {
+  const format = value => new Date(value).toLocaleDateString(undefined, { day: 'numeric', month: 'long', year: 'numeric' });
+  if (entry.opensAt && entry.closesAt) {
+    return `open from ${format(entry.opensAt)} until ${format(entry.closesAt)}`;
+  }
+  if (entry.opensAt) {
+    return `open from ${format(entry.opensAt)}`;
+  }
+  return entry.closesAt ? `open until ${format(entry.closesAt)}` : '';
+}
+
 /**
  * Set up the survey button and its click handler
  */
@@ -16,17 +16,23 @@ import { msalConfig, loginRequest } from './authConfig.js';
 // MSAL instance for authentication
 let msalInstance = null;
 
-// In-memory storage for user details and tokens
+// Refresh the ID token when it expires within this many seconds
+const TOKEN_REFRESH_MARGIN_SECONDS = 300;
+
+// Token acquisitions in progress by their options, shared between concurrent API calls
+// with the same options so they open at most one popup
+const tokenRequestsInFlight = new Map();
+
+// In-memory storage for user details and tokens.
+// Tokens are never written to local storage; MSAL restores them after a reload.
 let userSessionData = {
     userDetails: null,
     idToken: null,
     accessToken: null
 };
 
-const saveUserSessionData = () => {
- // TODO this is an ugly and insecure workaround to make token available in survey results 
-        localStorage.setItem("USER_SESSION_DATA", JSON.stringify(userSessionData));
-}
+// Local storage key under which earlier versions kept the session data, including the ID token
+const LEGACY_SESSION_STORAGE_KEY = "USER_SESSION_DATA";
 /**
  * Initialize Microsoft Authentication Library
  */
@@ -37,6 +43,9 @@ export function initializeAuth() {
         return false;
     }
 
+    // Remove the ID token that earlier versions left in local storage
+    localStorage.removeItem(LEGACY_SESSION_STORAGE_KEY);
+
     // Using msalConfig imported from authConfig.js
 
     // Create new authentication instance
@@ -51,7 +60,6 @@ export function initializeAuth() {
 
             userSessionData.idToken = message.payload.idToken;
             userSessionData.idTokenClaims = message.payload.idTokenClaims;
-            saveUserSessionData
             const event = new CustomEvent('msalLoginSuccess', { detail: message });
             window.dispatchEvent(event);
             // Update UI if needed
@@ -107,7 +115,6 @@ export function signOut() {
     userSessionData.userDetails = null;
     userSessionData.idToken = null;
     userSessionData.accessToken = null;
-    saveUserSessionData()
     // Find all accounts and remove them
     const currentAccounts = msalInstance.getAllAccounts();
     if (currentAccounts.length > 0) {
@@ -168,7 +175,6 @@ export async function getUserDetails() {
         // Store tokens in memory
         userSessionData.idToken = tokenResponse.idToken;
         userSessionData.accessToken = tokenResponse.accessToken;
-        saveUserSessionData()
 
         // Call Microsoft Graph API to get user details
         const response = await fetch("https://graph.microsoft.com/v1.0/me", {
@@ -180,7 +186,6 @@ export async function getUserDetails() {
         if (response.ok) {
             // Store user details in memory
             userSessionData.userDetails = await response.json();
-            saveUserSessionData()
             return userSessionData.userDetails;
         } else {
             console.error("Error fetching user data:", await response.text());
@@ -197,13 +202,127 @@ export async function getUserDetails() {
  * @returns {string|null} The ID token or null if not available
  */
 export function getIdToken() {
-    if (!userSessionData.idToken) {
-        // TODO this is an ugly and insecure workaround to make token available in survey results
-        userSessionData = JSON.parse(localStorage.getItem("USER_SESSION_DATA"));
-    }
     return userSessionData.idToken;
 }
 
+/**
+ * Check whether an ID token is expired or about to expire
+ * @param {Object|null} idTokenClaims - The parsed ID token claims
+ * @returns {boolean} True if the token should be refreshed
+ */
+function isTokenExpiring(idTokenClaims) {
+    if (!idTokenClaims || !idTokenClaims.exp) {
+        return true;
+    }
+    return idTokenClaims.exp - TOKEN_REFRESH_MARGIN_SECONDS <= Date.now() / 1000;
+}
+
+/**
+ * Store the tokens of an MSAL token response in the session data
+ * @param {Object} tokenResponse - The MSAL authentication result
+ */
+function storeTokens(tokenResponse) {
+    userSessionData.idToken = tokenResponse.idToken;
+    userSessionData.idTokenClaims = tokenResponse.idTokenClaims;
+    if (tokenResponse.accessToken) {
+        userSessionData.accessToken = tokenResponse.accessToken;
+    }
+}
+
+/**
+ * Build the key under which a token acquisition with the given options is shared
+ * @param {boolean} forceRefresh - Whether the token cache is bypassed
+ * @param {boolean} interactive - Whether a popup may be shown
+ * @returns {string} The key
+ */
+function getTokenRequestKey(forceRefresh, interactive) {
+    return `${forceRefresh ? 'refresh' : 'cached'}:${interactive ? 'interactive' : 'silent'}`;
+}
+
+/**
+ * Acquire an ID token silently, or wait for a silent acquisition with the same
+ * options that is already running (e.g. a background queue flush or draft autosave)
+ * @param {Object} account - The MSAL account
+ * @param {boolean} forceRefresh - Bypass the token cache
+ * @returns {Promise<string|null>} The ID token or null if it could not be acquired silently
+ */
+async function acquireIdTokenSilently(account, forceRefresh) {
+    const silentRequest = tokenRequestsInFlight.get(getTokenRequestKey(forceRefresh, false));
+    if (silentRequest) {
+        return silentRequest;
+    }
+
+    try {
+        const tokenResponse = await msalInstance.acquireTokenSilent({
+            scopes: loginRequest.scopes,
+            account: account,
+            forceRefresh: forceRefresh || isTokenExpiring(getIdTokenClaims())
+        });
+        storeTokens(tokenResponse);
+        return tokenResponse.idToken;
+    } catch (error) {
+        console.warn("Silent token acquisition failed:", error);
+        return null;
+    }
+}
+
+/**
+ * Acquire a valid ID token for API calls.
+ * Uses MSAL acquireTokenSilent, bypassing the cache when the cached ID token is
+ * (about to be) expired or when forceRefresh is set, and falls back to a popup when
+ * silent acquisition fails. The popup keeps the current page, so the participant's
+ * in-progress answers are preserved. Concurrent calls only share a request when
+ * they have the same options; an interactive call that finds a silent request
+ * running waits for it and shows the popup when it fails.
+ * @param {Object} [options] - Acquisition options
+ * @param {boolean} [options.forceRefresh=false] - Bypass the token cache, e.g. after a 401
+ * @param {boolean} [options.interactive=true] - Whether a popup may be shown
+ * @returns {Promise<string|null>} The ID token or null if none could be acquired
+ */
+export async function acquireIdToken({ forceRefresh = false, interactive = true } = {}) {
+    if (!msalInstance) {
+        console.error("MSAL instance not initialized");
+        return null;
+    }
+
+    const requestKey = getTokenRequestKey(forceRefresh, interactive);
+    if (tokenRequestsInFlight.has(requestKey)) {
+        return tokenRequestsInFlight.get(requestKey);
+    }
+
+    const account = getAccount();
+    if (!account) {
+        console.warn("No active account found");
+        return null;
+    }
+
+    const tokenRequest = (async () => {
+        const idToken = await acquireIdTokenSilently(account, forceRefresh);
+        if (idToken || !interactive) {
+            return idToken;
+        }
+
+        try {
+            const tokenResponse = await msalInstance.acquireTokenPopup({
+                ...loginRequest,
+                account: account
+            });
+            storeTokens(tokenResponse);
+            return tokenResponse.idToken;
+        } catch (error) {
+            console.error("Interactive token acquisition failed:", error);
+            return null;
+        }
+    })();
+
+    tokenRequestsInFlight.set(requestKey, tokenRequest);
+    try {
+        return await tokenRequest;
+    } finally {
+        tokenRequestsInFlight.delete(requestKey);
+    }
+}
+
 /**
  * Get the parsed ID token claims
  * @returns {Object|null} The parsed ID token claims or null if not available
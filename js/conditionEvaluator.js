@@ -2,11 +2,15 @@
  * conditionEvaluator.js
  * Question condition evaluation module
  * 
- * This module handles the evaluation of conditions for conditional survey questions.
- * It supports various condition types and logical combinations of conditions.
+ * This module handles the evaluation of conditions for conditional survey questions,
+ * and for steps and step branches (see surveyPath.js).
+ * It supports various condition types and logical combinations of conditions:
+ * groups with `and`/`or` can be nested, `{ "not": ... }` negates a rule or group,
+ * and a rule with `"negate": true` is met when its check is not.
  */
 
 import * as surveyData from './surveyData.js';
+import { unwrapResponse, htmlToText } from './responseValues.js';
 
 // Constants for condition types
 const CONDITION_TYPES = {
@@ -17,7 +21,15 @@ const CONDITION_TYPES = {
   GREATER_THAN: 'greaterThan',
   LESS_THAN: 'lessThan',
   TOP_RANKED: 'topRanked',
-  OPTION_CHECKED: 'optionChecked' // New condition type for checkbox options
+  OPTION_CHECKED: 'optionChecked', // New condition type for checkbox options
+  COUNT: 'count',
+  BETWEEN: 'between',
+  MATCHES: 'matches',
+  RANKED_IN_TOP: 'rankedInTop',
+  LIKERT_RATING: 'likertRating',
+  MATRIX_CELL: 'matrixCell',
+  RADAR_RING: 'radarRing',
+  TAG_SELECTED: 'tagSelected'
 };
 
 // Constants for logical operators
@@ -26,6 +38,92 @@ const OPERATORS = {
   OR: 'or'
 };
 
+/**
+ * Find a question of the survey by its ID
+ * @param {string} questionId - The question ID
+ * @returns {Object|null} - The question object, or null when it does not exist
+ */
+function findQuestion(questionId) {
+  for (const step of surveyData.getAllSteps() || []) {
+    const question = (step.questions || []).find(candidate => candidate.id === questionId);
+    if (question) {
+      return question;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check whether a number lies within the min and/or max of a condition (inclusive)
+ * @param {number} number - The number to check
+ * @param {Object} condition - The condition with min and/or max
+ * @returns {boolean} - Whether the number is within the bounds
+ */
+function isWithinBounds(number, condition) {
+  return !isNaN(number) &&
+    (condition.min === undefined || number >= condition.min) &&
+    (condition.max === undefined || number <= condition.max);
+}
+
+/**
+ * Count the selections in an answer: checked options, tags, matrix cells, rated likert items,
+ * ranked options or placed slider and radar options
+ * @param {any} answer - The answer value
+ * @returns {number} - The number of selections
+ */
+function countSelections(answer) {
+  if (Array.isArray(answer)) {
+    return answer.length;
+  }
+  if (answer && typeof answer === 'object') {
+    return answer.isOther ? 1 : Object.values(answer)
+      .filter(entry => entry !== undefined && entry !== null && entry !== false && entry !== '').length;
+  }
+  return answer === undefined || answer === null || answer === '' ? 0 : 1;
+}
+
+/**
+ * Get the text of an answer for a regular expression: the text of a long text answer
+ * without its markup, or the text of an 'other' answer
+ * @param {Object|null} question - The question object
+ * @param {any} answer - The answer value
+ * @returns {string|null} - The text, or null when the answer holds no text
+ */
+function getAnswerText(question, answer) {
+  if (answer && typeof answer === 'object' && answer.isOther) {
+    return answer.otherValue || '';
+  }
+  if (typeof answer === 'string') {
+    return question && question.type === 'longText' ? htmlToText(answer) : answer;
+  }
+  return typeof answer === 'number' ? String(answer) : null;
+}
+
+/**
+ * Check whether an option is ranked in the top K of a rankOptions answer
+ * @param {Array} answer - Ranked options as { id, rank }
+ * @param {string} optionId - The option ID
+ * @param {number} topK - The number of top positions
+ * @returns {boolean} - Whether the option is ranked at position topK or better
+ */
+function isRankedInTop(answer, optionId, topK) {
+  const entry = answer.find(candidate => candidate && candidate.id === optionId);
+  return Boolean(entry) && entry.rank <= topK;
+}
+
+/**
+ * Check whether one of the expected values is in a list
+ * @param {string|string[]} expected - The expected value or values
+ * @param {Array} actual - The values to look in
+ * @param {Function} [normalize] - Normalization applied to both sides before comparing
+ * @returns {boolean} - Whether any expected value is in the list
+ */
+function includesAny(expected, actual, normalize = value => value) {
+  const normalizedActual = actual.map(normalize);
+  return (Array.isArray(expected) ? expected : [expected])
+    .some(value => normalizedActual.includes(normalize(value)));
+}
+
 /**
  * Evaluate if a condition is met
  * @param {Object} condition - The condition object to evaluate
@@ -37,16 +135,20 @@ function evaluateCondition(condition) {
     return false;
   }
 
-  // Get the response for the referenced question
-  const response = surveyData.getResponse(condition.questionId);
+  // Get the response for the referenced question; the answer to a hidden question is stale and does not count
+  const storedResponse = surveyData.getResponse(condition.questionId);
+  const response = storedResponse && !storedResponse.stale ? storedResponse : null;
   
-  // If there's no response and we're not checking "answered", condition is not met
-  if (!response && condition.type !== CONDITION_TYPES.ANSWERED) {
+  // If there's no response and we're not checking "answered" or a count, condition is not met
+  if (!response && condition.type !== CONDITION_TYPES.ANSWERED && condition.type !== CONDITION_TYPES.COUNT) {
     return false;
   }
 
   // Get the value from the response
   const responseValue = response ? response.value : null;
+  // The answer as the renderer saved it, e.g. without the comment wrapper of a multiValueSlider
+  const question = findQuestion(condition.questionId);
+  const answer = question ? unwrapResponse(question, response).value : responseValue;
 
   // Evaluate based on condition type
   switch (condition.type) {
@@ -100,16 +202,20 @@ function evaluateCondition(condition) {
       return !isNaN(numVal) && numVal < condition.threshold;
       
     case CONDITION_TYPES.TOP_RANKED:
-      // Check if an option is the top ranked in a multiValueSlider
-      if (!condition.optionId || !responseValue.value) {
+      // Check if an option is the top ranked in a multiValueSlider or a rankOptions question
+      if (!condition.optionId || !answer || typeof answer !== 'object') {
         return false;
       }
-      
+
+      // For rankOptions, the option ranked first
+      if (Array.isArray(answer)) {
+        return isRankedInTop(answer, condition.optionId, 1);
+      }
+
       // For multiValueSlider, find the highest positioned option
-      if (typeof responseValue.value === 'object' && Object.keys(responseValue.value).length > 0) {
+      if (Object.keys(answer).length > 0) {
         // Find the option with the highest value (rightmost position)
-        const positions = Object.entries(responseValue.value);
-        if (positions.length === 0) return false;
+        const positions = Object.entries(answer);
         
         // Sort by position value in descending order
         positions.sort((a, b) => b[1] - a[1]);
@@ -142,6 +248,60 @@ function evaluateCondition(condition) {
       }
       return false;
       
+    case CONDITION_TYPES.COUNT:
+      // Check the number of checked options, tags, matrix cells, rated items or placed options
+      return isWithinBounds(countSelections(answer), condition);
+
+    case CONDITION_TYPES.BETWEEN:
+      // Check if a numeric answer lies between min and max (inclusive)
+      if (condition.min === undefined || condition.max === undefined) {
+        console.error('Missing min or max for between condition', condition);
+        return false;
+      }
+      return isWithinBounds(parseFloat(answer), condition);
+
+    case CONDITION_TYPES.MATCHES: {
+      // Check if a text answer matches a regular expression
+      const text = getAnswerText(question, answer);
+      if (text === null) {
+        return false;
+      }
+      try {
+        return new RegExp(condition.pattern, condition.flags || '').test(text);
+      } catch (error) {
+        console.error('Invalid pattern for matches condition', condition, error);
+        return false;
+      }
+    }
+
+    case CONDITION_TYPES.RANKED_IN_TOP:
+      // Check if an option is ranked in the top K (rank) of a rankOptions question
+      return Array.isArray(answer) && isRankedInTop(answer, condition.optionId, condition.rank || 1);
+
+    case CONDITION_TYPES.LIKERT_RATING:
+      // Check if a likert item is rated within min and/or max
+      return Boolean(answer) && typeof answer === 'object' &&
+        answer[condition.optionId] !== undefined &&
+        isWithinBounds(parseFloat(answer[condition.optionId]), condition);
+
+    case CONDITION_TYPES.MATRIX_CELL: {
+      // Check if a matrix2d cell ("rowId:columnId") is selected; without columnId any cell of the row
+      const cells = (Array.isArray(answer) ? answer : [answer]).map(cellId => String(cellId).split(':'));
+      return cells.some(([rowId, columnId]) =>
+        rowId === condition.rowId && (condition.columnId === undefined || columnId === condition.columnId));
+    }
+
+    case CONDITION_TYPES.RADAR_RING: {
+      // Check if a radar option is placed in one of the given rings
+      const placement = answer && typeof answer === 'object' ? answer[condition.optionId] : null;
+      return Boolean(placement) && includesAny(condition.value, [placement.ring]);
+    }
+
+    case CONDITION_TYPES.TAG_SELECTED:
+      // Check if one of the given tags is selected (case-insensitive)
+      return Array.isArray(answer) &&
+        includesAny(condition.value, answer, tag => String(tag).trim().toLowerCase());
+
     default:
       console.error('Unknown condition type:', condition.type);
       return false;
@@ -149,32 +309,82 @@ function evaluateCondition(condition) {
 }
 
 /**
- * Evaluate if conditions for a question are met
- * @param {Object} question - The question object with conditions
- * @returns {boolean} - Whether all conditions are met
+ * Check whether a condition node is a single rule rather than a group or a not
+ * @param {Object} node - The condition node
+ * @returns {boolean} - Whether the node is a rule
  */
-export function shouldShowQuestion(question) {
-  // If there are no conditions, always show the question
-  if (!question.conditions || !question.conditions.rules || question.conditions.rules.length === 0) {
-    return true;
+function isRule(node) {
+  return node.not === undefined && node.rules === undefined &&
+    (node.questionId !== undefined || node.type !== undefined);
+}
+
+/**
+ * Evaluate a condition node: a rule (optionally with `negate`), a group
+ * ({ operator, rules }) whose rules are nodes themselves, or { not: node }
+ * @param {Object} node - The condition node
+ * @returns {boolean} - Whether the node is met
+ */
+function evaluateNode(node) {
+  if (!node || typeof node !== 'object') {
+    console.error('Invalid condition node', node);
+    return false;
   }
 
-  const operator = question.conditions.operator || OPERATORS.AND;
-  const rules = question.conditions.rules;
+  if (node.not !== undefined) {
+    return !evaluateNode(node.not);
+  }
+
+  if (isRule(node)) {
+    const result = evaluateCondition(node);
+    return node.negate === true ? !result : result;
+  }
 
-  // Evaluate each rule
-  const results = rules.map(rule => evaluateCondition(rule));
+  // An empty group is always met
+  if (!Array.isArray(node.rules) || node.rules.length === 0) {
+    return true;
+  }
 
-  // Combine results based on operator
+  const operator = node.operator || OPERATORS.AND;
   if (operator === OPERATORS.AND) {
-    // All conditions must be true
-    return results.every(result => result === true);
+    // All rules must be met
+    return node.rules.every(rule => evaluateNode(rule));
   } else if (operator === OPERATORS.OR) {
-    // At least one condition must be true
-    return results.some(result => result === true);
+    // At least one rule must be met
+    return node.rules.some(rule => evaluateNode(rule));
   }
 
   // Default to true if something is wrong with the operator
   console.error('Unknown operator:', operator);
   return true;
 }
+
+/**
+ * Evaluate a set of conditions, e.g.
+ * { operator: 'and', rules: [{ operator: 'or', rules: [...] }, { not: { questionId, type, value } }] }
+ * @param {Object} conditions - The conditions object
+ * @returns {boolean} - Whether the conditions are met; empty conditions are always met
+ */
+export function evaluateConditions(conditions) {
+  if (!conditions) {
+    return true;
+  }
+  return evaluateNode(conditions);
+}
+
+/**
+ * Evaluate if conditions for a question are met
+ * @param {Object} question - The question object with conditions
+ * @returns {boolean} - Whether all conditions are met
+ */
+export function shouldShowQuestion(question) {
+  return evaluateConditions(question.conditions);
+}
+
+/**
+ * Evaluate if conditions for a step are met; a step whose conditions are not met is skipped
+ * @param {Object} step - The step object with conditions
+ * @returns {boolean} - Whether the step is part of the participant's path
+ */
+export function shouldShowStep(step) {
+  return evaluateConditions(step.conditions);
+}
@@ -0,0 +1,145 @@
+/**
+ * conditionGraph.js
+ * Condition dependency graph module
+ *
+ * This module builds the graph of which questions and steps depend on the
+ * answer to a question through their conditions (and, for steps, their
+ * branches), across the whole survey, and into which texts the answer is
+ * piped (see answerPiping.js). The graph is built once when a survey is
+ * loaded; it tells which questions to re-evaluate or re-render when an answer
+ * changes and lets the validator reject conditions that depend on each other
+ * in a cycle. It has no DOM dependencies.
+ */
+
+import { getPipedQuestionIds, getQuestionPipingSources } from './answerPiping.js';
+
+/**
+ * Get the IDs of all questions a set of conditions refers to, including nested groups
+ * @param {Object} conditions - The conditions object
+ * @returns {string[]} - The question IDs, without duplicates
+ */
+export function getConditionQuestionIds(conditions) {
+  const questionIds = new Set();
+  const collect = node => {
+    if (!node || typeof node !== 'object') {
+      return;
+    }
+    if (node.not !== undefined) {
+      collect(node.not);
+    } else if (Array.isArray(node.rules)) {
+      node.rules.forEach(collect);
+    } else if (node.questionId !== undefined) {
+      questionIds.add(node.questionId);
+    }
+  };
+  collect(conditions);
+  return Array.from(questionIds);
+}
+
+/**
+ * Add an edge to a map of sets
+ * @param {Map} edges - Key -> Set of dependents
+ * @param {string} key - The question the dependent depends on
+ * @param {string} dependent - The dependent question or step ID
+ */
+function addEdge(edges, key, dependent) {
+  if (!edges.has(key)) {
+    edges.set(key, new Set());
+  }
+  edges.get(key).add(dependent);
+}
+
+/**
+ * Build the dependency graph of a survey definition
+ * @param {Object} definition - The survey definition
+ * @returns {Object} - { questions: Map questionId -> Set of dependent question IDs,
+ *   steps: Map questionId -> Set of IDs of steps whose conditions or branches use the answer,
+ *   pipedQuestions / pipedSteps: Map questionId -> Set of IDs of questions / steps whose texts pipe the answer }
+ */
+export function buildDependencyGraph(definition) {
+  const graph = { questions: new Map(), steps: new Map(), pipedQuestions: new Map(), pipedSteps: new Map() };
+  const steps = definition && Array.isArray(definition.steps) ? definition.steps : [];
+
+  steps.forEach(step => {
+    getConditionQuestionIds(step.conditions).forEach(questionId => addEdge(graph.steps, questionId, step.id));
+    (Array.isArray(step.branches) ? step.branches : []).forEach(branch => {
+      getConditionQuestionIds(branch.conditions).forEach(questionId => addEdge(graph.steps, questionId, step.id));
+    });
+
+    [step.title, step.description].forEach(text => {
+      getPipedQuestionIds(text).forEach(questionId => addEdge(graph.pipedSteps, questionId, step.id));
+    });
+
+    (Array.isArray(step.questions) ? step.questions : []).forEach(question => {
+      getConditionQuestionIds(question.conditions).forEach(questionId => addEdge(graph.questions, questionId, question.id));
+      getQuestionPipingSources(question).forEach(questionId => addEdge(graph.pipedQuestions, questionId, question.id));
+    });
+  });
+
+  return graph;
+}
+
+/**
+ * Find cycles between question conditions, e.g. A shown when B is answered and B shown when A is answered
+ * @param {Object} graph - The dependency graph (see buildDependencyGraph)
+ * @returns {string[][]} - Each cycle as the question IDs along it, ending with the first one again
+ */
+export function findDependencyCycles(graph) {
+  const cycles = [];
+  const finished = new Set();
+  const trail = [];
+
+  const visit = questionId => {
+    const trailIndex = trail.indexOf(questionId);
+    if (trailIndex !== -1) {
+      cycles.push([...trail.slice(trailIndex), questionId]);
+      return;
+    }
+    if (finished.has(questionId)) {
+      return;
+    }
+    trail.push(questionId);
+    (graph.questions.get(questionId) || []).forEach(visit);
+    trail.pop();
+    finished.add(questionId);
+  };
+
+  Array.from(graph.questions.keys()).forEach(visit);
+  return cycles;
+}
+
+/**
+ * Get the questions and steps that depend on an answer, directly or through other questions
+ * @param {Object} graph - The dependency graph (see buildDependencyGraph)
+ * @param {string} questionId - The question whose answer changed
+ * @returns {Object} - { questions: Set of question IDs, steps: Set of step IDs }
+ */
+export function getAffected(graph, questionId) {
+  const affected = { questions: new Set(), steps: new Set() };
+  const pending = [questionId];
+
+  while (pending.length > 0) {
+    const current = pending.pop();
+    (graph.steps.get(current) || []).forEach(stepId => affected.steps.add(stepId));
+    (graph.questions.get(current) || []).forEach(dependent => {
+      if (!affected.questions.has(dependent)) {
+        affected.questions.add(dependent);
+        pending.push(dependent);
+      }
+    });
+  }
+  return affected;
+}
+
+/**
+ * Get the questions and steps whose texts pipe an answer
+ * @param {Object} graph - The dependency graph (see buildDependencyGraph)
+ * @param {string} questionId - The question whose answer changed
+ * @returns {Object} - { questions: Set of question IDs, steps: Set of step IDs }
+ */
+export function getPipingDependents(graph, questionId) {
+  return {
+    questions: new Set(graph.pipedQuestions.get(questionId) || []),
+    steps: new Set(graph.pipedSteps.get(questionId) || [])
+  };
+}
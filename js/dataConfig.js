@@ -1,12 +1,20 @@
 export const dataEndpoint = "NOT IN USE";
 export const deltaEndpoint = "https://odzno3g32mjesdrjipad23mbxq.apigateway.eu-amsterdam-1.oci.customer-oci.com/conclusion-proxy/onstage-survey-results";
+// folder in the bucket that holds the result files written through deltaEndpoint; surveys in the catalog (js/data/surveys.json)
+// can use their own endpoint and folder
+export const resultsFolder = "conclusion-assets/deltas/";
 
 // this endpoint supports getting a list of all files in a specific bucket in a specific folder (e.g. /conclusion-assets/deltas/)
 // it also allows uploading new files to the bucket to that specific folder
 // the requests should contain the Authorization header with the ID token and the reques header Asset-Path; this header identifies the folder path (to get a list) or a specific object (to GET or PUT)
 export const adminEndpoint = "NOT IN USE";
+// this endpoint answers 200 to admins and is refused to everyone else; it tells the client whether to show the admin section
+// without touching the bucket (a stock response route on the admin deployment, see architecture.md)
+export const adminRoleEndpoint = "NOT IN USE";
 
 
+// this endpoint returns the respondent counts per survey that quotas are checked against; the counts must be computed
+// on the server (see architecture.md), the client only reads them. Quotas are not checked while it is not in use
 export const surveySummaryEndpoint = "NOT IN USE";
 
 
@@ -4,11 +4,12 @@
  * 
  * This module handles data retrieval from the configured endpoint using
  * the authenticated user's ID token as authorization. The data is retained
- * in memory throughout the session.
+ * in memory throughout the session. All requests go through authenticatedFetch,
+ * which refreshes the token when needed and retries once on a 401.
  */
 
-import { dataEndpoint, deltaEndpoint, adminEndpoint, surveySummaryEndpoint } from './dataConfig.js';
-import { getIdToken } from './auth.js';
+import { dataEndpoint, deltaEndpoint, resultsFolder, adminEndpoint, adminRoleEndpoint, surveySummaryEndpoint } from './dataConfig.js';
+import { acquireIdToken } from './auth.js';
 
 // Constants for status and error messages
 const STATUS = {
@@ -36,9 +37,103 @@ const dataCache = {
     userdata: null
 };
 
+// Cache of the survey summary (respondent counts per survey), kept apart from the data cache
+const summaryCache = {
+    data: null,
+    lastFetched: null
+};
+
+// Where the results of the active survey are written (endpoint) and listed by admins (folder)
+const resultsLocation = {
+    endpoint: deltaEndpoint,
+    folder: resultsFolder
+};
+
+/**
+ * Set where the results of the active survey are read and written
+ * @param {Object} [location={}] - Location of the survey's results
+ * @param {string} [location.resultsEndpoint] - API Gateway route for the participant's result file;
+ *   every survey of the catalog has its own, deltaEndpoint is only used without a catalog
+ * @param {string} [location.resultsFolder] - Bucket folder holding the survey's result files
+ */
+export function setResultsLocation({ resultsEndpoint, resultsFolder: folder } = {}) {
+    resultsLocation.endpoint = resultsEndpoint || deltaEndpoint;
+    resultsLocation.folder = folder || resultsFolder;
+    // Cached user data belongs to the previous location
+    dataCache.userdata = null;
+    console.log(`Results location: ${resultsLocation.endpoint} (folder ${resultsLocation.folder})`);
+}
+
+/**
+ * Get where the results of the active survey are read and written
+ * @returns {Object} { endpoint, folder }
+ */
+export function getResultsLocation() {
+    return { ...resultsLocation };
+}
+
+
+/**
+ * Perform a fetch with a valid ID token in the Authorization header.
+ * The token is acquired (and refreshed when about to expire) through MSAL; when the
+ * API still answers 401 the token is refreshed once more and the request retried.
+ * @param {string} url - The URL to fetch
+ * @param {Object} [options={}] - fetch options; the Authorization header is added
+ * @param {Object} [authOptions={}] - Token options
+ * @param {boolean} [authOptions.interactive=true] - Whether a sign-in popup may be shown;
+ *                                                   pass false for background requests
+ * @returns {Promise<Response>} The fetch response
+ */
+async function authenticatedFetch(url, options = {}, { interactive = true } = {}) {
+    let idToken = await acquireIdToken({ interactive });
+
+    if (!idToken) {
+        const error = new Error('No authentication token available. Please sign in.');
+        error.status = 401;
+        throw error;
+    }
+
+    const send = (token) => fetch(url, {
+        ...options,
+        headers: {
+            ...(options.headers || {}),
+            'Authorization': `Bearer ${token}`
+        }
+    });
+
+    let response = await send(idToken);
+
+    if (response.status === 401) {
+        console.warn(`Request to ${url} was rejected with 401, refreshing token and retrying once`);
+        idToken = await acquireIdToken({ forceRefresh: true, interactive });
+        if (idToken) {
+            response = await send(idToken);
+        }
+    }
+
+    return response;
+}
 
+/**
+ * Get the survey summary: the respondent counts per survey that quotas are checked against
+ * @param {boolean} [forceRefresh=false] - Force a refresh even if the summary is already cached
+ * @returns {Promise<Object>} { <surveyId>: { respondents, segments } }
+ */
 export async function getSurveySummary(forceRefresh = false) {
-    return getDataFromEndpoint(surveySummaryEndpoint);
+    if (!forceRefresh && summaryCache.data !== null) {
+        return summaryCache.data;
+    }
+
+    const response = await authenticatedFetch(`${surveySummaryEndpoint}?ts=${Date.now()}`, { method: 'GET' }, { interactive: false });
+    if (!response.ok) {
+        const error = new Error(`Survey summary request failed with status ${response.status}`);
+        error.status = response.status;
+        throw error;
+    }
+
+    summaryCache.data = await response.json();
+    summaryCache.lastFetched = new Date();
+    return summaryCache.data;
 }
 
 /**
@@ -61,32 +156,17 @@ export async function getData(forceRefresh = false) {
  * @returns {Promise<Object>} The fetched data
  */
 async function getDataFromEndpoint( theEndpoint) {
-
-    // Get the ID token for authentication
-    const idToken = getIdToken();
-
-    // Check if token is available
-    if (!idToken) {
-        const error = 'No authentication token available. Please sign in.';
-        dataCache.status = STATUS.ERROR;
-        dataCache.error = error;
-        throw new Error(error);
-    }
-
     try {
         // Update status to loading
         dataCache.status = STATUS.LOADING;
         const options = {
-            method: 'GET',
-            headers: {
-                'Authorization': `Bearer ${idToken}`
-            }
+            method: 'GET'
         };
 
         const endpoint = theEndpoint + "?ts=" + Date.now();
         console.log('Fetching data from endpoint:', endpoint);
         // Make authenticated request to the data endpoint ; bust caching by adding ts query parameter
-        const response = await fetch(endpoint, options);
+        const response = await authenticatedFetch(endpoint, options);
 
         // Check if request was successful
         if (!response.ok) {
@@ -119,41 +199,30 @@ async function getDataFromEndpoint( theEndpoint) {
 /**
  * Get data from the API using the authenticated user's ID token
  * @param {boolean} [forceRefresh=false] - Force a refresh even if data is already cached
+ * @param {Object} [authOptions={}] - Token options, see authenticatedFetch
  * @returns {Promise<Object>} The fetched data
  */
-export async function getUserData(forceRefresh = false) {
+export async function getUserData(forceRefresh = false, authOptions = {}) {
     // If data is already cached and refresh is not forced, return cached data
     if (!forceRefresh && dataCache.userdata !== null) {
         console.log('Returning cached data from previous fetch');
         return dataCache.userdata;
     }
 
-    // Get the ID token for authentication
-    const idToken = getIdToken();
-
-    // Check if token is available
-    if (!idToken) {
-        const error = 'No authentication token available. Please sign in.';
-        dataCache.status = STATUS.ERROR;
-        dataCache.error = error;
-        throw new Error(error);
-    }
-
     try {
         // Update status to loading
         dataCache.status = STATUS.LOADING;
-        const userDeltaEndpoint = deltaEndpoint;
+        const userDeltaEndpoint = resultsLocation.endpoint;
 
         console.log(`Attempting to GET user-specific data from: ${userDeltaEndpoint} for current user`);
 
 
-        const response = await fetch(userDeltaEndpoint + `?ts=${Date.now()}`, {
+        const response = await authenticatedFetch(userDeltaEndpoint + `?ts=${Date.now()}`, {
             method: 'GET',
             headers: {
-                'Authorization': `Bearer ${idToken}`,
                 'Content-Type': 'application/json'
             }
-        });
+        }, authOptions);
 
         // Check if request was successful
         if (!response.ok) {
@@ -161,7 +230,9 @@ export async function getUserData(forceRefresh = false) {
             const error = `API request failed with status ${response.status}: ${errorText}`;
             dataCache.status = STATUS.ERROR;
             dataCache.error = error;
-            throw new Error(error);
+            const requestError = new Error(error);
+            requestError.status = response.status;
+            throw requestError;
         }
 
         // Parse response as JSON
@@ -182,28 +253,22 @@ export async function getUserData(forceRefresh = false) {
     }
 }
 
-export async function saveUserData(data) {
-    dataCache.userdata = data;
-
-    // Get the ID token for authentication
-    const idToken = getIdToken();
-
-    // Check if token is available
-    if (!idToken) {
-        const error = 'No authentication token available. Please sign in.';
-        dataCache.status = STATUS.ERROR;
-        dataCache.error = error;
-        throw new Error(error);
-    }
-
-
+/**
+ * Save the user's data with a PUT request. The catalog gives every survey its own results
+ * endpoint (see surveyCatalog.js), so the file replaced is always the active survey's.
+ * @param {Object} data - The data to save
+ * @param {Object} [authOptions={}] - Token options, see authenticatedFetch
+ * @param {string} [endpoint] - Results endpoint to write to; defaults to the active survey's
+ * @returns {Promise<Object>} The save result with the submitted data
+ */
+export async function saveUserData(data, authOptions = {}, endpoint = resultsLocation.endpoint) {
     // The API Gateway route for /deltas (e.g., /conclusion-proxy/speakerpool-delta or /conclusion-proxy2/deltas)
     // is expected to handle PUT requests and use request.auth[name] to determine the specific file in object storage.
     // The deltaEndpoint variable should point to this base path for the API Gateway route.
 
     // This is the endpoint the PUT request should target.
 
-    const actualPutEndpoint = deltaEndpoint;
+    const actualPutEndpoint = endpoint;
 
     // Add/update the lastModified timestamp
     data.lastModified = new Date().toISOString();
@@ -213,21 +278,23 @@ export async function saveUserData(data) {
     console.log(`Attempting to PUT updated profile to: ${actualPutEndpoint}`);
 
     try {
-        const response = await fetch(actualPutEndpoint, {
+        const response = await authenticatedFetch(actualPutEndpoint, {
             method: 'PUT',
             headers: {
-                'Authorization': `Bearer ${idToken}`,
                 'Content-Type': 'application/json'
             },
             body: JSON.stringify(data)
-        });
+        }, authOptions);
 
         if (!response.ok) {
             const errorBody = await response.text();
             console.error('Error saving data:', response.status, errorBody);
-            throw new Error(`Failed to save data: ${response.status} ${response.statusText}. Detail: ${errorBody}`);
+            const error = new Error(`${response.status} ${response.statusText}. Detail: ${errorBody}`);
+            error.status = response.status;
+            throw error;
         }
         console.log('Data saved successfully .');
+        dataCache.userdata = data;
         // Try to parse JSON from response, but handle cases where response might be empty (e.g., 204 No Content)
         const responseContentType = response.headers.get('content-type');
         let responseData = { success: true }; // Default success response
@@ -250,32 +317,71 @@ export async function saveUserData(data) {
 
     } catch (error) {
         console.error('Error saving data:', error);
-        throw new Error(`Failed to save data: ${error.message}`);
+        // Keep the HTTP status (absent for network failures) so callers can decide to retry
+        const saveError = new Error(`Failed to save data: ${error.message}`);
+        saveError.status = error.status;
+        throw saveError;
     }
 }
 
-// get list of objects in deltas directory - admin only 
-export async function getDeltaListAsAdmin(pathPrefix='conclusion-assets/deltas/') {
-    // Get the ID token for authentication
-    const idToken = getIdToken();
-    
-    // Check if token is available
-    if (!idToken) {
-        const error = 'No authentication token available. Please sign in.';
-        throw new Error(error);
+/**
+ * Save a draft of the user's survey responses.
+ * Drafts go to the same per-user location as the final submission and are
+ * told apart by their status field.
+ * @param {Object} draft - The draft data
+ * @returns {Promise<Object>} The save result
+ */
+export async function saveDraftData(draft) {
+    // Drafts are saved in the background and never prompt for sign-in
+    return saveUserData({ ...draft, status: 'draft' }, { interactive: false });
+}
+
+/**
+ * Create the error for an admin request that the API rejected
+ * @param {Response} response - The rejected response (401 or 403)
+ * @returns {Error} Error with the status attached
+ */
+function createAdminAccessError(response) {
+    const error = new Error(response.status === 403
+        ? 'Admin access required. Your account does not have the admin role.'
+        : 'Not authorized for admin functions. Please sign in again.');
+    error.status = response.status;
+    return error;
+}
+
+/**
+ * Check whether the signed-in user may use the admin endpoint.
+ * The authorizer decides who is an admin (app roles or its admin list), so the
+ * client asks the admin role route, which answers without reading the bucket.
+ * Never prompts for sign-in.
+ * @returns {Promise<boolean>} Whether admin requests are accepted
+ */
+export async function hasAdminAccess() {
+    try {
+        const response = await authenticatedFetch(adminRoleEndpoint, { method: 'GET' }, { interactive: false });
+        return response.ok;
+    } catch (error) {
+        console.warn('Could not check admin access:', error.message);
+        return false;
     }
-    
+}
+
+// get list of objects in deltas directory - admin only 
+export async function getDeltaListAsAdmin(pathPrefix = resultsLocation.folder) {
     console.log(`Admin mode: Fetching list of delta file names from ${adminEndpoint} with empty Asset-Path.`);
     try {
         // add timestamp to prevent caching
-        const listResponse = await fetch(adminEndpoint + `?ts=${Date.now()}`, {
+        const listResponse = await authenticatedFetch(adminEndpoint + `?ts=${Date.now()}`, {
             method: 'GET',
             headers: {
-                'Authorization': `Bearer ${idToken}`,
                 'Asset-Path': '' // Empty string for listing
             }
         });
 
+        if (listResponse.status === 401 || listResponse.status === 403) {
+            throw createAdminAccessError(listResponse);
+        }
+
         if (!listResponse.ok) {
             const errorBody = await listResponse.text();
             console.error(`Error fetching delta file list: ${listResponse.status} ${listResponse.statusText}. Body: ${errorBody}`);
@@ -308,20 +414,14 @@ export async function getDeltaListAsAdmin(pathPrefix='conclusion-assets/deltas/'
         return deltaFileNames;
     } catch (error) {
         console.error('Error fetching delta file list:', error);
+        if (error.status === 401 || error.status === 403) {
+            throw error;
+        }
         return [];
     }
 }
 
-export async function getDeltaFileData(objectName, pathPrefix='conclusion-assets/deltas/') {
-    // Get the ID token for authentication
-    const idToken = getIdToken();
-    
-    // Check if token is available
-    if (!idToken) {
-        const error = 'No authentication token available. Please sign in.';
-        throw new Error(error);
-    }
-    
+export async function getDeltaFileData(objectName, pathPrefix = resultsLocation.folder) {
     try {
         console.log(`Fetching delta file content for: ${objectName}`);
         
@@ -329,14 +429,17 @@ export async function getDeltaFileData(objectName, pathPrefix='conclusion-assets
         const assetPath = objectName.startsWith(pathPrefix) ? objectName : `${pathPrefix}${objectName}`;
         
         // Fetch the file content using the admin endpoint
-        const response = await fetch(adminEndpoint + `?ts=${Date.now()}`, {
+        const response = await authenticatedFetch(adminEndpoint + `?ts=${Date.now()}`, {
             method: 'GET',
             headers: {
-                'Authorization': `Bearer ${idToken}`,
                 'Asset-Path': assetPath
             }
         });
         
+        if (response.status === 401 || response.status === 403) {
+            throw createAdminAccessError(response);
+        }
+
         if (!response.ok) {
             const errorBody = await response.text();
             console.error(`Error fetching delta file content: ${response.status} ${response.statusText}. Body: ${errorBody}`);
@@ -354,6 +457,48 @@ export async function getDeltaFileData(objectName, pathPrefix='conclusion-assets
     }
 }
 
+// Number of delta files fetched in parallel when loading all results
+const ADMIN_FETCH_CONCURRENCY = 5;
+
+/**
+ * Load the contents of all delta files - admin only.
+ * Files that fail to load are reported in the result instead of aborting the load.
+ * @param {string} [pathPrefix] - Folder holding the delta files; defaults to the active survey's folder
+ * @param {Function} [onProgress] - Called with (loadedCount, totalCount) after each file
+ * @returns {Promise<Object>} { files: Array<{path, data}>, failed: Array<{path, error}> }
+ */
+export async function getAllDeltaFilesAsAdmin(pathPrefix = resultsLocation.folder, onProgress = null) {
+    const paths = await getDeltaListAsAdmin(pathPrefix);
+    const files = [];
+    const failed = [];
+    let nextIndex = 0;
+    let loadedCount = 0;
+
+    // A few workers take the next path from the list until all files are loaded
+    const worker = async () => {
+        while (nextIndex < paths.length) {
+            const path = paths[nextIndex++];
+            try {
+                files.push({ path, data: await getDeltaFileData(path, pathPrefix) });
+            } catch (error) {
+                if (error.status === 401 || error.status === 403) {
+                    throw error;
+                }
+                failed.push({ path, error: error.message });
+            }
+            loadedCount++;
+            if (typeof onProgress === 'function') {
+                onProgress(loadedCount, paths.length);
+            }
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(ADMIN_FETCH_CONCURRENCY, paths.length) }, worker));
+    console.log(`Loaded ${files.length} of ${paths.length} delta files`);
+
+    return { files, failed };
+}
+
 /**
  * Get the current status of data fetching
  * @returns {Object} Object containing status info, data, and any error message
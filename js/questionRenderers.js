@@ -15,6 +15,7 @@ import * as questionRenderersTags from './questionRenderersTags.js';
 import { renderMultiValueSlider } from './questionRenderersMultiValueSliderD3.js';
 // Import condition evaluator
 import { shouldShowQuestion } from './conditionEvaluator.js';
+import { pipeText, pipeQuestion } from './answerPiping.js';
 import { renderRadar } from './questionRenderersRadar.js';
 // Constants for question types
 const QUESTION_TYPES = {
@@ -641,36 +642,38 @@ function _renderMatrix2D(question) {
  * @returns {HTMLElement} - The rendered question element
  */
 export function renderQuestion(question) {
-  switch (question.type) {
+  // Fill in earlier answers and user details referenced in the texts, e.g. {{bedrijf.label}}
+  const pipedQuestion = pipeQuestion(question, surveyData.getPipingContext());
+  switch (pipedQuestion.type) {
     case QUESTION_TYPES.SHORT_TEXT:
-      return renderShortText(question);
+      return renderShortText(pipedQuestion);
     case QUESTION_TYPES.LONG_TEXT:
-      return renderLongText(question);
+      return renderLongText(pipedQuestion);
     case QUESTION_TYPES.RADIO:
-      return renderRadio(question);
+      return renderRadio(pipedQuestion);
     case QUESTION_TYPES.CHECKBOX:
-      return renderCheckbox(question);
+      return renderCheckbox(pipedQuestion);
     case QUESTION_TYPES.LIKERT:
       // Use the directly imported renderLikert function
-      return renderLikert(question);
+      return renderLikert(pipedQuestion);
     case QUESTION_TYPES.RANGE_SLIDER:
       // Use the directly imported renderRangeSlider function
-      return renderRangeSlider(question);
+      return renderRangeSlider(pipedQuestion);
     case QUESTION_TYPES.MATRIX_2D:
       // Use the directly imported renderMatrix2D function
-      return renderMatrix2D(question);
+      return renderMatrix2D(pipedQuestion);
     case QUESTION_TYPES.RANK_OPTIONS:
       // Access the renderRankOptions function from the imported module
-      return questionRenderersRank.default.renderRankOptions(question);
+      return questionRenderersRank.default.renderRankOptions(pipedQuestion);
     case QUESTION_TYPES.TAGS:
       // Render tags questions (select multiple tags or add custom tags)
-      return questionRenderersTags.default.renderTagsQuestion(question);
+      return questionRenderersTags.default.renderTagsQuestion(pipedQuestion);
     case QUESTION_TYPES.MULTI_VALUE_SLIDER:
       // Use the imported renderMultiValueSlider function
-      return renderMultiValueSlider(question);
+      return renderMultiValueSlider(pipedQuestion);
     case QUESTION_TYPES.RADAR:
       // Use the imported renderRadar function
-      return renderRadar(question);
+      return renderRadar(pipedQuestion);
     default:
       console.error(`Unknown question type: ${question.type}`);
       return null;
@@ -694,13 +697,13 @@ export function renderQuestionsForStep(step, container) {
   // Add step title and description
   const stepTitle = document.createElement('h2');
   stepTitle.className = 'step-title';
-  stepTitle.textContent = step.title;
+  stepTitle.textContent = pipeText(step.title, surveyData.getPipingContext());
   container.appendChild(stepTitle);
 
   if (step.description) {
     const stepDescription = document.createElement('p');
     stepDescription.className = 'step-description';
-    stepDescription.textContent = step.description;
+    stepDescription.textContent = pipeText(step.description, surveyData.getPipingContext());
     container.appendChild(stepDescription);
   }
 
@@ -723,82 +726,52 @@ export function renderQuestionsForStep(step, container) {
 
 
   container.appendChild(questionsContainer);
-  // Store questions that have conditions for dynamic updates
-  setupConditionalQuestionListeners(step, questionsContainer);
 }
 
 /**
- * Set up listeners to handle dynamic updates of conditional questions
+ * Re-render the texts that pipe a changed answer: the step title and description,
+ * and the shown questions of the step whose texts refer to it
  * @param {Object} step - The step object containing questions
  * @param {HTMLElement} container - The container holding the questions
+ * @param {Object} dependents - { questions, steps }: Sets of the IDs whose texts pipe the answer
  */
-function setupConditionalQuestionListeners(step, container) {
+export function refreshPipedTexts(step, container, dependents) {
   if (!step || !step.questions) return;
+  const context = surveyData.getPipingContext();
+
+  // The step title and description are rendered just above the questions container
+  const stepContainer = container.parentElement;
+  if (dependents.steps.has(step.id) && stepContainer) {
+    const stepTitle = stepContainer.querySelector('.step-title');
+    if (stepTitle) {
+      stepTitle.textContent = pipeText(step.title, context);
+    }
+    const stepDescription = stepContainer.querySelector('.step-description');
+    if (stepDescription) {
+      stepDescription.textContent = pipeText(step.description, context);
+    }
+  }
 
-  // Find questions that have conditions and the questions they depend on
-  const conditionalQuestions = step.questions.filter(q => q.conditions && q.conditions.rules);
-  if (conditionalQuestions.length === 0) return; // No conditional questions in this step
-
-  // Create a map of dependent questions (questions whose answers might affect other questions)
-  const dependentQuestionIds = new Set();
-  conditionalQuestions.forEach(question => {
-    question.conditions.rules.forEach(rule => {
-      dependentQuestionIds.add(rule.questionId);
-    });
-  });
-
-  // Add change event listeners to all form elements of dependent questions
-  for (let i = 0; i < dependentQuestionIds.size; i++) {
-    const questionId = Array.from(dependentQuestionIds)[i];
-    // Find all form elements for this question
-    const formElements = container.querySelectorAll(`[data-question-id="${questionId}"]`);
-
-    for (let i = 0; i < formElements.length; i++) {
-      const element = formElements[i];
-      // Add event listener based on element type
-      if (element.tagName === 'INPUT') {
-        if (element.type === 'radio' || element.type === 'checkbox') {
-          if (!element._hasChangeEventListener) {
-            element._hasChangeEventListener = true;
-            console.log('Adding change event listener for radio/checkbox ', element.id);
-            element.addEventListener('change', () => {
-              console.log('Change event detected, refreshing conditional questions for ', element.id);
-              refreshConditionalQuestions(step, container)
-            }
-            );
-          }
-
-        } else {
-          element.addEventListener('blur', () => refreshConditionalQuestions(step, container));
-          element.addEventListener('input', debounce(() => refreshConditionalQuestions(step, container), 500));
-        }
-      } else if (element.tagName === 'TEXTAREA' || element.tagName === 'SELECT') {
-        element.addEventListener('change', () => refreshConditionalQuestions(step, container));
-        element.addEventListener('blur', () => refreshConditionalQuestions(step, container));
+  step.questions
+    .filter(question => dependents.questions.has(question.id))
+    .forEach(question => {
+      const questionElement = document.getElementById(`question-${question.id}`);
+      if (!questionElement) return; // Hidden by its conditions; it is piped when it is rendered again
+      const newQuestionElement = renderQuestion(question);
+      if (newQuestionElement) {
+        newQuestionElement.style.display = questionElement.style.display;
+        questionElement.replaceWith(newQuestionElement);
       }
-    };
-  };
-
-  // Listen for the custom response change event from complex components like multiValueSlider
-  // This event bubbles up from the components to the document
-  document.addEventListener('survey:response-changed', (event) => {
-    console.log('Caught survey:response-changed event:', event.detail);
-
-    // Check if this is a dependent question that affects conditional questions
-    if (dependentQuestionIds.has(event.detail.questionId)) {
-      console.log('This affects conditional questions, refreshing...');
-      // Refresh the conditional questions display
-      refreshConditionalQuestions(step, container);
-    }
-  });
+    });
 }
 
 /**
- * Refresh conditional questions when dependencies change
+ * Refresh conditional questions when dependencies change.
+ * Called by the navigation whenever a response changes (see surveyData.SURVEY_EVENTS).
  * @param {Object} step - The step object containing questions
  * @param {HTMLElement} container - The container holding the questions
  */
-function refreshConditionalQuestions(step, container) {
+export function refreshConditionalQuestions(step, container) {
   console.log('Refreshing conditional questions...', step, container);
   if (!step || !step.questions) return;
 
@@ -846,19 +819,4 @@ function refreshConditionalQuestions(step, container) {
       questionElement.style.display = 'block';
     }
   };
-  setupConditionalQuestionListeners(step, container)
-}
-
-/**
- * Debounce function to limit how often a function is called
- * @param {Function} func - Function to debounce
- * @param {number} wait - Time to wait in milliseconds
- * @returns {Function} - Debounced function
- */
-function debounce(func, wait) {
-  let timeout;
-  return function (...args) {
-    clearTimeout(timeout);
-    timeout = setTimeout(() => func.apply(this, args), wait);
-  };
 }
@@ -878,32 +878,11 @@ function loadSavedResponse(questionId, positions, svg, x) {
 function saveResponse(questionId, positions) {
   const currentResponse = surveyData.getResponse(questionId) || {};
   
-  // Save the response data
+  // Save the response data; surveyData announces the change, which re-evaluates conditional questions
   surveyData.saveResponse(questionId, {
     value: { ...positions },
     comment: currentResponse.comment || ''
   });
-  
-  // Dispatch a custom event to notify that a response has changed
-  // This will trigger re-evaluation of conditional questions
-  const responseChangeEvent = new CustomEvent('survey:response-changed', {
-    detail: {
-      questionId: questionId,
-      value: { ...positions }
-    },
-    bubbles: true
-  });
-  
-  // Find the question container and dispatch the event
-  const questionContainer = document.getElementById(`question-${questionId}`);
-  if (questionContainer) {
-    console.log(`Dispatching response change event for ${questionId}`);
-    questionContainer.dispatchEvent(responseChangeEvent);
-  } else {
-    // If container not found, dispatch from document body
-    console.log(`Question container not found, dispatching from document body`);
-    document.body.dispatchEvent(responseChangeEvent);
-  }
 }
 
 export default {
@@ -8,6 +8,7 @@
 import * as surveyData from './surveyData.js';
 // Only import functions that are actually exported
 import { renderLikert, renderRangeSlider, renderMatrix2D } from './questionRenderersExtended.js';
+import { escapeHtml } from './answerPiping.js';
 
 /**
  * Create the main container for a question
@@ -273,7 +274,7 @@ function initializeRankingVisualization(containerSelector, optionsToRank, questi
     // Create the item's content with proper styling
     rankItem.innerHTML = `
       <div class="rank-item-content">
-        <div class="rank-item-label">${labelText}</div>
+        <div class="rank-item-label">${escapeHtml(labelText)}</div>
         <div class="rank-item-number">#${index + 1}</div>
         <div class="rank-item-handle">
           <svg width="20" height="10" viewBox="0 0 20 10">
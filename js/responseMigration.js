@@ -0,0 +1,229 @@
+/**
+ * responseMigration.js
+ * Response migration module
+ *
+ * This module upgrades responses recorded against an older version of a survey
+ * definition to the current version. Definitions declare their migrations as a
+ * list of steps from one version to the next:
+ *
+ *   "migrations": [{
+ *     "from": "1", "to": "2",
+ *     "renameQuestions": { "oldQuestionId": "newQuestionId" },
+ *     "remapOptions": { "questionId": { "oldValue": "newValue" } },
+ *     "removeQuestions": ["obsoleteQuestionId"]
+ *   }]
+ *
+ * Option remapping uses the question id as it is after renaming. For 2D matrix
+ * questions the map holds row and column ids, which are remapped separately
+ * inside the "row:column" cell values.
+ */
+
+// Version assumed for definitions and responses that carry no version
+export const DEFAULT_VERSION = '1';
+
+// Question type whose answers are "row:column" cell ids
+const MATRIX_TYPE = 'matrix2d';
+const MATRIX_CELL_SEPARATOR = ':';
+
+/**
+ * Normalize a version value to a string
+ * @param {any} version - The version as found in a definition or response
+ * @returns {string} - The version string, DEFAULT_VERSION when missing
+ */
+export function normalizeVersion(version) {
+  return version !== undefined && version !== null && version !== '' ? String(version) : DEFAULT_VERSION;
+}
+
+/**
+ * Find the chain of migrations leading from one version to another
+ * @param {Array} migrations - The migrations declared in the definition
+ * @param {string} fromVersion - Version the responses were recorded against
+ * @param {string} toVersion - Version of the current definition
+ * @returns {Array|null} - Ordered migrations to apply, or null if there is no path
+ */
+function findMigrationPath(migrations, fromVersion, toVersion) {
+  const path = [];
+  let version = fromVersion;
+
+  // Each migration can be used at most once, which also guards against cycles
+  while (version !== toVersion && path.length < migrations.length) {
+    const next = migrations.find(migration => normalizeVersion(migration.from) === version);
+    if (!next) {
+      return null;
+    }
+    path.push(next);
+    version = normalizeVersion(next.to);
+  }
+
+  return version === toVersion ? path : null;
+}
+
+/**
+ * Collect the ids of the 2D matrix questions in a definition
+ * @param {Object} definition - The survey definition
+ * @returns {Set<string>} - The matrix question ids
+ */
+function getMatrixQuestionIds(definition) {
+  const ids = new Set();
+  ((definition && definition.steps) || []).forEach(step => {
+    (step.questions || []).forEach(question => {
+      if (question.type === MATRIX_TYPE) {
+        ids.add(question.id);
+      }
+    });
+  });
+  return ids;
+}
+
+/**
+ * Remap the row and column ids of a "row:column" matrix cell value
+ * @param {string} cellId - The cell value
+ * @param {Function} remap - Remaps a single row or column id
+ * @returns {string} - The remapped cell value
+ */
+function remapMatrixCell(cellId, remap) {
+  const separatorIndex = cellId.indexOf(MATRIX_CELL_SEPARATOR);
+  if (separatorIndex < 0) {
+    return remap(cellId);
+  }
+  const rowId = cellId.slice(0, separatorIndex);
+  const columnId = cellId.slice(separatorIndex + 1);
+  return `${remap(rowId)}${MATRIX_CELL_SEPARATOR}${remap(columnId)}`;
+}
+
+/**
+ * Replace option values inside a response value, whatever shape the renderer saved.
+ * Handles plain values (radio), "row:column" cells and arrays of them (matrix2d),
+ * arrays of values (checkbox, tags), arrays of {id, rank} (rankOptions), objects
+ * keyed by option (likert, radar) and the {value, comment} wrapper used by
+ * multiValueSlider.
+ * @param {any} value - The response value
+ * @param {Object} optionMap - Mapping of old option values (or matrix row and column ids) to new ones
+ * @param {boolean} [isMatrix=false] - Whether the value holds matrix cells
+ * @returns {any} - The remapped value
+ */
+function remapOptionValue(value, optionMap, isMatrix = false) {
+  const remapOption = option => (Object.prototype.hasOwnProperty.call(optionMap, option) ? optionMap[option] : option);
+  const remap = isMatrix ? cellId => remapMatrixCell(cellId, remapOption) : remapOption;
+
+  if (typeof value === 'string') {
+    return remap(value);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => {
+      if (typeof item === 'string') {
+        return remap(item);
+      }
+      if (item && typeof item === 'object' && typeof item.id === 'string') {
+        return { ...item, id: remap(item.id) };
+      }
+      return item;
+    });
+  }
+
+  if (value && typeof value === 'object') {
+    // 'Other' answers carry free text, not an option value
+    if (value.isOther) {
+      return value;
+    }
+    if (value.value && typeof value.value === 'object') {
+      return { ...value, value: remapOptionValue(value.value, optionMap, isMatrix) };
+    }
+    const remapped = {};
+    Object.entries(value).forEach(([key, entry]) => {
+      remapped[remap(key)] = entry;
+    });
+    return remapped;
+  }
+
+  return value;
+}
+
+/**
+ * Apply a single migration to a set of responses
+ * @param {Object} responses - Responses keyed by question id
+ * @param {Object} migration - The migration to apply
+ * @param {Set<string>} matrixQuestionIds - Ids of the matrix questions in the current definition
+ * @returns {Object} - The migrated responses
+ */
+function applyMigration(responses, migration, matrixQuestionIds) {
+  const renames = migration.renameQuestions || {};
+  const optionMaps = migration.remapOptions || {};
+  const removed = new Set(migration.removeQuestions || []);
+  const migrated = {};
+
+  Object.entries(responses).forEach(([questionId, response]) => {
+    if (removed.has(questionId)) {
+      return;
+    }
+
+    const newQuestionId = renames[questionId] || questionId;
+    const optionMap = optionMaps[newQuestionId];
+
+    migrated[newQuestionId] = optionMap && response
+      ? { ...response, value: remapOptionValue(response.value, optionMap, matrixQuestionIds.has(newQuestionId)) }
+      : response;
+  });
+
+  return migrated;
+}
+
+/**
+ * Migrate responses recorded against an older definition version to the current one
+ * @param {Object} responses - Responses keyed by question id
+ * @param {any} fromVersion - Version the responses were recorded against
+ * @param {Object} definition - The current survey definition
+ * @returns {Object|null} - The migrated responses, or null if no migration path exists
+ */
+export function migrateResponses(responses, fromVersion, definition) {
+  const from = normalizeVersion(fromVersion);
+  const to = normalizeVersion(definition && definition.version);
+
+  if (from === to) {
+    return responses;
+  }
+
+  const path = findMigrationPath((definition && definition.migrations) || [], from, to);
+  if (!path) {
+    console.warn(`No migration path from survey version ${from} to ${to}`);
+    return null;
+  }
+
+  const matrixQuestionIds = getMatrixQuestionIds(definition);
+  return path.reduce((current, migration) => applyMigration(current, migration, matrixQuestionIds), responses || {});
+}
+
+/**
+ * Migrate a submitted survey result to the current definition version
+ * @param {Object} submission - The submission as stored on the server
+ * @param {Object} definition - The current survey definition
+ * @returns {Object} - A migrated copy of the submission, or the submission itself
+ *                     if it belongs to another survey or is already current
+ */
+export function migrateSubmission(submission, definition) {
+  if (!submission || !definition || !submission.responses) {
+    return submission;
+  }
+  if (definition.id && submission.surveyId && submission.surveyId !== definition.id) {
+    return submission;
+  }
+
+  const fromVersion = normalizeVersion(submission.surveyVersion);
+  const toVersion = normalizeVersion(definition.version);
+  if (fromVersion === toVersion) {
+    return submission;
+  }
+
+  const responses = migrateResponses(submission.responses, fromVersion, definition);
+  if (!responses) {
+    return submission;
+  }
+
+  return {
+    ...submission,
+    responses,
+    surveyVersion: toVersion,
+    migratedFrom: fromVersion
+  };
+}
@@ -0,0 +1,112 @@
+/**
+ * responseValues.js
+ * Response values module
+ *
+ * This module holds the helpers for reading survey definitions and stored
+ * responses that both the participant side (conditions, piping, review and
+ * receipt) and the admin results modules use: the questions of a definition,
+ * the answer value of a response, whether it holds an answer, and the labels
+ * and plain text shown for it. It has no DOM dependencies.
+ */
+
+/**
+ * Flatten the steps of a survey definition into a list of questions
+ * @param {Object} definition - The survey definition
+ * @returns {Array} - Array of { question, step, stepIndex }
+ */
+export function getSurveyQuestions(definition) {
+  const questions = [];
+  ((definition && definition.steps) || []).forEach((step, stepIndex) => {
+    (step.questions || []).forEach(question => {
+      questions.push({ question, step, stepIndex });
+    });
+  });
+  return questions;
+}
+
+/**
+ * Split a stored response into its answer value and comment.
+ * The multi-value slider stores { value, comment } as the response value.
+ * @param {Object} question - The question object
+ * @param {Object} response - The stored response ({ value, comment, timestamp })
+ * @returns {Object} - { value, comment, timestamp }
+ */
+export function unwrapResponse(question, response) {
+  if (!response) {
+    return { value: undefined, comment: '', timestamp: null };
+  }
+  let value = response.value;
+  let comment = response.comment || '';
+  if (question.type === 'multiValueSlider' && value && typeof value === 'object' && 'value' in value) {
+    comment = value.comment || comment;
+    value = value.value;
+  }
+  return { value, comment, timestamp: response.timestamp || null };
+}
+
+/**
+ * Check whether an answer value counts as answered
+ * @param {any} value - The answer value
+ * @returns {boolean} - Whether the value holds an answer
+ */
+export function isAnswered(value) {
+  if (value === undefined || value === null || value === '') {
+    return false;
+  }
+  if (Array.isArray(value)) {
+    return value.length > 0;
+  }
+  if (typeof value === 'object') {
+    return Object.keys(value).length > 0;
+  }
+  return true;
+}
+
+/**
+ * Get the label of an option value of a choice, likert or rank question
+ * @param {Object} question - The question object
+ * @param {string} value - The option value
+ * @returns {string} - The option label, or the value itself if unknown
+ */
+export function getOptionLabel(question, value) {
+  const options = (question.rankOptions && question.rankOptions.options) || question.options || [];
+  const option = options.find(candidate => candidate.value === value || candidate.id === value);
+  return option ? option.label : String(value);
+}
+
+/**
+ * Find the zone label of a multi-value slider position
+ * @param {Object} config - The multiValueSlider configuration
+ * @param {number} position - The position
+ * @returns {string|number} - The zone label, or the position for continuous sliders
+ */
+export function getZoneLabel(config, position) {
+  if (config.mode === 'continuous' || !Array.isArray(config.zones)) {
+    return position;
+  }
+  const zone = config.zones.find(candidate => position >= candidate.start && position <= candidate.end);
+  return zone ? zone.label || zone.id : position;
+}
+
+/**
+ * Convert rich text (Quill HTML) into plain text
+ * @param {string} html - The HTML
+ * @returns {string} - The plain text
+ */
+export function htmlToText(html) {
+  if (typeof html !== 'string') {
+    return '';
+  }
+  return html
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|h[1-6])>/gi, '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\n{2,}/g, '\n')
+    .trim();
+}
@@ -0,0 +1,435 @@
+/**
+ * resultsAggregator.js
+ * Survey results aggregation module
+ *
+ * This module turns the submitted survey results (one delta file per respondent)
+ * into per-question summaries for the admin dashboard: counts and percentages for
+ * choice questions, distributions and means for scales, average ranks, tag
+ * frequencies and position heatmaps. It has no DOM dependencies.
+ */
+
+import { migrateSubmission } from './responseMigration.js';
+import { getSurveyQuestions, unwrapResponse, isAnswered, getOptionLabel } from './responseValues.js';
+
+// Constants for the kinds of summaries produced per question type
+export const SUMMARY_KINDS = {
+  choice: 'choice',
+  likert: 'likert',
+  range: 'range',
+  rank: 'rank',
+  tags: 'tags',
+  matrix: 'matrix',
+  sliderHeatmap: 'sliderHeatmap',
+  radarHeatmap: 'radarHeatmap',
+  text: 'text'
+};
+
+// Constants for binning continuous values
+const BINNING = {
+  maxDistinctValues: 20, // below this, every distinct value gets its own bin
+  binCount: 10
+};
+
+// Status of submissions that are drafts rather than final answers
+const DRAFT_STATUS = 'draft';
+
+/**
+ * Select the submissions that hold final answers for the given survey,
+ * migrated to the current definition version
+ * @param {Array} submissions - The raw submissions (contents of the delta files)
+ * @param {Object} definition - The survey definition
+ * @returns {Object} - { submissions: Array, draftCount: number, otherSurveyCount: number }
+ */
+export function prepareSubmissions(submissions, definition) {
+  let draftCount = 0;
+  let otherSurveyCount = 0;
+  const prepared = [];
+
+  (submissions || []).forEach(submission => {
+    if (!submission || typeof submission !== 'object' || !submission.responses) {
+      return;
+    }
+    if (submission.status === DRAFT_STATUS) {
+      draftCount++;
+      return;
+    }
+    if (definition && definition.id && submission.surveyId && submission.surveyId !== definition.id) {
+      otherSurveyCount++;
+      return;
+    }
+    prepared.push(migrateSubmission(submission, definition));
+  });
+
+  return { submissions: prepared, draftCount, otherSurveyCount };
+}
+
+/**
+ * Calculate a percentage rounded to one decimal
+ * @param {number} count - The count
+ * @param {number} total - The total
+ * @returns {number} - The percentage (0 when total is 0)
+ */
+export function toPercentage(count, total) {
+  return total > 0 ? Math.round((count / total) * 1000) / 10 : 0;
+}
+
+/**
+ * Calculate the mean of a list of numbers
+ * @param {number[]} values - The numbers
+ * @returns {number|null} - The mean rounded to two decimals, or null for an empty list
+ */
+function mean(values) {
+  if (values.length === 0) {
+    return null;
+  }
+  return Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 100) / 100;
+}
+
+/**
+ * Summarize a radio or checkbox question
+ * @param {Object} question - The question object
+ * @param {Array} values - The answer values of the respondents that answered
+ * @returns {Object} - Choice summary
+ */
+function summarizeChoice(question, values) {
+  const counts = {};
+  const otherValues = [];
+
+  values.forEach(value => {
+    const selections = Array.isArray(value) ? value : [value];
+    selections.forEach(selection => {
+      if (selection && typeof selection === 'object' && selection.isOther) {
+        counts.other = (counts.other || 0) + 1;
+        if (selection.otherValue) {
+          otherValues.push(selection.otherValue);
+        }
+      } else {
+        counts[selection] = (counts[selection] || 0) + 1;
+      }
+    });
+  });
+
+  const knownValues = (question.options || []).map(option => option.value);
+  const unknownValues = Object.keys(counts).filter(value => !knownValues.includes(value));
+
+  return {
+    kind: SUMMARY_KINDS.choice,
+    multiple: question.type === 'checkbox',
+    options: [...knownValues, ...unknownValues].map(value => ({
+      value,
+      label: getOptionLabel(question, value),
+      count: counts[value] || 0,
+      percentage: toPercentage(counts[value] || 0, values.length)
+    })),
+    otherValues
+  };
+}
+
+/**
+ * Summarize a likert question: a distribution and mean per item
+ * @param {Object} question - The question object
+ * @param {Array} values - The answer values ({ optionValue: score })
+ * @returns {Object} - Likert summary
+ */
+function summarizeLikert(question, values) {
+  const scale = question.likertScale || {};
+  const min = scale.min !== undefined ? scale.min : 1;
+  const max = scale.max !== undefined ? scale.max : 5;
+  const labels = scale.labels || {};
+  const scores = [];
+  for (let score = min; score <= max; score++) {
+    scores.push(score);
+  }
+
+  const items = (question.options || []).map(option => {
+    const itemScores = values
+      .map(value => value[option.value])
+      .filter(score => typeof score === 'number');
+    return {
+      value: option.value,
+      label: option.label,
+      count: itemScores.length,
+      mean: mean(itemScores),
+      distribution: scores.map(score => {
+        const count = itemScores.filter(itemScore => itemScore === score).length;
+        return { score, label: labels[score] || String(score), count, percentage: toPercentage(count, itemScores.length) };
+      })
+    };
+  });
+
+  return { kind: SUMMARY_KINDS.likert, min, max, labels, items };
+}
+
+/**
+ * Divide a numeric range into bins
+ * @param {number} min - Lower bound of the range
+ * @param {number} max - Upper bound of the range
+ * @param {number} [step=1] - Step size of the input
+ * @returns {Array} - Array of { start, end, label }
+ */
+function createBins(min, max, step = 1) {
+  const distinctValues = Math.floor((max - min) / step) + 1;
+  if (distinctValues <= BINNING.maxDistinctValues) {
+    return Array.from({ length: distinctValues }, (unused, index) => {
+      const value = min + index * step;
+      return { start: value, end: value, label: String(value) };
+    });
+  }
+  const width = (max - min) / BINNING.binCount;
+  return Array.from({ length: BINNING.binCount }, (unused, index) => {
+    const start = min + index * width;
+    const end = index === BINNING.binCount - 1 ? max : start + width;
+    return { start, end, label: `${Math.round(start)}-${Math.round(end)}` };
+  });
+}
+
+/**
+ * Find the index of the bin a value falls into
+ * @param {Array} bins - Bins from createBins or zones ({ start, end })
+ * @param {number} value - The value
+ * @returns {number} - The bin index, or -1 if the value is outside all bins
+ */
+function findBin(bins, value) {
+  return bins.findIndex((bin, index) =>
+    bin.start === bin.end
+      ? value === bin.start
+      : value >= bin.start && (value < bin.end || (index === bins.length - 1 && value <= bin.end))
+  );
+}
+
+/**
+ * Summarize a range slider question
+ * @param {Object} question - The question object
+ * @param {Array} values - The numeric answer values
+ * @returns {Object} - Range summary
+ */
+function summarizeRange(question, values) {
+  const config = question.rangeSlider || {};
+  const numbers = values.map(Number).filter(value => !Number.isNaN(value));
+  const min = config.min !== undefined ? config.min : 0;
+  const max = config.max !== undefined ? config.max : 100;
+  const bins = createBins(min, max, config.step || 1);
+  const counts = bins.map(() => 0);
+  numbers.forEach(value => {
+    const bin = findBin(bins, value);
+    if (bin >= 0) {
+      counts[bin]++;
+    }
+  });
+
+  return {
+    kind: SUMMARY_KINDS.range,
+    min,
+    max,
+    labels: config.labels || {},
+    mean: mean(numbers),
+    distribution: bins.map((bin, index) => ({
+      label: bin.label,
+      count: counts[index],
+      percentage: toPercentage(counts[index], numbers.length)
+    }))
+  };
+}
+
+/**
+ * Summarize a rank options question
+ * @param {Object} question - The question object
+ * @param {Array} values - The answer values ([{ id, rank }])
+ * @returns {Object} - Rank summary, options sorted by average rank
+ */
+function summarizeRank(question, values) {
+  const options = (question.rankOptions && question.rankOptions.options) || [];
+  const summary = options.map(option => {
+    const ranks = values
+      .map(value => (value.find(entry => entry.id === option.value) || {}).rank)
+      .filter(rank => typeof rank === 'number');
+    return {
+      value: option.value,
+      label: option.label,
+      count: ranks.length,
+      averageRank: mean(ranks),
+      firstPlaceCount: ranks.filter(rank => rank === 1).length
+    };
+  });
+
+  summary.sort((a, b) => (a.averageRank === null ? Infinity : a.averageRank) - (b.averageRank === null ? Infinity : b.averageRank));
+  return { kind: SUMMARY_KINDS.rank, options: summary };
+}
+
+/**
+ * Summarize a tags question: how often each tag was selected
+ * @param {Object} question - The question object
+ * @param {Array} values - The answer values (arrays of tags)
+ * @returns {Object} - Tags summary, most frequent first
+ */
+function summarizeTags(question, values) {
+  const counts = new Map();
+  const predefined = new Set((question.tagOptions && question.tagOptions.tags) || []);
+
+  values.forEach(value => {
+    new Set(value).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+  });
+
+  const tags = Array.from(counts.entries())
+    .map(([tag, count]) => ({ tag, count, percentage: toPercentage(count, values.length), predefined: predefined.has(tag) }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+
+  return { kind: SUMMARY_KINDS.tags, tags };
+}
+
+/**
+ * Summarize a 2D matrix question as a heatmap of selected cells
+ * @param {Object} question - The question object
+ * @param {Array} values - The answer values ("row:column" or arrays of them)
+ * @returns {Object} - Matrix summary with a count per row and column
+ */
+function summarizeMatrix(question, values) {
+  const config = question.matrix || {};
+  const rows = config.rows || [];
+  const columns = config.columns || [];
+  const cells = rows.map(() => columns.map(() => 0));
+
+  values.forEach(value => {
+    (Array.isArray(value) ? value : [value]).forEach(cellId => {
+      const [rowId, columnId] = String(cellId).split(':');
+      const rowIndex = rows.findIndex(row => row.id === rowId);
+      const columnIndex = columns.findIndex(column => column.id === columnId);
+      if (rowIndex >= 0 && columnIndex >= 0) {
+        cells[rowIndex][columnIndex]++;
+      }
+    });
+  });
+
+  return {
+    kind: SUMMARY_KINDS.matrix,
+    rows: rows.map(row => row.label || row.id),
+    columns: columns.map(column => column.label || column.id),
+    cells
+  };
+}
+
+/**
+ * Summarize a multi-value slider question as a heatmap of option positions.
+ * Discrete sliders are binned by zone, continuous sliders in equal-width bins.
+ * @param {Object} question - The question object
+ * @param {Array} values - The answer values ({ optionId: position })
+ * @returns {Object} - Slider heatmap summary
+ */
+function summarizeSlider(question, values) {
+  const config = question.multiValueSlider || {};
+  const zones = config.mode !== 'continuous' && Array.isArray(config.zones) && config.zones.length > 0
+    ? config.zones.map(zone => ({ start: zone.start, end: zone.end, label: zone.label || zone.id }))
+    : createBins(config.min !== undefined ? config.min : 0, config.max !== undefined ? config.max : 100, 1);
+
+  const options = (config.options || []).map(option => {
+    const positions = values
+      .map(value => value[option.id])
+      .filter(position => typeof position === 'number');
+    const cells = zones.map(() => 0);
+    positions.forEach(position => {
+      const bin = findBin(zones, position);
+      if (bin >= 0) {
+        cells[bin]++;
+      }
+    });
+    return { id: option.id, label: option.label, count: positions.length, mean: mean(positions), cells };
+  });
+
+  return { kind: SUMMARY_KINDS.sliderHeatmap, bins: zones.map(zone => zone.label), options };
+}
+
+/**
+ * Summarize a radar question as heatmaps of segment and ring placements
+ * @param {Object} question - The question object
+ * @param {Array} values - The answer values ({ optionId: { segment, ring } })
+ * @returns {Object} - Radar heatmap summary, cells indexed [ring][segment]
+ */
+function summarizeRadar(question, values) {
+  const config = question.radar || {};
+  const segments = (config.variable1 && config.variable1.labels) || [];
+  const rings = (config.variable2 && config.variable2.labels) || [];
+  const emptyGrid = () => rings.map(() => segments.map(() => 0));
+  const totals = emptyGrid();
+
+  const options = (config.options || []).map(option => {
+    const cells = emptyGrid();
+    let count = 0;
+    values.forEach(value => {
+      const placement = value[option.id];
+      const ringIndex = placement ? rings.indexOf(placement.ring) : -1;
+      const segmentIndex = placement ? segments.indexOf(placement.segment) : -1;
+      if (ringIndex >= 0 && segmentIndex >= 0) {
+        cells[ringIndex][segmentIndex]++;
+        totals[ringIndex][segmentIndex]++;
+        count++;
+      }
+    });
+    return { id: option.id, label: option.label, count, cells };
+  });
+
+  return { kind: SUMMARY_KINDS.radarHeatmap, segments, rings, options, totals };
+}
+
+/**
+ * Summarize the answers to one question
+ * @param {Object} question - The question object
+ * @param {Array} submissions - Prepared submissions
+ * @returns {Object} - { answered, summary }
+ */
+export function aggregateQuestion(question, submissions) {
+  const values = submissions
+    .map(submission => unwrapResponse(question, submission.responses[question.id]).value)
+    .filter(isAnswered);
+
+  let summary;
+  switch (question.type) {
+    case 'radio':
+    case 'checkbox':
+      summary = summarizeChoice(question, values);
+      break;
+    case 'likert':
+      summary = summarizeLikert(question, values);
+      break;
+    case 'rangeSlider':
+      summary = summarizeRange(question, values);
+      break;
+    case 'rankOptions':
+      summary = summarizeRank(question, values.filter(Array.isArray));
+      break;
+    case 'tags':
+      summary = summarizeTags(question, values.filter(Array.isArray));
+      break;
+    case 'matrix2d':
+      summary = summarizeMatrix(question, values);
+      break;
+    case 'multiValueSlider':
+      summary = summarizeSlider(question, values);
+      break;
+    case 'radar':
+      summary = summarizeRadar(question, values);
+      break;
+    default:
+      summary = { kind: SUMMARY_KINDS.text };
+  }
+
+  return { answered: values.length, summary };
+}
+
+/**
+ * Aggregate all submissions per question of the survey definition
+ * @param {Object} definition - The survey definition
+ * @param {Array} submissions - Prepared submissions (see prepareSubmissions)
+ * @returns {Object} - { respondentCount, questions: Array<{ id, title, type, stepTitle, answered, summary }> }
+ */
+export function aggregateResults(definition, submissions) {
+  return {
+    respondentCount: submissions.length,
+    questions: getSurveyQuestions(definition).map(({ question, step }) => ({
+      id: question.id,
+      title: question.title,
+      type: question.type,
+      stepTitle: step.title,
+      ...aggregateQuestion(question, submissions)
+    }))
+  };
+}
@@ -0,0 +1,270 @@
+/**
+ * resultsCodebook.js
+ * Codebook export module
+ *
+ * This module describes the columns of the response export for analysts who
+ * import the data into R or SPSS: variable names, question text, value codes
+ * and labels, scale ranges and slider zones. The codebook is built from the
+ * survey definition with the same column builder as the export, so variable
+ * names always match. It can be downloaded as JSON and as Markdown.
+ */
+
+import { buildExportColumns, COLUMN_KINDS, downloadBlob, getExportBaseName } from './resultsExport.js';
+
+// Measurement levels, as used by SPSS
+const MEASURES = {
+  nominal: 'nominal',
+  ordinal: 'ordinal',
+  scale: 'scale'
+};
+
+// Value types of the exported columns
+const VALUE_TYPES = {
+  text: 'text',
+  code: 'code',
+  codeList: 'code list',
+  number: 'number',
+  datetime: 'datetime'
+};
+
+// Meta columns holding timestamps
+const DATETIME_COLUMNS = ['completed_at', 'last_modified'];
+
+/**
+ * Build value code/label pairs from a list of options
+ * @param {Array} options - Options with value or id and label
+ * @returns {Array} - Array of { code, label }
+ */
+function optionValues(options) {
+  return (options || []).map(option => ({ code: option.value !== undefined ? option.value : option.id, label: option.label }));
+}
+
+/**
+ * Build 1-based value codes for an ordered list of labels
+ * @param {string[]} labels - The labels
+ * @returns {Array} - Array of { code, label }
+ */
+function positionValues(labels) {
+  return (labels || []).map((label, index) => ({ code: index + 1, label }));
+}
+
+/**
+ * Describe the values of an answer column
+ * @param {Object} column - Column from buildExportColumns
+ * @returns {Object} - { valueType, measure, values?, range?, zones? }
+ */
+function describeAnswerColumn(column) {
+  const question = column.question;
+
+  switch (question.type) {
+    case 'radio':
+      return { valueType: VALUE_TYPES.code, measure: MEASURES.nominal, values: optionValues(question.options) };
+    case 'checkbox':
+      return { valueType: VALUE_TYPES.codeList, measure: MEASURES.nominal, values: optionValues(question.options) };
+    case 'likert': {
+      const scale = question.likertScale || {};
+      const min = scale.min !== undefined ? scale.min : 1;
+      const max = scale.max !== undefined ? scale.max : 5;
+      const values = [];
+      for (let score = min; score <= max; score++) {
+        values.push({ code: score, label: (scale.labels || {})[score] || String(score) });
+      }
+      return { valueType: VALUE_TYPES.code, measure: MEASURES.ordinal, values, range: { min, max } };
+    }
+    case 'rangeSlider': {
+      const config = question.rangeSlider || {};
+      return {
+        valueType: VALUE_TYPES.number,
+        measure: MEASURES.scale,
+        range: { min: config.min !== undefined ? config.min : 0, max: config.max !== undefined ? config.max : 100, step: config.step || 1 },
+        values: Object.entries(config.labels || {}).map(([code, label]) => ({ code: Number(code), label }))
+      };
+    }
+    case 'matrix2d':
+      return {
+        valueType: question.matrix && question.matrix.allowMultiple ? VALUE_TYPES.codeList : VALUE_TYPES.code,
+        measure: MEASURES.nominal,
+        values: ((question.matrix && question.matrix.columns) || []).map(matrixColumn => ({ code: matrixColumn.id, label: matrixColumn.label }))
+      };
+    case 'rankOptions': {
+      const optionCount = ((question.rankOptions && question.rankOptions.options) || []).length;
+      return { valueType: VALUE_TYPES.number, measure: MEASURES.ordinal, range: { min: 1, max: optionCount }, note: '1 is the highest rank' };
+    }
+    case 'tags':
+      return {
+        valueType: VALUE_TYPES.codeList,
+        measure: MEASURES.nominal,
+        values: ((question.tagOptions && question.tagOptions.tags) || []).map(tag => ({ code: tag, label: tag })),
+        note: question.tagOptions && question.tagOptions.allowCustom === false ? undefined : 'Respondents can add their own tags'
+      };
+    case 'multiValueSlider': {
+      const config = question.multiValueSlider || {};
+      const description = {
+        valueType: VALUE_TYPES.number,
+        measure: MEASURES.scale,
+        range: { min: config.min !== undefined ? config.min : 0, max: config.max !== undefined ? config.max : 100 }
+      };
+      if (config.mode !== 'continuous' && Array.isArray(config.zones)) {
+        description.zones = config.zones.map(zone => ({ id: zone.id, label: zone.label, start: zone.start, end: zone.end }));
+        description.note = 'Exported with labels, the zone label is written instead of the position';
+      }
+      return description;
+    }
+    case 'radar': {
+      const config = question.radar || {};
+      const part = column.subId.endsWith('_ring') ? 'variable2' : 'variable1';
+      return { valueType: VALUE_TYPES.code, measure: MEASURES.nominal, values: positionValues(config[part] && config[part].labels) };
+    }
+    default:
+      return { valueType: VALUE_TYPES.text, measure: MEASURES.nominal };
+  }
+}
+
+/**
+ * Describe one column of the export
+ * @param {Object} column - Column from buildExportColumns
+ * @returns {Object} - The codebook variable
+ */
+function describeColumn(column) {
+  const variable = {
+    name: column.name,
+    label: column.title,
+    questionId: column.question ? column.question.id : null,
+    questionType: column.question ? column.question.type : null,
+    kind: column.kind
+  };
+
+  if (column.kind === COLUMN_KINDS.answer) {
+    Object.assign(variable, describeAnswerColumn(column));
+  } else if (column.kind === COLUMN_KINDS.meta && DATETIME_COLUMNS.includes(column.name)) {
+    Object.assign(variable, { valueType: VALUE_TYPES.datetime, note: 'ISO 8601, UTC' });
+  } else {
+    Object.assign(variable, { valueType: VALUE_TYPES.text, measure: MEASURES.nominal });
+  }
+
+  // Drop properties that do not apply, so that the JSON stays readable
+  Object.keys(variable).forEach(key => {
+    if (variable[key] === undefined || (Array.isArray(variable[key]) && variable[key].length === 0)) {
+      delete variable[key];
+    }
+  });
+  return variable;
+}
+
+/**
+ * Build the codebook for a survey definition
+ * @param {Object} definition - The survey definition
+ * @returns {Object} - { survey: {id, title, version}, generatedAt, listSeparator, variables: Array }
+ */
+export function buildCodebook(definition) {
+  return {
+    survey: {
+      id: definition.id || null,
+      title: definition.title || '',
+      version: definition.version !== undefined ? String(definition.version) : null
+    },
+    generatedAt: new Date().toISOString(),
+    listSeparator: '; ',
+    variables: buildExportColumns(definition).map(describeColumn)
+  };
+}
+
+/**
+ * Escape text for use in a Markdown table cell
+ * @param {any} text - The text
+ * @returns {string} - The escaped text
+ */
+function escapeMarkdownCell(text) {
+  return String(text === undefined || text === null ? '' : text)
+    .replace(/\|/g, '\\|')
+    .replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Describe the values of a variable in one line of text
+ * @param {Object} variable - The codebook variable
+ * @returns {string} - The value description
+ */
+function describeValues(variable) {
+  const parts = [];
+  if (variable.range) {
+    parts.push(`${variable.range.min} to ${variable.range.max}`);
+  }
+  if (variable.values) {
+    parts.push(variable.values.map(value => `${value.code} = ${value.label}`).join(', '));
+  }
+  if (variable.zones) {
+    parts.push(`zones: ${variable.zones.map(zone => `${zone.label} (${zone.start}-${zone.end})`).join(', ')}`);
+  }
+  if (variable.note) {
+    parts.push(variable.note);
+  }
+  return parts.join('; ');
+}
+
+/**
+ * Render the codebook as Markdown
+ * @param {Object} codebook - The result of buildCodebook
+ * @returns {string} - The Markdown text
+ */
+export function toMarkdown(codebook) {
+  const lines = [
+    `# Codebook: ${codebook.survey.title}`,
+    '',
+    `- Survey id: ${codebook.survey.id || '-'}`,
+    `- Definition version: ${codebook.survey.version || '-'}`,
+    `- Generated at: ${codebook.generatedAt}`,
+    `- Several values in one cell are separated by "${codebook.listSeparator.trim()}"`,
+    '',
+    '| Variable | Label | Type | Measure | Values |',
+    '|----------|-------|------|---------|--------|'
+  ];
+
+  codebook.variables.forEach(variable => {
+    lines.push(`| ${[
+      variable.name,
+      variable.label,
+      variable.valueType,
+      variable.measure || '',
+      describeValues(variable)
+    ].map(escapeMarkdownCell).join(' | ')} |`);
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Convert the codebook into rows for a spreadsheet
+ * @param {Object} codebook - The result of buildCodebook
+ * @returns {Array<Array>} - Header row followed by one row per variable
+ */
+export function toCodebookRows(codebook) {
+  return [
+    ['variable', 'label', 'type', 'measure', 'values'],
+    ...codebook.variables.map(variable => [
+      variable.name,
+      variable.label,
+      variable.valueType,
+      variable.measure || '',
+      describeValues(variable)
+    ])
+  ];
+}
+
+/**
+ * Download the codebook as JSON
+ * @param {Object} definition - The survey definition
+ */
+export function downloadCodebookJson(definition) {
+  const json = JSON.stringify(buildCodebook(definition), null, 2);
+  downloadBlob(new Blob([json], { type: 'application/json' }), `${getExportBaseName(definition)}-codebook.json`);
+}
+
+/**
+ * Download the codebook as Markdown
+ * @param {Object} definition - The survey definition
+ */
+export function downloadCodebookMarkdown(definition) {
+  const markdown = toMarkdown(buildCodebook(definition));
+  downloadBlob(new Blob([markdown], { type: 'text/markdown;charset=utf-8' }), `${getExportBaseName(definition)}-codebook.md`);
+}
@@ -0,0 +1,275 @@
+/**
+ * resultsCrossTab.js
+ * Cross-tabulation module
+ *
+ * This module breaks the results of every question down by the answers to a
+ * segmenting radio or checkbox question (for example `rol` or `bedrijf`).
+ * Every cell carries the number of respondents it is based on; cells based on
+ * fewer respondents than the minimum cell size are suppressed, so that small
+ * groups cannot be identified. Because a hidden cell could otherwise be worked
+ * out from the totals and the other cells of its row or segment (a segment of 6
+ * with a shown count of 5 leaves 1), a second cell is hidden wherever a row, a
+ * segment's counts or the list of segments would have exactly one hidden cell
+ * (complementary suppression). It has no DOM dependencies.
+ */
+
+import { getSurveyQuestions, unwrapResponse, isAnswered, getOptionLabel } from './responseValues.js';
+import { aggregateQuestion, SUMMARY_KINDS } from './resultsAggregator.js';
+
+// Question types that can be used as a segment dimension
+const SEGMENT_TYPES = ['radio', 'checkbox'];
+
+// Default minimum number of respondents a cell must be based on
+export const DEFAULT_MIN_CELL_SIZE = 5;
+
+// Maximum number of tags shown per question in the cross-tabulation
+const MAX_TAG_ROWS = 10;
+
+/**
+ * Get the questions that can be used as a segment dimension
+ * @param {Object} definition - The survey definition
+ * @returns {Array} - The radio and checkbox questions
+ */
+export function getSegmentQuestions(definition) {
+  return getSurveyQuestions(definition)
+    .map(({ question }) => question)
+    .filter(question => SEGMENT_TYPES.includes(question.type));
+}
+
+/**
+ * Split submissions into segments by their answer to the segment question.
+ * With a checkbox question a respondent belongs to every segment they selected.
+ * @param {Object} segmentQuestion - The segmenting question
+ * @param {Array} submissions - Prepared submissions
+ * @returns {Array} - Array of { value, label, submissions }, in option order
+ */
+export function segmentSubmissions(segmentQuestion, submissions) {
+  const segments = new Map(
+    (segmentQuestion.options || []).map(option => [option.value, { value: option.value, label: option.label, submissions: [] }])
+  );
+
+  submissions.forEach(submission => {
+    const { value } = unwrapResponse(segmentQuestion, submission.responses[segmentQuestion.id]);
+    if (!isAnswered(value)) {
+      return;
+    }
+    new Set((Array.isArray(value) ? value : [value])
+      .map(selection => (selection && typeof selection === 'object' && selection.isOther ? 'other' : selection)))
+      .forEach(segmentValue => {
+        if (!segments.has(segmentValue)) {
+          segments.set(segmentValue, { value: segmentValue, label: getOptionLabel(segmentQuestion, segmentValue), submissions: [] });
+        }
+        segments.get(segmentValue).submissions.push(submission);
+      });
+  });
+
+  return Array.from(segments.values());
+}
+
+/**
+ * Create a cell of the cross-tabulation
+ * @param {number|string|null} value - The cell value
+ * @param {number} respondents - Number of respondents the cell is based on
+ * @param {number} minCellSize - Minimum number of respondents for a cell to be shown
+ * @param {string} [percentageText] - Optional percentage shown with counts
+ * @returns {Object} - { value, respondents, suppressed, percentageText }
+ */
+function createCell(value, respondents, minCellSize, percentageText) {
+  const suppressed = respondents > 0 && respondents < minCellSize;
+  return {
+    value: suppressed ? null : value,
+    respondents: suppressed ? null : respondents,
+    suppressed,
+    percentageText: suppressed ? null : percentageText
+  };
+}
+
+/**
+ * Hide a cell that was suppressed only to protect another cell
+ * @param {Object} cell - The cell (see createCell)
+ */
+function suppressCell(cell) {
+  cell.value = null;
+  cell.respondents = null;
+  cell.suppressed = true;
+  cell.percentageText = null;
+}
+
+/**
+ * Complementary suppression for one line of items (a row, a segment's counts or the
+ * segments): when exactly one item is hidden, also hide the smallest shown item that
+ * is based on respondents, so the hidden one cannot be worked out from the total
+ * @param {Array} items - Items with a suppressed flag
+ * @param {Function} getSize - Returns the number of respondents of a shown item
+ * @param {Function} suppress - Hides an item
+ * @returns {boolean} - Whether an item was hidden
+ */
+function suppressComplement(items, getSize, suppress) {
+  if (items.filter(item => item.suppressed).length !== 1) {
+    return false;
+  }
+  const candidates = items.filter(item => !item.suppressed && getSize(item) > 0);
+  if (candidates.length === 0) {
+    return false;
+  }
+  suppress(candidates.reduce((smallest, item) => (getSize(item) < getSize(smallest) ? item : smallest)));
+  return true;
+}
+
+/**
+ * Apply complementary suppression to the rows of one question until every row, and for counts
+ * every segment, has no hidden cell or at least two. Means and ranks do not add up within a
+ * segment, so only rows of counts are protected per segment.
+ * @param {Array} rows - Array of { measure, cells }, cells in segment order
+ */
+function suppressComplementaryCells(rows) {
+  const segmentCount = rows.length > 0 ? rows[0].cells.length : 0;
+  const countRows = rows.filter(row => row.measure === 'count');
+  let changed = true;
+  while (changed) {
+    changed = false;
+    rows.forEach(row => {
+      changed = suppressComplement(row.cells, cell => cell.respondents, suppressCell) || changed;
+    });
+    for (let segmentIndex = 0; segmentIndex < segmentCount; segmentIndex++) {
+      const segmentCells = countRows.map(row => row.cells[segmentIndex]);
+      changed = suppressComplement(segmentCells, cell => cell.respondents, suppressCell) || changed;
+    }
+  }
+}
+
+/**
+ * Find the ring in which an option was placed most often
+ * @param {Object} summary - Radar heatmap summary
+ * @param {Object} option - The option summary
+ * @returns {string|null} - The ring label, or null when the option was not placed
+ */
+function getMostFrequentRing(summary, option) {
+  const ringCounts = option.cells.map(ring => ring.reduce((sum, count) => sum + count, 0));
+  const maxCount = Math.max(0, ...ringCounts);
+  return maxCount > 0 ? summary.rings[ringCounts.indexOf(maxCount)] : null;
+}
+
+/**
+ * Build the rows of one question's cross-tabulation
+ * @param {Array} segmentResults - Per segment the result of aggregateQuestion
+ * @param {Object} overall - aggregateQuestion over all respondents, used to pick rows
+ * @param {number} minCellSize - Minimum number of respondents per cell
+ * @returns {Array} - Array of { label, measure, cells }
+ */
+function buildQuestionRows(segmentResults, overall, minCellSize) {
+  const summaries = segmentResults.map(result => result.summary);
+  const row = (label, measure, getCell) => ({
+    label,
+    measure,
+    cells: segmentResults.map((result, index) => getCell(summaries[index], result))
+  });
+
+  switch (overall.summary.kind) {
+    case SUMMARY_KINDS.choice:
+      return overall.summary.options.map((option, optionIndex) => row(option.label, 'count', summary => {
+        const segmentOption = summary.options[optionIndex];
+        return createCell(segmentOption.count, segmentOption.count, minCellSize, `${segmentOption.percentage}%`);
+      }));
+    case SUMMARY_KINDS.likert:
+      return overall.summary.items.map((item, itemIndex) => row(item.label, 'mean', summary =>
+        createCell(summary.items[itemIndex].mean, summary.items[itemIndex].count, minCellSize)));
+    case SUMMARY_KINDS.range:
+      return [row('Mean', 'mean', (summary, result) => createCell(summary.mean, result.answered, minCellSize))];
+    case SUMMARY_KINDS.rank:
+      return overall.summary.options.map(option => row(option.label, 'average rank', summary => {
+        const segmentOption = summary.options.find(candidate => candidate.value === option.value);
+        return createCell(segmentOption.averageRank, segmentOption.count, minCellSize);
+      }));
+    case SUMMARY_KINDS.tags:
+      return overall.summary.tags.slice(0, MAX_TAG_ROWS).map(tag => row(tag.tag, 'count', summary => {
+        const segmentTag = summary.tags.find(candidate => candidate.tag === tag.tag);
+        const count = segmentTag ? segmentTag.count : 0;
+        return createCell(count, count, minCellSize, segmentTag ? `${segmentTag.percentage}%` : '0%');
+      }));
+    case SUMMARY_KINDS.matrix: {
+      const rows = [];
+      overall.summary.rows.forEach((rowLabel, rowIndex) => {
+        overall.summary.columns.forEach((columnLabel, columnIndex) => {
+          if (overall.summary.cells[rowIndex][columnIndex] > 0) {
+            rows.push(row(`${rowLabel}: ${columnLabel}`, 'count', summary => {
+              const count = summary.cells[rowIndex][columnIndex];
+              return createCell(count, count, minCellSize);
+            }));
+          }
+        });
+      });
+      return rows;
+    }
+    case SUMMARY_KINDS.sliderHeatmap:
+      return overall.summary.options.map((option, optionIndex) => row(option.label, 'mean position', summary =>
+        createCell(summary.options[optionIndex].mean, summary.options[optionIndex].count, minCellSize)));
+    case SUMMARY_KINDS.radarHeatmap:
+      return overall.summary.options.map((option, optionIndex) => row(option.label, 'most frequent ring', summary => {
+        const segmentOption = summary.options[optionIndex];
+        return createCell(getMostFrequentRing(summary, segmentOption), segmentOption.count, minCellSize);
+      }));
+    default:
+      return [row('Answered', 'count', (summary, result) => createCell(result.answered, result.answered, minCellSize))];
+  }
+}
+
+/**
+ * Break the results of every question down by a segmenting question
+ * @param {Object} definition - The survey definition
+ * @param {Array} submissions - Prepared submissions
+ * @param {string} segmentQuestionId - Id of the radio or checkbox question to segment by
+ * @param {Object} [options={}] - Options
+ * @param {number} [options.minCellSize=DEFAULT_MIN_CELL_SIZE] - Cells based on fewer respondents are suppressed
+ * @returns {Object} - { segmentQuestion, minCellSize, overlapping, segments, questions }; the cells
+ *   of each question row line up with the segments that are shown
+ */
+export function buildCrossTab(definition, submissions, segmentQuestionId, { minCellSize = DEFAULT_MIN_CELL_SIZE } = {}) {
+  const segmentQuestion = getSegmentQuestions(definition).find(question => question.id === segmentQuestionId);
+  if (!segmentQuestion) {
+    throw new Error(`Question "${segmentQuestionId}" cannot be used as a segment`);
+  }
+
+  // Segments that are too small are suppressed as a whole; with a single small segment its size
+  // would follow from the number of respondents, so the smallest other segment is hidden as well
+  const allSegments = segmentSubmissions(segmentQuestion, submissions).map(segment => ({
+    ...segment,
+    suppressed: segment.submissions.length > 0 && segment.submissions.length < minCellSize
+  }));
+  suppressComplement(allSegments, segment => segment.submissions.length, segment => {
+    segment.suppressed = true;
+  });
+  allSegments.forEach(segment => {
+    segment.shown = !segment.suppressed && segment.submissions.length > 0;
+  });
+  const shownSegments = allSegments.filter(segment => segment.shown);
+
+  const questions = getSurveyQuestions(definition)
+    .filter(({ question }) => question.id !== segmentQuestion.id)
+    .map(({ question }) => {
+      const overall = aggregateQuestion(question, submissions);
+      const segmentResults = shownSegments.map(segment => aggregateQuestion(question, segment.submissions));
+      const rows = buildQuestionRows(segmentResults, overall, minCellSize);
+      suppressComplementaryCells(rows);
+      return {
+        id: question.id,
+        title: question.title,
+        type: question.type,
+        rows
+      };
+    });
+
+  return {
+    segmentQuestion: { id: segmentQuestion.id, title: segmentQuestion.title },
+    minCellSize,
+    overlapping: segmentQuestion.type === 'checkbox',
+    segments: allSegments.map(segment => ({
+      value: segment.value,
+      label: segment.label,
+      respondents: segment.suppressed ? null : segment.submissions.length,
+      shown: segment.shown,
+      suppressed: segment.suppressed
+    })),
+    questions
+  };
+}
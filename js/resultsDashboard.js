@@ -0,0 +1,487 @@
+/**
+ * resultsDashboard.js
+ * Admin results dashboard module
+ *
+ * This module loads all submitted results through the admin endpoint and shows
+ * an aggregated view per question of the loaded survey definition: bars with
+ * counts and percentages, scale distributions and means, average ranks, tag
+ * frequencies and heatmaps for matrix, multi-value slider and radar questions.
+ * The results can be broken down by the answers to a radio or checkbox question.
+ */
+
+import * as dataService from './dataService.js';
+import * as surveyData from './surveyData.js';
+import { prepareSubmissions, aggregateResults, SUMMARY_KINDS } from './resultsAggregator.js';
+import { downloadCsv, downloadXlsx } from './resultsExport.js';
+import { buildCodebook, toCodebookRows, downloadCodebookJson, downloadCodebookMarkdown } from './resultsCodebook.js';
+import { getSegmentQuestions, buildCrossTab, DEFAULT_MIN_CELL_SIZE } from './resultsCrossTab.js';
+
+// Constants for element IDs
+const ELEMENT_IDS = {
+  loadButton: 'load-results-dashboard',
+  dashboard: 'results-dashboard',
+  status: 'results-dashboard-status',
+  content: 'results-dashboard-content',
+  exportCsvButton: 'export-results-csv',
+  exportXlsxButton: 'export-results-xlsx',
+  exportUseCodes: 'export-use-codes',
+  codebookJsonButton: 'export-codebook-json',
+  codebookMarkdownButton: 'export-codebook-md',
+  segmentSelect: 'results-segment-question',
+  minCellSizeInput: 'results-min-cell-size'
+};
+
+// Constants for CSS classes
+const CSS_CLASSES = {
+  loading: 'loading',
+  error: 'error',
+  success: 'success'
+};
+
+// Events dispatched on window by the dashboard
+export const RESULTS_EVENTS = {
+  loaded: 'results:loaded'
+};
+
+// Dashboard state, shared with the other admin analytics views
+const dashboardState = {
+  initialized: false,
+  loading: false,
+  definition: null,
+  submissions: [],
+  draftCount: 0,
+  failedFiles: []
+};
+
+/**
+ * Escape text for safe use in HTML
+ * @param {any} text - The text to escape
+ * @returns {string} - The escaped text
+ */
+export function escapeHtml(text) {
+  return String(text === undefined || text === null ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Show a status message above the dashboard
+ * @param {string} message - The message
+ * @param {string} [statusClass] - One of CSS_CLASSES
+ */
+function showStatus(message, statusClass) {
+  const status = document.getElementById(ELEMENT_IDS.status);
+  if (!status) {
+    return;
+  }
+  status.classList.remove(CSS_CLASSES.loading, CSS_CLASSES.error, CSS_CLASSES.success);
+  if (statusClass) {
+    status.classList.add(statusClass);
+  }
+  status.textContent = message;
+}
+
+/**
+ * Render a horizontal bar with a label, count and percentage
+ * @param {string} label - The label
+ * @param {number} count - The count
+ * @param {number} percentage - The percentage (0-100)
+ * @returns {string} - HTML for the bar
+ */
+function renderBar(label, count, percentage) {
+  return `
+    <div class="results-bar-row">
+      <span class="results-bar-label">${escapeHtml(label)}</span>
+      <span class="results-bar-track"><span class="results-bar" style="width: ${percentage}%"></span></span>
+      <span class="results-bar-value">${count} (${percentage}%)</span>
+    </div>`;
+}
+
+/**
+ * Render a heatmap table; cell shading is relative to the largest count
+ * @param {string[]} rowLabels - Labels of the rows
+ * @param {string[]} columnLabels - Labels of the columns
+ * @param {number[][]} cells - Counts indexed [row][column]
+ * @returns {string} - HTML for the heatmap
+ */
+function renderHeatmap(rowLabels, columnLabels, cells) {
+  const maxCount = Math.max(1, ...cells.map(row => Math.max(0, ...row)));
+  const header = columnLabels.map(label => `<th>${escapeHtml(label)}</th>`).join('');
+  const rows = rowLabels.map((label, rowIndex) => {
+    const rowCells = cells[rowIndex].map(count => {
+      const intensity = Math.round((count / maxCount) * 100) / 100;
+      return `<td style="background-color: rgba(0, 120, 212, ${intensity})" class="${intensity > 0.5 ? 'results-heatmap-dark' : ''}">${count || ''}</td>`;
+    }).join('');
+    return `<tr><th>${escapeHtml(label)}</th>${rowCells}</tr>`;
+  }).join('');
+
+  return `<table class="results-heatmap"><thead><tr><th></th>${header}</tr></thead><tbody>${rows}</tbody></table>`;
+}
+
+/**
+ * Render the summary of one question
+ * @param {Object} summary - The summary from resultsAggregator
+ * @returns {string} - HTML for the summary
+ */
+function renderSummary(summary) {
+  switch (summary.kind) {
+    case SUMMARY_KINDS.choice: {
+      const bars = summary.options.map(option => renderBar(option.label, option.count, option.percentage)).join('');
+      const others = summary.otherValues.length > 0
+        ? `<p class="results-note">Other: ${summary.otherValues.map(escapeHtml).join('; ')}</p>`
+        : '';
+      return bars + others;
+    }
+    case SUMMARY_KINDS.likert: {
+      const columns = summary.items.length > 0 ? summary.items[0].distribution.map(entry => entry.label) : [];
+      const rows = summary.items.map(item => `${item.label} (mean ${item.mean === null ? '-' : item.mean})`);
+      return renderHeatmap(rows, columns, summary.items.map(item => item.distribution.map(entry => entry.count)));
+    }
+    case SUMMARY_KINDS.range:
+      return `<p class="results-note">Mean: ${summary.mean === null ? '-' : summary.mean}</p>` +
+        summary.distribution.map(entry => renderBar(entry.label, entry.count, entry.percentage)).join('');
+    case SUMMARY_KINDS.rank:
+      return `<ol class="results-rank-list">${summary.options.map(option => `
+        <li>${escapeHtml(option.label)} <span class="results-note">average rank ${option.averageRank === null ? '-' : option.averageRank}, ranked first ${option.firstPlaceCount}x</span></li>`).join('')}
+      </ol>`;
+    case SUMMARY_KINDS.tags: {
+      const maxCount = Math.max(1, ...summary.tags.map(tag => tag.count));
+      return `<div class="results-tag-cloud">${summary.tags.map(tag => `
+        <span class="results-tag" style="font-size: ${(0.8 + (tag.count / maxCount) * 1.2).toFixed(2)}em" title="${tag.count} (${tag.percentage}%)">${escapeHtml(tag.tag)}</span>`).join('')}
+      </div>`;
+    }
+    case SUMMARY_KINDS.matrix:
+      return renderHeatmap(summary.rows, summary.columns, summary.cells);
+    case SUMMARY_KINDS.sliderHeatmap:
+      return renderHeatmap(
+        summary.options.map(option => `${option.label} (mean ${option.mean === null ? '-' : option.mean})`),
+        summary.bins,
+        summary.options.map(option => option.cells)
+      );
+    case SUMMARY_KINDS.radarHeatmap:
+      return `<p class="results-note">All options</p>${renderHeatmap(summary.rings, summary.segments, summary.totals)}` +
+        summary.options.map(option => `
+          <details class="results-radar-option">
+            <summary>${escapeHtml(option.label)} (${option.count})</summary>
+            ${renderHeatmap(summary.rings, summary.segments, option.cells)}
+          </details>`).join('');
+    default:
+      return '<p class="results-note">Free-text answers are not aggregated.</p>';
+  }
+}
+
+/**
+ * Render the header line with the number of respondents
+ * @param {number} respondentCount - Number of respondents
+ * @returns {string} - HTML for the header
+ */
+function renderRespondentSummary(respondentCount) {
+  const drafts = dashboardState.draftCount > 0
+    ? `, ${dashboardState.draftCount} unfinished draft(s) not included`
+    : '';
+  return `<p class="results-summary">${respondentCount} respondent(s)${drafts}</p>`;
+}
+
+/**
+ * Render the aggregated results into the dashboard
+ * @param {Object} results - The result of aggregateResults
+ */
+function renderDashboard(results) {
+  const content = document.getElementById(ELEMENT_IDS.content);
+  if (!content) {
+    return;
+  }
+
+  const header = renderRespondentSummary(results.respondentCount);
+
+  const questions = results.questions.map(question => `
+    <div class="results-question" data-question-id="${escapeHtml(question.id)}">
+      <h4>${escapeHtml(question.title)}</h4>
+      <p class="results-note">${escapeHtml(question.stepTitle)} - answered by ${question.answered} of ${results.respondentCount}</p>
+      ${renderSummary(question.summary)}
+    </div>`).join('');
+
+  content.innerHTML = header + questions;
+}
+
+/**
+ * Render one cell of a cross-tabulation. Cells hidden because they are small and cells hidden
+ * to protect them look the same, so the small ones cannot be told apart.
+ * @param {Object} cell - The cell from resultsCrossTab
+ * @param {number} minCellSize - The minimum cell size, shown in the title of suppressed cells
+ * @returns {string} - HTML for the cell
+ */
+function renderCrossTabCell(cell, minCellSize) {
+  if (cell.suppressed) {
+    return `<td class="results-suppressed" title="Hidden to protect groups of fewer than ${minCellSize} respondents">*</td>`;
+  }
+  const value = cell.value === null ? '-' : escapeHtml(cell.value);
+  const percentage = cell.percentageText ? ` (${escapeHtml(cell.percentageText)})` : '';
+  return `<td>${value}${percentage}<span class="results-crosstab-n">n=${cell.respondents}</span></td>`;
+}
+
+/**
+ * Render the results broken down by a segment question into the dashboard
+ * @param {Object} crossTab - The result of buildCrossTab
+ */
+function renderCrossTab(crossTab) {
+  const content = document.getElementById(ELEMENT_IDS.content);
+  if (!content) {
+    return;
+  }
+
+  const shownSegments = crossTab.segments.filter(segment => segment.shown);
+  const suppressedSegments = crossTab.segments.filter(segment => segment.suppressed);
+  const notes = [`Broken down by "${crossTab.segmentQuestion.title}".`];
+  if (crossTab.overlapping) {
+    notes.push('Respondents can belong to more than one segment.');
+  }
+  if (suppressedSegments.length > 0) {
+    notes.push(`Hidden to protect groups of fewer than ${crossTab.minCellSize} respondents: ${suppressedSegments.map(segment => segment.label).join(', ')}.`);
+  }
+  if (crossTab.questions.some(question => question.rows.some(row => row.cells.some(cell => cell.suppressed)))) {
+    notes.push(`Cells marked * are hidden to protect groups of fewer than ${crossTab.minCellSize} respondents.`);
+  }
+  const header = renderRespondentSummary(dashboardState.submissions.length) +
+    `<p class="results-note">${notes.map(escapeHtml).join(' ')}</p>`;
+
+  if (shownSegments.length === 0) {
+    content.innerHTML = header + `<p class="results-note">No segment can be shown without revealing a group of fewer than ${crossTab.minCellSize} respondents.</p>`;
+    return;
+  }
+
+  const segmentHeader = shownSegments.map(segment =>
+    `<th>${escapeHtml(segment.label)}<span class="results-crosstab-n">n=${segment.respondents}</span></th>`).join('');
+
+  const questions = crossTab.questions.map(question => {
+    const rows = question.rows.map(row => `
+      <tr><th>${escapeHtml(row.label)} <span class="results-note">${escapeHtml(row.measure)}</span></th>${row.cells.map(cell => renderCrossTabCell(cell, crossTab.minCellSize)).join('')}</tr>`).join('');
+    return `
+    <div class="results-question" data-question-id="${escapeHtml(question.id)}">
+      <h4>${escapeHtml(question.title)}</h4>
+      <div class="results-crosstab-wrapper">
+        <table class="results-crosstab"><thead><tr><th></th>${segmentHeader}</tr></thead><tbody>${rows}</tbody></table>
+      </div>
+    </div>`;
+  }).join('');
+
+  content.innerHTML = header + questions;
+}
+
+/**
+ * Get the minimum cell size entered by the admin
+ * @returns {number} - The minimum number of respondents per cell
+ */
+function getMinCellSize() {
+  const input = document.getElementById(ELEMENT_IDS.minCellSizeInput);
+  const value = input ? parseInt(input.value, 10) : NaN;
+  return Number.isInteger(value) && value >= 1 ? value : DEFAULT_MIN_CELL_SIZE;
+}
+
+/**
+ * Show the loaded results, broken down by the selected segment question if any
+ */
+function renderResults() {
+  if (!dashboardState.definition) {
+    return;
+  }
+  const segmentSelect = document.getElementById(ELEMENT_IDS.segmentSelect);
+  const segmentQuestionId = segmentSelect ? segmentSelect.value : '';
+
+  if (!segmentQuestionId) {
+    renderDashboard(aggregateResults(dashboardState.definition, dashboardState.submissions));
+    return;
+  }
+  try {
+    renderCrossTab(buildCrossTab(dashboardState.definition, dashboardState.submissions, segmentQuestionId, { minCellSize: getMinCellSize() }));
+  } catch (error) {
+    console.error('Error building cross-tabulation:', error);
+    showStatus(`Error: ${error.message || 'Failed to break down results'}`, CSS_CLASSES.error);
+  }
+}
+
+/**
+ * Fill the segment select with the radio and checkbox questions of the definition
+ * @param {Object} definition - The survey definition
+ */
+function populateSegmentSelect(definition) {
+  const segmentSelect = document.getElementById(ELEMENT_IDS.segmentSelect);
+  if (!segmentSelect) {
+    return;
+  }
+  const selected = segmentSelect.value;
+  const questions = getSegmentQuestions(definition);
+  segmentSelect.innerHTML = '<option value="">All respondents</option>' + questions.map(question =>
+    `<option value="${escapeHtml(question.id)}">${escapeHtml(question.title)}</option>`).join('');
+  segmentSelect.value = questions.some(question => question.id === selected) ? selected : '';
+  segmentSelect.disabled = questions.length === 0;
+}
+
+/**
+ * Get the data of a result file; pseudonymous submissions get the pseudonym the file is named after,
+ * which the authorizer computed and the browser could not add itself
+ * @param {Object} file - A loaded result file ({ path, data })
+ * @returns {Object} - The file data, with the pseudonym for pseudonymous submissions
+ */
+function getFileSubmission(file) {
+  if (!file.data || file.data.anonymity !== surveyData.ANONYMITY.pseudonymous) {
+    return file.data;
+  }
+  return { ...file.data, pseudonym: file.path.split('/').pop() };
+}
+
+/**
+ * Load all submitted results and show the aggregated dashboard
+ * @returns {Promise<void>}
+ */
+export async function loadDashboard() {
+  if (dashboardState.loading) {
+    return;
+  }
+
+  const definition = surveyData.getSurveyDefinition();
+  if (!definition) {
+    showStatus('No survey definition loaded', CSS_CLASSES.error);
+    return;
+  }
+
+  const dashboard = document.getElementById(ELEMENT_IDS.dashboard);
+  if (dashboard) {
+    dashboard.style.display = 'block';
+  }
+
+  dashboardState.loading = true;
+  showStatus('Loading results...', CSS_CLASSES.loading);
+
+  try {
+    const { files, failed } = await dataService.getAllDeltaFilesAsAdmin(undefined, (loaded, total) => {
+      showStatus(`Loading results... ${loaded} of ${total}`, CSS_CLASSES.loading);
+    });
+    const prepared = prepareSubmissions(files.map(getFileSubmission), definition);
+
+    dashboardState.definition = definition;
+    dashboardState.submissions = prepared.submissions;
+    dashboardState.draftCount = prepared.draftCount;
+    dashboardState.failedFiles = failed;
+
+    populateSegmentSelect(definition);
+    renderResults();
+    setExportEnabled(prepared.submissions.length > 0);
+    window.dispatchEvent(new CustomEvent(RESULTS_EVENTS.loaded, { detail: getLoadedResults() }));
+
+    const failedMessage = failed.length > 0 ? ` (${failed.length} file(s) could not be loaded)` : '';
+    showStatus(`Loaded ${prepared.submissions.length} submission(s)${failedMessage}`, failed.length > 0 ? CSS_CLASSES.error : CSS_CLASSES.success);
+  } catch (error) {
+    console.error('Error loading results dashboard:', error);
+    showStatus(`Error: ${error.message || 'Failed to load results'}`, CSS_CLASSES.error);
+  } finally {
+    dashboardState.loading = false;
+  }
+}
+
+/**
+ * Enable or disable the export buttons
+ * @param {boolean} enabled - Whether exports are possible
+ */
+function setExportEnabled(enabled) {
+  [ELEMENT_IDS.exportCsvButton, ELEMENT_IDS.exportXlsxButton, ELEMENT_IDS.codebookJsonButton, ELEMENT_IDS.codebookMarkdownButton].forEach(id => {
+    const button = document.getElementById(id);
+    if (button) {
+      button.disabled = !enabled;
+    }
+  });
+}
+
+/**
+ * Export the loaded submissions with the given download function
+ * @param {Function} download - downloadCsv or downloadXlsx
+ */
+function exportResults(download) {
+  if (!dashboardState.definition || dashboardState.submissions.length === 0) {
+    showStatus('Load the results before exporting', CSS_CLASSES.error);
+    return;
+  }
+  const useCodesInput = document.getElementById(ELEMENT_IDS.exportUseCodes);
+  try {
+    download(dashboardState.definition, dashboardState.submissions, {
+      useCodes: Boolean(useCodesInput && useCodesInput.checked),
+      // The Excel workbook carries the codebook as a second sheet
+      extraSheets: [{ name: 'Codebook', rows: toCodebookRows(buildCodebook(dashboardState.definition)) }]
+    });
+    showStatus(`Exported ${dashboardState.submissions.length} submission(s)`, CSS_CLASSES.success);
+  } catch (error) {
+    console.error('Error exporting results:', error);
+    showStatus(`Error: ${error.message || 'Export failed'}`, CSS_CLASSES.error);
+  }
+}
+
+/**
+ * Download the codebook of the loaded survey definition
+ * @param {Function} download - downloadCodebookJson or downloadCodebookMarkdown
+ */
+function exportCodebook(download) {
+  const definition = dashboardState.definition || surveyData.getSurveyDefinition();
+  if (!definition) {
+    showStatus('No survey definition loaded', CSS_CLASSES.error);
+    return;
+  }
+  try {
+    download(definition);
+  } catch (error) {
+    console.error('Error exporting codebook:', error);
+    showStatus(`Error: ${error.message || 'Codebook export failed'}`, CSS_CLASSES.error);
+  }
+}
+
+/**
+ * Get the submissions loaded by the dashboard
+ * @returns {Object} - { definition, submissions } of the last load
+ */
+export function getLoadedResults() {
+  return {
+    definition: dashboardState.definition,
+    submissions: dashboardState.submissions
+  };
+}
+
+/**
+ * Initialize the results dashboard: wire up the load, export and segment controls
+ */
+export function initResultsDashboard() {
+  if (dashboardState.initialized) {
+    return;
+  }
+  const loadButton = document.getElementById(ELEMENT_IDS.loadButton);
+  if (loadButton) {
+    loadButton.addEventListener('click', () => loadDashboard());
+  }
+  const exportCsvButton = document.getElementById(ELEMENT_IDS.exportCsvButton);
+  if (exportCsvButton) {
+    exportCsvButton.addEventListener('click', () => exportResults(downloadCsv));
+  }
+  const exportXlsxButton = document.getElementById(ELEMENT_IDS.exportXlsxButton);
+  if (exportXlsxButton) {
+    exportXlsxButton.addEventListener('click', () => exportResults(downloadXlsx));
+  }
+  const codebookJsonButton = document.getElementById(ELEMENT_IDS.codebookJsonButton);
+  if (codebookJsonButton) {
+    codebookJsonButton.addEventListener('click', () => exportCodebook(downloadCodebookJson));
+  }
+  const codebookMarkdownButton = document.getElementById(ELEMENT_IDS.codebookMarkdownButton);
+  if (codebookMarkdownButton) {
+    codebookMarkdownButton.addEventListener('click', () => exportCodebook(downloadCodebookMarkdown));
+  }
+  const segmentSelect = document.getElementById(ELEMENT_IDS.segmentSelect);
+  if (segmentSelect) {
+    segmentSelect.addEventListener('change', () => renderResults());
+  }
+  const minCellSizeInput = document.getElementById(ELEMENT_IDS.minCellSizeInput);
+  if (minCellSizeInput) {
+    minCellSizeInput.value = DEFAULT_MIN_CELL_SIZE;
+    minCellSizeInput.addEventListener('change', () => renderResults());
+  }
+  dashboardState.initialized = true;
+}
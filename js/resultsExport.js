@@ -0,0 +1,379 @@
+/**
+ * resultsExport.js
+ * Survey results export module
+ *
+ * This module flattens submitted results into one row per respondent with one
+ * column per question, and per sub-item for likert, matrix2d, rankOptions,
+ * multiValueSlider and radar questions. Values are written as option labels
+ * resolved from the survey definition, or as value codes for statistics tools.
+ * Rows can be downloaded as CSV or as an Excel workbook (XLSX).
+ *
+ * Column names are built with toVariableName so that they are valid variable
+ * names in R and SPSS; the codebook export uses the same columns.
+ */
+
+import { getSurveyQuestions, unwrapResponse, getOptionLabel, isAnswered, getZoneLabel, htmlToText } from './responseValues.js';
+
+// Separator used when several values end up in one cell
+const LIST_SEPARATOR = '; ';
+
+// Constants for the downloads
+const EXPORT_FILES = {
+  csvMimeType: 'text/csv;charset=utf-8',
+  sheetName: 'Responses',
+  // Byte order mark, so that Excel opens the CSV as UTF-8
+  csvBom: '\uFEFF'
+};
+
+// Text cells starting with one of these characters are run as a formula by spreadsheet programs
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Plain numbers such as -5 or +3.5 start with a formula character but are harmless
+const PLAIN_NUMBER = /^[+-]?\d+(\.\d+)?$/;
+
+// Prefix that makes a spreadsheet program show a cell as text instead of running it as a formula
+const TEXT_PREFIX = "'";
+
+// Kinds of columns in the export
+export const COLUMN_KINDS = {
+  meta: 'meta',
+  answer: 'answer',
+  other: 'other',
+  comment: 'comment'
+};
+
+/**
+ * Build a variable name that is valid in R and SPSS from one or more parts
+ * @param {...string} parts - The parts, e.g. question id and option value
+ * @returns {string} - The variable name
+ */
+export function toVariableName(...parts) {
+  const name = parts
+    .filter(part => part !== undefined && part !== null && part !== '')
+    .join('_')
+    .replace(/[^A-Za-z0-9_]/g, '_');
+  return /^[A-Za-z]/.test(name) ? name : `v_${name}`;
+}
+
+/**
+ * Check whether a choice question has an 'other' option with free text
+ * @param {Object} question - The question object
+ * @returns {boolean} - Whether an 'other' text column is needed
+ */
+function hasOtherOption(question) {
+  return (question.options || []).some(option => option.value === 'other' || option.isOther);
+}
+
+/**
+ * Get the value of the 'other' option of a choice question
+ * @param {Object} question - The question object
+ * @returns {string} - The option value
+ */
+function getOtherOptionValue(question) {
+  const option = (question.options || []).find(candidate => candidate.value === 'other' || candidate.isOther);
+  return option ? option.value : 'other';
+}
+
+/**
+ * Write one selected option of a radio or checkbox question
+ * @param {Object} question - The question object
+ * @param {string|Object} selection - The option value or an 'other' answer
+ * @param {boolean} useCodes - Write value codes instead of labels
+ * @returns {string} - The cell text
+ */
+function formatSelection(question, selection, useCodes) {
+  const value = selection && typeof selection === 'object' && selection.isOther
+    ? getOtherOptionValue(question)
+    : selection;
+  return useCodes ? String(value) : getOptionLabel(question, value);
+}
+
+/**
+ * Get the free text of an 'other' answer
+ * @param {any} value - The answer value of a radio or checkbox question
+ * @returns {string} - The 'other' text, or an empty string
+ */
+function getOtherText(value) {
+  const selections = Array.isArray(value) ? value : [value];
+  const other = selections.find(selection => selection && typeof selection === 'object' && selection.isOther);
+  return other ? other.otherValue || '' : '';
+}
+
+/**
+ * Build the answer columns of one question
+ * @param {Object} question - The question object
+ * @returns {Array} - Column objects { name, title, kind, question, subId, getValue(value, useCodes) }
+ */
+function buildQuestionColumns(question) {
+  const column = (subId, subTitle, getValue) => ({
+    name: toVariableName(question.id, subId),
+    title: subTitle ? `${question.title} - ${subTitle}` : question.title,
+    kind: COLUMN_KINDS.answer,
+    question,
+    subId: subId || null,
+    getValue
+  });
+
+  switch (question.type) {
+    case 'radio':
+      return [column(null, null, (value, useCodes) => formatSelection(question, value, useCodes))];
+    case 'checkbox':
+      return [column(null, null, (value, useCodes) =>
+        (Array.isArray(value) ? value : [value])
+          .map(selection => formatSelection(question, selection, useCodes))
+          .join(LIST_SEPARATOR))];
+    case 'likert': {
+      const labels = (question.likertScale && question.likertScale.labels) || {};
+      return (question.options || []).map(option => column(option.value, option.label, (value, useCodes) => {
+        const score = value[option.value];
+        if (score === undefined) {
+          return '';
+        }
+        return useCodes ? score : labels[score] || score;
+      }));
+    }
+    case 'rangeSlider':
+      return [column(null, null, value => Number(value))];
+    case 'matrix2d': {
+      const config = question.matrix || {};
+      const columns = config.columns || [];
+      return (config.rows || []).map(row => column(row.id, row.label, (value, useCodes) =>
+        (Array.isArray(value) ? value : [value])
+          .map(cellId => String(cellId).split(':'))
+          .filter(([rowId]) => rowId === row.id)
+          .map(([, columnId]) => {
+            const matrixColumn = columns.find(candidate => candidate.id === columnId);
+            return useCodes || !matrixColumn ? columnId : matrixColumn.label;
+          })
+          .join(LIST_SEPARATOR)));
+    }
+    case 'rankOptions':
+      return ((question.rankOptions && question.rankOptions.options) || []).map(option => column(option.value, option.label, value => {
+        const entry = Array.isArray(value) ? value.find(item => item.id === option.value) : null;
+        return entry ? entry.rank : '';
+      }));
+    case 'tags':
+      return [column(null, null, value => (Array.isArray(value) ? value.join(LIST_SEPARATOR) : String(value)))];
+    case 'multiValueSlider': {
+      const config = question.multiValueSlider || {};
+      return (config.options || []).map(option => column(option.id, option.label, (value, useCodes) => {
+        const position = value[option.id];
+        if (typeof position !== 'number') {
+          return '';
+        }
+        return useCodes ? position : getZoneLabel(config, position);
+      }));
+    }
+    case 'radar': {
+      const config = question.radar || {};
+      const segments = (config.variable1 && config.variable1.labels) || [];
+      const rings = (config.variable2 && config.variable2.labels) || [];
+      const placementColumn = (option, part, labels) => column(`${option.id}_${part}`, `${option.label} (${part})`, (value, useCodes) => {
+        const placement = value[option.id];
+        if (!placement || placement[part] === undefined) {
+          return '';
+        }
+        // Codes are 1-based positions in the label list
+        return useCodes ? labels.indexOf(placement[part]) + 1 : placement[part];
+      });
+      return (config.options || []).flatMap(option => [
+        placementColumn(option, 'segment', segments),
+        placementColumn(option, 'ring', rings)
+      ]);
+    }
+    case 'longText':
+      return [column(null, null, value => htmlToText(value))];
+    default:
+      return [column(null, null, value => (typeof value === 'object' ? JSON.stringify(value) : value))];
+  }
+}
+
+/**
+ * Build the columns of the export for a survey definition
+ * @param {Object} definition - The survey definition
+ * @returns {Array} - Column objects in export order
+ */
+export function buildExportColumns(definition) {
+  const meta = (name, title, getValue) => ({ name, title, kind: COLUMN_KINDS.meta, question: null, subId: null, getValue });
+
+  const columns = [
+    meta('submission_id', 'Submission reference', submission => submission.submissionId || ''),
+    // User name for identified surveys, pseudonym for pseudonymous surveys, empty for anonymous surveys
+    meta('respondent', 'Respondent', submission => submission.username || submission.pseudonym || ''),
+    meta('survey_version', 'Survey definition version', submission => submission.surveyVersion || ''),
+    meta('completed_at', 'Completed at', submission => submission.completedAt || ''),
+    meta('last_modified', 'Last modified', submission => submission.lastModified || '')
+  ];
+
+  getSurveyQuestions(definition).forEach(({ question }) => {
+    columns.push(...buildQuestionColumns(question));
+
+    if ((question.type === 'radio' || question.type === 'checkbox') && hasOtherOption(question)) {
+      columns.push({
+        name: toVariableName(question.id, 'other'),
+        title: `${question.title} - other, please specify`,
+        kind: COLUMN_KINDS.other,
+        question,
+        subId: null,
+        getValue: value => getOtherText(value)
+      });
+    }
+
+    if (question.allowComment) {
+      columns.push({
+        name: toVariableName(question.id, 'comment'),
+        title: `${question.title} - comment`,
+        kind: COLUMN_KINDS.comment,
+        question,
+        subId: null,
+        getValue: (value, useCodes, comment) => comment
+      });
+    }
+  });
+
+  return columns;
+}
+
+/**
+ * Flatten submissions into a table
+ * @param {Object} definition - The survey definition
+ * @param {Array} submissions - Prepared submissions (see resultsAggregator.prepareSubmissions)
+ * @param {Object} [options={}] - Export options
+ * @param {boolean} [options.useCodes=false] - Write value codes instead of labels
+ * @returns {Object} - { columns, header: string[], rows: Array<Array> }
+ */
+export function buildExportTable(definition, submissions, { useCodes = false } = {}) {
+  const columns = buildExportColumns(definition);
+
+  const rows = submissions.map(submission => columns.map(column => {
+    if (column.kind === COLUMN_KINDS.meta) {
+      return column.getValue(submission);
+    }
+    const { value, comment } = unwrapResponse(column.question, submission.responses[column.question.id]);
+    if (column.kind === COLUMN_KINDS.comment) {
+      return column.getValue(value, useCodes, comment);
+    }
+    if (!isAnswered(value)) {
+      return '';
+    }
+    return column.getValue(value, useCodes, comment);
+  }));
+
+  return { columns, header: columns.map(column => column.name), rows };
+}
+
+/**
+ * Check whether a cell value would be run as a formula when the file is opened in a spreadsheet program
+ * @param {any} value - The cell value
+ * @returns {boolean} - Whether the value is text that starts like a formula
+ */
+function isFormulaLike(value) {
+  return typeof value === 'string' && FORMULA_PREFIX.test(value) && !PLAIN_NUMBER.test(value);
+}
+
+/**
+ * Quote a value for CSV when needed; participants' text that starts like a formula gets a ' prefix
+ * @param {any} value - The cell value
+ * @returns {string} - The CSV field
+ */
+function toCsvField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  const safeText = isFormulaLike(text) ? `${TEXT_PREFIX}${text}` : text;
+  return /[",\r\n]/.test(safeText) ? `"${safeText.replace(/"/g, '""')}"` : safeText;
+}
+
+/**
+ * Prepare rows for a worksheet: text that starts like a formula becomes an explicit text cell
+ * @param {Array<Array>} rows - The rows
+ * @returns {Array<Array>} - The rows with SheetJS text cells for formula-like values
+ */
+export function toSheetRows(rows) {
+  return rows.map(row => row.map(value => (isFormulaLike(value) ? { t: 's', v: value } : value)));
+}
+
+/**
+ * Build a worksheet in which text that starts like a formula is stored as a text cell
+ * @param {Array<Array>} rows - The rows
+ * @returns {Object} - The SheetJS worksheet
+ */
+function toWorksheet(rows) {
+  return window.XLSX.utils.aoa_to_sheet(toSheetRows(rows));
+}
+
+/**
+ * Convert a table into CSV text
+ * @param {Object} table - The result of buildExportTable
+ * @returns {string} - The CSV text
+ */
+export function toCsv(table) {
+  return [table.header, ...table.rows]
+    .map(row => row.map(toCsvField).join(','))
+    .join('\r\n');
+}
+
+/**
+ * Offer a file for download
+ * @param {Blob} blob - The file contents
+ * @param {string} fileName - The file name
+ */
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Build the base name of export files for a survey
+ * @param {Object} definition - The survey definition
+ * @returns {string} - The file base name, e.g. conclusion-onstage-results-2025-05-01
+ */
+export function getExportBaseName(definition) {
+  const surveyId = (definition && definition.id) || 'survey';
+  return `${surveyId}-results-${new Date().toISOString().slice(0, 10)}`;
+}
+
+/**
+ * Download the submissions as a CSV file
+ * @param {Object} definition - The survey definition
+ * @param {Array} submissions - Prepared submissions
+ * @param {Object} [options={}] - Export options, see buildExportTable
+ */
+export function downloadCsv(definition, submissions, options = {}) {
+  downloadCsvText(toCsv(buildExportTable(definition, submissions, options)), `${getExportBaseName(definition)}.csv`);
+}
+
+/**
+ * Offer CSV text for download
+ * @param {string} csv - The CSV text
+ * @param {string} fileName - The file name
+ */
+export function downloadCsvText(csv, fileName) {
+  downloadBlob(new Blob([EXPORT_FILES.csvBom + csv], { type: EXPORT_FILES.csvMimeType }), fileName);
+}
+
+/**
+ * Download the submissions as an Excel workbook.
+ * Uses the SheetJS library loaded from the CDN in index.html.
+ * @param {Object} definition - The survey definition
+ * @param {Array} submissions - Prepared submissions
+ * @param {Object} [options={}] - Export options, see buildExportTable
+ * @param {Array} [options.extraSheets=[]] - Additional sheets as { name, rows }
+ */
+export function downloadXlsx(definition, submissions, options = {}) {
+  if (!window.XLSX) {
+    throw new Error('The Excel export library is not loaded');
+  }
+  const table = buildExportTable(definition, submissions, options);
+  const worksheet = toWorksheet([table.header, ...table.rows]);
+  const workbook = window.XLSX.utils.book_new();
+  window.XLSX.utils.book_append_sheet(workbook, worksheet, EXPORT_FILES.sheetName);
+  (options.extraSheets || []).forEach(sheet => {
+    window.XLSX.utils.book_append_sheet(workbook, toWorksheet(sheet.rows), sheet.name);
+  });
+  window.XLSX.writeFile(workbook, `${getExportBaseName(definition)}.xlsx`);
+}
@@ -0,0 +1,217 @@
+/**
+ * resultsText.js
+ * Free-text results module
+ *
+ * This module collects the free-text answers of the submitted results: short
+ * and long text answers (Quill HTML converted to plain text), comments and
+ * 'other' texts of choice questions. It supports full-text search, filtering
+ * and word-frequency summaries for the free-text explorer, and builds the
+ * export of notable quotes. It has no DOM dependencies.
+ */
+
+import { getSurveyQuestions, unwrapResponse, htmlToText } from './responseValues.js';
+import { toCsv } from './resultsExport.js';
+
+// Sources of free text within a response
+export const TEXT_SOURCES = {
+  answer: 'answer',
+  comment: 'comment',
+  other: 'other'
+};
+
+// Question types whose answer is free text
+const TEXT_QUESTION_TYPES = ['shortText', 'longText'];
+
+// Constants for the word-frequency summary
+const WORD_FREQUENCY = {
+  minLength: 3,
+  limit: 40
+};
+
+// Common Dutch and English words left out of the word-frequency summary
+const STOP_WORDS = new Set([
+  'aan', 'als', 'bij', 'dan', 'dat', 'die', 'dit', 'door', 'een', 'eens', 'en', 'er', 'geen', 'had', 'heb',
+  'hebben', 'heeft', 'het', 'hier', 'hij', 'hoe', 'hun', 'iets', 'ik', 'in', 'is', 'je', 'jij', 'kan', 'kunnen',
+  'maar', 'meer', 'met', 'mijn', 'moet', 'naar', 'niet', 'nog', 'nu', 'of', 'om', 'ons', 'onze', 'ook', 'op',
+  'over', 'te', 'tot', 'uit', 'van', 'veel', 'voor', 'waar', 'wat', 'we', 'wel', 'wie', 'wij', 'wil', 'worden',
+  'wordt', 'zal', 'ze', 'zeer', 'zich', 'zijn', 'zo', 'zou', 'and', 'are', 'but', 'can', 'for', 'from', 'has',
+  'have', 'not', 'that', 'the', 'this', 'was', 'were', 'with', 'you', 'your'
+]);
+
+/**
+ * Build a stable id for a free-text entry, used to store stars and tags
+ * @param {string} submissionId - The submission id
+ * @param {string} questionId - The question id
+ * @param {string} source - One of TEXT_SOURCES
+ * @returns {string} - The entry id
+ */
+function getEntryId(submissionId, questionId, source) {
+  return `${submissionId}:${questionId}:${source}`;
+}
+
+/**
+ * Get the id of a submission; older submissions without an id are numbered
+ * @param {Object} submission - The submission
+ * @param {number} index - Position of the submission in the loaded results
+ * @returns {string} - The submission id
+ */
+export function getSubmissionId(submission, index) {
+  return submission.submissionId || `submission-${index + 1}`;
+}
+
+/**
+ * Collect all free-text entries of the submitted results
+ * @param {Object} definition - The survey definition
+ * @param {Array} submissions - Prepared submissions
+ * @returns {Array} - Array of { id, submissionId, questionId, questionTitle, source, text, timestamp }
+ */
+export function collectTextEntries(definition, submissions) {
+  const entries = [];
+
+  getSurveyQuestions(definition).forEach(({ question }) => {
+    submissions.forEach((submission, index) => {
+      const response = submission.responses[question.id];
+      if (!response) {
+        return;
+      }
+      const { value, comment, timestamp } = unwrapResponse(question, response);
+      const submissionId = getSubmissionId(submission, index);
+      const addEntry = (source, text) => {
+        if (text) {
+          entries.push({
+            id: getEntryId(submissionId, question.id, source),
+            submissionId,
+            questionId: question.id,
+            questionTitle: question.title,
+            source,
+            text,
+            timestamp
+          });
+        }
+      };
+
+      if (TEXT_QUESTION_TYPES.includes(question.type)) {
+        addEntry(TEXT_SOURCES.answer, question.type === 'longText' ? htmlToText(value) : String(value || '').trim());
+      }
+      if (question.type === 'radio' || question.type === 'checkbox') {
+        const other = (Array.isArray(value) ? value : [value])
+          .find(selection => selection && typeof selection === 'object' && selection.isOther);
+        addEntry(TEXT_SOURCES.other, other && other.otherValue ? String(other.otherValue).trim() : '');
+      }
+      addEntry(TEXT_SOURCES.comment, String(comment || '').trim());
+    });
+  });
+
+  return entries;
+}
+
+/**
+ * Split a search query into lowercase terms
+ * @param {string} query - The search query
+ * @returns {string[]} - The search terms
+ */
+export function getSearchTerms(query) {
+  return String(query || '').toLowerCase().split(/\s+/).filter(term => term.length > 0);
+}
+
+/**
+ * Filter free-text entries
+ * @param {Array} entries - Entries from collectTextEntries
+ * @param {Object} [filters={}] - Filters
+ * @param {string} [filters.query] - Only entries containing all terms of the query
+ * @param {string} [filters.questionId] - Only entries of this question
+ * @param {Set} [filters.submissionIds] - Only entries of these submissions (e.g. a segment)
+ * @param {Function} [filters.predicate] - Additional test for an entry, e.g. starred only
+ * @returns {Array} - The matching entries
+ */
+export function filterTextEntries(entries, { query = '', questionId = '', submissionIds = null, predicate = null } = {}) {
+  const terms = getSearchTerms(query);
+  return entries.filter(entry => {
+    if (questionId && entry.questionId !== questionId) {
+      return false;
+    }
+    if (submissionIds && !submissionIds.has(entry.submissionId)) {
+      return false;
+    }
+    if (predicate && !predicate(entry)) {
+      return false;
+    }
+    const text = entry.text.toLowerCase();
+    return terms.every(term => text.includes(term));
+  });
+}
+
+/**
+ * Find the ranges of search terms in a text, for highlighting
+ * @param {string} text - The text
+ * @param {string[]} terms - Lowercase search terms
+ * @returns {Array} - Non-overlapping ranges [{ start, end }], in text order
+ */
+export function findMatchRanges(text, terms) {
+  const lowerText = text.toLowerCase();
+  const ranges = [];
+  terms.forEach(term => {
+    let start = lowerText.indexOf(term);
+    while (start >= 0) {
+      ranges.push({ start, end: start + term.length });
+      start = lowerText.indexOf(term, start + term.length);
+    }
+  });
+
+  ranges.sort((a, b) => a.start - b.start);
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push({ ...range });
+    }
+    return merged;
+  }, []);
+}
+
+/**
+ * Count the words used in free-text entries; every entry counts a word once
+ * @param {Array} entries - Entries from collectTextEntries
+ * @param {number} [limit=WORD_FREQUENCY.limit] - Maximum number of words returned
+ * @returns {Array} - Array of { word, count }, most frequent first
+ */
+export function countWords(entries, limit = WORD_FREQUENCY.limit) {
+  const counts = new Map();
+  entries.forEach(entry => {
+    const words = entry.text.toLowerCase().match(/[\p{L}\p{N}]+(?:['-][\p{L}\p{N}]+)*/gu) || [];
+    new Set(words).forEach(word => {
+      if (word.length >= WORD_FREQUENCY.minLength && !STOP_WORDS.has(word) && !/^\d+$/.test(word)) {
+        counts.set(word, (counts.get(word) || 0) + 1);
+      }
+    });
+  });
+
+  return Array.from(counts.entries())
+    .map(([word, count]) => ({ word, count }))
+    .sort((a, b) => b.count - a.count || a.word.localeCompare(b.word))
+    .slice(0, limit);
+}
+
+/**
+ * Build a CSV of quotes with their stars and tags
+ * @param {Array} entries - The quoted entries
+ * @param {Object} marks - Stars and tags per entry id ({ starred, tags })
+ * @returns {string} - The CSV text
+ */
+export function quotesToCsv(entries, marks) {
+  const header = ['question_id', 'question', 'source', 'submission_id', 'starred', 'tags', 'text'];
+  const rows = entries.map(entry => {
+    const mark = marks[entry.id] || {};
+    return [
+      entry.questionId,
+      entry.questionTitle,
+      entry.source,
+      entry.submissionId,
+      mark.starred ? 'yes' : '',
+      (mark.tags || []).join('; '),
+      entry.text
+    ];
+  });
+  return toCsv({ header, rows });
+}
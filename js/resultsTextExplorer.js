@@ -0,0 +1,386 @@
+/**
+ * resultsTextExplorer.js
+ * Admin free-text explorer module
+ *
+ * This module shows the free-text answers and comments of the results loaded
+ * by the dashboard as readable text. Admins can search across them with
+ * highlighting, filter by question and by the answer to a segment question,
+ * see the most frequent words, and star or tag notable quotes. Stars and tags
+ * are kept in local storage per survey and can be exported as CSV.
+ */
+
+import { escapeHtml, getLoadedResults, RESULTS_EVENTS } from './resultsDashboard.js';
+import { collectTextEntries, getSubmissionId, filterTextEntries, getSearchTerms, findMatchRanges, countWords, quotesToCsv, TEXT_SOURCES } from './resultsText.js';
+import { getSegmentQuestions, segmentSubmissions } from './resultsCrossTab.js';
+import { downloadCsvText, getExportBaseName } from './resultsExport.js';
+
+// Constants for element IDs
+const ELEMENT_IDS = {
+  explorer: 'text-explorer',
+  search: 'text-explorer-search',
+  question: 'text-explorer-question',
+  segmentQuestion: 'text-explorer-segment-question',
+  segmentValue: 'text-explorer-segment-value',
+  markedOnly: 'text-explorer-marked-only',
+  exportButton: 'export-quotes',
+  status: 'text-explorer-status',
+  words: 'text-explorer-words',
+  list: 'text-explorer-list'
+};
+
+// Constants for local storage keys
+const STORAGE_KEYS = {
+  marksPrefix: 'survey_quote_marks'
+};
+
+// Labels of the free-text sources
+const SOURCE_LABELS = {
+  [TEXT_SOURCES.answer]: 'Answer',
+  [TEXT_SOURCES.comment]: 'Comment',
+  [TEXT_SOURCES.other]: 'Other'
+};
+
+// Delay before the list is filtered while typing a search query
+const SEARCH_DEBOUNCE = 250; // ms
+
+// Explorer state
+const explorerState = {
+  initialized: false,
+  definition: null,
+  submissions: [],
+  entries: [],
+  marks: {},
+  searchTimer: null
+};
+
+/**
+ * Build the local storage key for the stars and tags of the loaded survey
+ * @returns {string} - The local storage key
+ */
+function getMarksKey() {
+  const surveyId = (explorerState.definition && explorerState.definition.id) || 'survey';
+  return `${STORAGE_KEYS.marksPrefix}_${surveyId}`;
+}
+
+/**
+ * Load the stars and tags of the loaded survey from local storage
+ * @returns {Object} - Marks per entry id ({ starred, tags })
+ */
+function loadMarks() {
+  try {
+    return JSON.parse(localStorage.getItem(getMarksKey())) || {};
+  } catch (error) {
+    console.error('Error loading quote marks:', error);
+    return {};
+  }
+}
+
+/**
+ * Save the stars and tags of the loaded survey to local storage
+ */
+function saveMarks() {
+  try {
+    localStorage.setItem(getMarksKey(), JSON.stringify(explorerState.marks));
+  } catch (error) {
+    console.error('Error saving quote marks:', error);
+  }
+}
+
+/**
+ * Check whether an entry is starred or tagged
+ * @param {Object} entry - The free-text entry
+ * @returns {boolean} - Whether the entry is marked
+ */
+function isMarked(entry) {
+  const mark = explorerState.marks[entry.id];
+  return Boolean(mark && (mark.starred || (mark.tags && mark.tags.length > 0)));
+}
+
+/**
+ * Update the stars or tags of an entry
+ * @param {string} entryId - The entry id
+ * @param {Object} changes - { starred } and/or { tags }
+ */
+function updateMark(entryId, changes) {
+  const mark = { starred: false, tags: [], ...explorerState.marks[entryId], ...changes };
+  if (mark.starred || mark.tags.length > 0) {
+    explorerState.marks[entryId] = mark;
+  } else {
+    delete explorerState.marks[entryId];
+  }
+  saveMarks();
+}
+
+/**
+ * Show a status message in the explorer
+ * @param {string} message - The message
+ * @param {boolean} [isError=false] - Whether the message is an error
+ */
+function showStatus(message, isError = false) {
+  const status = document.getElementById(ELEMENT_IDS.status);
+  if (status) {
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+  }
+}
+
+/**
+ * Render text with the matches of the search terms highlighted
+ * @param {string} text - The text
+ * @param {string[]} terms - Lowercase search terms
+ * @returns {string} - HTML with <mark> around the matches
+ */
+function highlight(text, terms) {
+  let html = '';
+  let position = 0;
+  findMatchRanges(text, terms).forEach(range => {
+    html += escapeHtml(text.slice(position, range.start)) + `<mark>${escapeHtml(text.slice(range.start, range.end))}</mark>`;
+    position = range.end;
+  });
+  return html + escapeHtml(text.slice(position));
+}
+
+/**
+ * Get the current filter values from the controls
+ * @returns {Object} - Filters for filterTextEntries
+ */
+function getFilters() {
+  const value = id => {
+    const element = document.getElementById(id);
+    return element ? element.value : '';
+  };
+  const markedOnly = document.getElementById(ELEMENT_IDS.markedOnly);
+
+  let submissionIds = null;
+  const segmentQuestionId = value(ELEMENT_IDS.segmentQuestion);
+  const segmentValue = value(ELEMENT_IDS.segmentValue);
+  if (segmentQuestionId && segmentValue) {
+    const segmentQuestion = getSegmentQuestions(explorerState.definition).find(question => question.id === segmentQuestionId);
+    const segment = segmentQuestion
+      ? segmentSubmissions(segmentQuestion, explorerState.submissions).find(candidate => candidate.value === segmentValue)
+      : null;
+    submissionIds = new Set(segment
+      ? segment.submissions.map(submission => getSubmissionId(submission, explorerState.submissions.indexOf(submission)))
+      : []);
+  }
+
+  return {
+    query: value(ELEMENT_IDS.search),
+    questionId: value(ELEMENT_IDS.question),
+    submissionIds,
+    predicate: markedOnly && markedOnly.checked ? isMarked : null
+  };
+}
+
+/**
+ * Render one free-text entry
+ * @param {Object} entry - The free-text entry
+ * @param {string[]} terms - Lowercase search terms
+ * @returns {string} - HTML for the entry
+ */
+function renderEntry(entry, terms) {
+  const mark = explorerState.marks[entry.id] || {};
+  return `
+    <div class="text-explorer-entry${mark.starred ? ' starred' : ''}" data-entry-id="${escapeHtml(entry.id)}">
+      <div class="text-explorer-entry-header">
+        <button type="button" class="text-explorer-star" aria-pressed="${Boolean(mark.starred)}" title="Star this quote">${mark.starred ? '&#9733;' : '&#9734;'}</button>
+        <span class="results-note">${escapeHtml(entry.questionTitle)} - ${escapeHtml(SOURCE_LABELS[entry.source])} - #${escapeHtml(entry.submissionId.slice(0, 8))}</span>
+      </div>
+      <p class="text-explorer-text">${highlight(entry.text, terms)}</p>
+      <input type="text" class="text-explorer-tags" placeholder="Tags, separated by commas" value="${escapeHtml((mark.tags || []).join(', '))}">
+    </div>`;
+}
+
+/**
+ * Render the word frequencies of the filtered entries
+ * @param {Array} entries - The filtered entries
+ */
+function renderWords(entries) {
+  const words = document.getElementById(ELEMENT_IDS.words);
+  if (!words) {
+    return;
+  }
+  const frequencies = countWords(entries);
+  const maxCount = Math.max(1, ...frequencies.map(frequency => frequency.count));
+  words.innerHTML = frequencies.map(frequency => `
+    <button type="button" class="text-explorer-word" data-word="${escapeHtml(frequency.word)}" style="font-size: ${(0.8 + (frequency.count / maxCount) * 0.8).toFixed(2)}em" title="Used in ${frequency.count} answer(s)">${escapeHtml(frequency.word)}</button>`).join('');
+}
+
+/**
+ * Filter the entries and render the list and word frequencies
+ */
+function renderEntries() {
+  const list = document.getElementById(ELEMENT_IDS.list);
+  if (!list) {
+    return;
+  }
+  const filters = getFilters();
+  const terms = getSearchTerms(filters.query);
+  const entries = filterTextEntries(explorerState.entries, filters);
+
+  showStatus(`${entries.length} of ${explorerState.entries.length} text(s)`);
+  renderWords(entries);
+  list.innerHTML = entries.map(entry => renderEntry(entry, terms)).join('');
+}
+
+/**
+ * Fill a select with options, keeping the current selection if it still exists
+ * @param {HTMLSelectElement} select - The select element
+ * @param {string} emptyLabel - Label of the option without a value
+ * @param {Array} options - Array of { value, label }
+ */
+function fillSelect(select, emptyLabel, options) {
+  const selected = select.value;
+  select.innerHTML = `<option value="">${escapeHtml(emptyLabel)}</option>` + options.map(option =>
+    `<option value="${escapeHtml(option.value)}">${escapeHtml(option.label)}</option>`).join('');
+  select.value = options.some(option => option.value === selected) ? selected : '';
+}
+
+/**
+ * Fill the segment value select with the options of the selected segment question
+ */
+function populateSegmentValues() {
+  const segmentQuestionSelect = document.getElementById(ELEMENT_IDS.segmentQuestion);
+  const segmentValueSelect = document.getElementById(ELEMENT_IDS.segmentValue);
+  if (!segmentQuestionSelect || !segmentValueSelect) {
+    return;
+  }
+  const segmentQuestion = getSegmentQuestions(explorerState.definition)
+    .find(question => question.id === segmentQuestionSelect.value);
+  fillSelect(segmentValueSelect, 'Any answer', segmentQuestion
+    ? segmentSubmissions(segmentQuestion, explorerState.submissions).map(segment => ({ value: segment.value, label: segment.label }))
+    : []);
+  segmentValueSelect.disabled = !segmentQuestion;
+}
+
+/**
+ * Show the free-text entries of newly loaded results
+ * @param {Object} results - { definition, submissions } loaded by the dashboard
+ */
+function showResults({ definition, submissions }) {
+  explorerState.definition = definition;
+  explorerState.submissions = submissions;
+  explorerState.entries = collectTextEntries(definition, submissions);
+  explorerState.marks = loadMarks();
+
+  // Only questions with free text are offered in the question filter
+  const questions = new Map(explorerState.entries.map(entry => [entry.questionId, entry.questionTitle]));
+  const questionSelect = document.getElementById(ELEMENT_IDS.question);
+  if (questionSelect) {
+    fillSelect(questionSelect, 'All questions', Array.from(questions, ([value, label]) => ({ value, label })));
+  }
+  const segmentQuestionSelect = document.getElementById(ELEMENT_IDS.segmentQuestion);
+  if (segmentQuestionSelect) {
+    fillSelect(segmentQuestionSelect, 'All respondents', getSegmentQuestions(definition)
+      .map(question => ({ value: question.id, label: question.title })));
+  }
+  populateSegmentValues();
+
+  const explorer = document.getElementById(ELEMENT_IDS.explorer);
+  if (explorer) {
+    explorer.style.display = 'block';
+  }
+  console.log(`Text explorer: ${explorerState.entries.length} text(s) in ${questions.size} question(s)`);
+  renderEntries();
+}
+
+/**
+ * Download the starred and tagged quotes as CSV
+ */
+function exportQuotes() {
+  const quotes = explorerState.entries.filter(isMarked);
+  if (quotes.length === 0) {
+    showStatus('Star or tag quotes before exporting them', true);
+    return;
+  }
+  downloadCsvText(quotesToCsv(quotes, explorerState.marks), `${getExportBaseName(explorerState.definition)}-quotes.csv`);
+  showStatus(`Exported ${quotes.length} quote(s)`);
+}
+
+/**
+ * Handle clicks on stars and words in the explorer
+ * @param {Event} event - The click event
+ */
+function handleClick(event) {
+  const star = event.target.closest('.text-explorer-star');
+  if (star) {
+    const entryElement = star.closest('.text-explorer-entry');
+    const entryId = entryElement.dataset.entryId;
+    const starred = !(explorerState.marks[entryId] && explorerState.marks[entryId].starred);
+    updateMark(entryId, { starred });
+    entryElement.classList.toggle('starred', starred);
+    star.setAttribute('aria-pressed', String(starred));
+    star.innerHTML = starred ? '&#9733;' : '&#9734;';
+    return;
+  }
+
+  const word = event.target.closest('.text-explorer-word');
+  if (word) {
+    const search = document.getElementById(ELEMENT_IDS.search);
+    if (search) {
+      search.value = word.dataset.word;
+    }
+    renderEntries();
+  }
+}
+
+/**
+ * Save the tags of an entry when its tag field changes
+ * @param {Event} event - The change event
+ */
+function handleTagsChange(event) {
+  if (!event.target.classList.contains('text-explorer-tags')) {
+    return;
+  }
+  const entryId = event.target.closest('.text-explorer-entry').dataset.entryId;
+  const tags = Array.from(new Set(event.target.value.split(',').map(tag => tag.trim()).filter(tag => tag.length > 0)));
+  updateMark(entryId, { tags });
+  event.target.value = tags.join(', ');
+}
+
+/**
+ * Initialize the free-text explorer: wire up the controls and listen for loaded results
+ */
+export function initTextExplorer() {
+  if (explorerState.initialized) {
+    return;
+  }
+
+  const search = document.getElementById(ELEMENT_IDS.search);
+  if (search) {
+    search.addEventListener('input', () => {
+      clearTimeout(explorerState.searchTimer);
+      explorerState.searchTimer = setTimeout(renderEntries, SEARCH_DEBOUNCE);
+    });
+  }
+  [ELEMENT_IDS.question, ELEMENT_IDS.segmentValue, ELEMENT_IDS.markedOnly].forEach(id => {
+    const element = document.getElementById(id);
+    if (element) {
+      element.addEventListener('change', renderEntries);
+    }
+  });
+  const segmentQuestion = document.getElementById(ELEMENT_IDS.segmentQuestion);
+  if (segmentQuestion) {
+    segmentQuestion.addEventListener('change', () => {
+      populateSegmentValues();
+      renderEntries();
+    });
+  }
+  const exportButton = document.getElementById(ELEMENT_IDS.exportButton);
+  if (exportButton) {
+    exportButton.addEventListener('click', exportQuotes);
+  }
+  const explorer = document.getElementById(ELEMENT_IDS.explorer);
+  if (explorer) {
+    explorer.addEventListener('click', handleClick);
+    explorer.addEventListener('change', handleTagsChange);
+  }
+
+  window.addEventListener(RESULTS_EVENTS.loaded, event => showResults(event.detail));
+  // Results may have been loaded before the explorer was initialized
+  const loaded = getLoadedResults();
+  if (loaded.definition) {
+    showResults(loaded);
+  }
+  explorerState.initialized = true;
+}
@@ -0,0 +1,323 @@
+/**
+ * submissionQueue.js
+ * Offline submission queue module
+ *
+ * This module keeps survey submissions that could not be sent (for example on
+ * flaky venue Wi-Fi) in a durable outbox in local storage and retries them with
+ * exponential backoff, and immediately when the browser comes back online.
+ *
+ * The outbox can hold submissions of several people who used the same device
+ * (for example a shared device at an event). Entries of identified and
+ * pseudonymous surveys record their owner, the account id (oid) of the user who
+ * submitted them, and are only sent with the owner's own token: the results
+ * route names the file after the user. Entries are keyed by owner and
+ * submissionId, so an edited submission replaces its queued earlier revision.
+ * The PUT replaces the user's result file, so resending a submission that did
+ * reach the server before the connection dropped is harmless.
+ *
+ * Entries of anonymous surveys have no owner: the account id is never stored
+ * next to anonymous answers. Their results route gives every request a new
+ * random file name, so any signed-in user can send them without linking the
+ * answers to an account.
+ */
+
+import * as dataService from './dataService.js';
+import { getIdTokenClaims } from './auth.js';
+
+// Constants for local storage keys
+const STORAGE_KEYS = {
+  queue: 'survey_submission_queue'
+};
+
+// Constants for retry timing
+const RETRY = {
+  baseDelay: 5000,    // ms before the first retry
+  maxDelay: 300000    // ms, upper bound of the backoff
+};
+
+// Events dispatched on window when the queue changes
+export const QUEUE_EVENTS = {
+  queued: 'survey:submission-queued',
+  sent: 'survey:submission-sent'
+};
+
+// Anonymity mode whose submissions are queued without an owner (see surveyData.js ANONYMITY)
+const ANONYMOUS = 'anonymous';
+
+// Queue state
+const queueState = {
+  started: false,
+  flushing: false,
+  retryTimer: null
+};
+
+/**
+ * Generate a unique id for a submission
+ * @returns {string} - The submission id
+ */
+export function createSubmissionId() {
+  if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+    return window.crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Determine whether a failed submission is worth retrying later.
+ * Network failures, server errors, timeouts, throttling and authentication
+ * problems (the user can sign in again) are retried; other client errors are not.
+ * @param {Error} error - The error thrown by dataService.saveUserData
+ * @returns {boolean} - Whether the submission should be queued
+ */
+export function isRetryableError(error) {
+  if (!error || !error.status) {
+    return true;
+  }
+  return error.status >= 500 || [401, 408, 429].includes(error.status);
+}
+
+/**
+ * Read the queue from local storage
+ * @returns {Array} - The queued entries
+ */
+function readQueue() {
+  try {
+    const savedQueue = localStorage.getItem(STORAGE_KEYS.queue);
+    return savedQueue ? JSON.parse(savedQueue) : [];
+  } catch (error) {
+    console.error('Error reading submission queue:', error);
+    return [];
+  }
+}
+
+/**
+ * Write the queue to local storage
+ * @param {Array} queue - The queued entries
+ */
+function writeQueue(queue) {
+  try {
+    localStorage.setItem(STORAGE_KEYS.queue, JSON.stringify(queue));
+  } catch (error) {
+    console.error('Error saving submission queue:', error);
+  }
+}
+
+/**
+ * Get the owner of new and sendable entries: the account id of the signed-in user
+ * @returns {string|null} - The oid (or sub) claim, or null when nobody is signed in
+ */
+function getCurrentOwner() {
+  const idTokenClaims = getIdTokenClaims();
+  return idTokenClaims ? idTokenClaims.oid || idTokenClaims.sub || null : null;
+}
+
+/**
+ * Get the owner to record for a submission
+ * @param {Object} submission - The submission data
+ * @returns {string|null} - The signed-in user's account id, or null for anonymous submissions
+ */
+function getSubmissionOwner(submission) {
+  return submission.anonymity === ANONYMOUS ? null : getCurrentOwner();
+}
+
+/**
+ * Check whether an entry can be sent with the token of the given user
+ * @param {Object} entry - The queued entry
+ * @param {string|null} owner - The account id of the signed-in user
+ * @returns {boolean} - Whether the entry is the user's own or anonymous
+ */
+function isSendableBy(entry, owner) {
+  return Boolean(owner) && (entry.owner === owner || entry.owner === null);
+}
+
+/**
+ * Get the entries of the queue that the signed-in user can send
+ * @param {Array} queue - The queued entries
+ * @returns {Array} - The signed-in user's own entries and the anonymous entries
+ */
+function getOwnEntries(queue) {
+  const owner = getCurrentOwner();
+  return queue.filter(entry => isSendableBy(entry, owner));
+}
+
+/**
+ * Build the key that identifies a queued submission of an owner
+ * @param {string|null} owner - The account id of the user who submitted, null for anonymous submissions
+ * @param {Object} submission - The submission data
+ * @returns {string} - The deduplication key
+ */
+function getDedupeKey(owner, submission) {
+  return `${owner || ANONYMOUS}:${submission.submissionId}`;
+}
+
+/**
+ * Calculate the backoff delay for the given number of failed attempts
+ * @param {number} attempts - Number of failed attempts so far
+ * @returns {number} - Delay in milliseconds
+ */
+function getRetryDelay(attempts) {
+  return Math.min(RETRY.baseDelay * Math.pow(2, Math.max(0, attempts - 1)), RETRY.maxDelay);
+}
+
+/**
+ * Dispatch a queue event on window
+ * @param {string} eventName - One of QUEUE_EVENTS
+ * @param {Object} detail - Event detail
+ */
+function notify(eventName, detail) {
+  window.dispatchEvent(new CustomEvent(eventName, { detail }));
+}
+
+/**
+ * Add a submission of the signed-in user to the outbox, replacing a queued earlier revision of it
+ * @param {Object} submission - The submission data (must have a submissionId)
+ * @param {Error} [error] - The error that caused the submission to be queued
+ */
+export function enqueue(submission, error = null) {
+  if (!getCurrentOwner()) {
+    // Nobody could send the entry without signing in, and it must not be sent with another user's token
+    console.error(`Submission ${submission.submissionId} not queued: nobody is signed in`);
+    return;
+  }
+
+  const owner = getSubmissionOwner(submission);
+  const dedupeKey = getDedupeKey(owner, submission);
+  const queue = readQueue().filter(entry => entry.dedupeKey !== dedupeKey);
+
+  queue.push({
+    owner,
+    dedupeKey,
+    submission,
+    // Keep the survey's results endpoint, another survey may be active when the entry is retried
+    endpoint: dataService.getResultsLocation().endpoint,
+    attempts: 1,
+    queuedAt: new Date().toISOString(),
+    nextAttemptAt: Date.now() + getRetryDelay(1),
+    lastError: error ? error.message : null
+  });
+
+  writeQueue(queue);
+  console.log(`Submission ${submission.submissionId} queued for later delivery`);
+  notify(QUEUE_EVENTS.queued, { submissionId: submission.submissionId });
+
+  scheduleRetry();
+}
+
+/**
+ * Get the signed-in user's submissions that are waiting to be sent
+ * @returns {Array} - Array of queued submission data objects
+ */
+export function getPendingSubmissions() {
+  return getOwnEntries(readQueue()).map(entry => entry.submission);
+}
+
+/**
+ * Check whether a submission of the signed-in user is still waiting in the outbox
+ * @param {string} submissionId - The submission id
+ * @returns {boolean} - Whether the submission is queued
+ */
+export function isQueued(submissionId) {
+  return getOwnEntries(readQueue()).some(entry => entry.submission.submissionId === submissionId);
+}
+
+/**
+ * Schedule the next retry based on the signed-in user's earliest due entry;
+ * other users' entries wait until their owner signs in on this device again
+ */
+function scheduleRetry() {
+  if (queueState.retryTimer) {
+    clearTimeout(queueState.retryTimer);
+    queueState.retryTimer = null;
+  }
+
+  const queue = getOwnEntries(readQueue());
+  if (queue.length === 0) {
+    return;
+  }
+
+  const nextAttemptAt = Math.min(...queue.map(entry => entry.nextAttemptAt || 0));
+  const delay = Math.max(0, nextAttemptAt - Date.now());
+  queueState.retryTimer = setTimeout(() => processQueue(), delay);
+}
+
+/**
+ * Try to send the signed-in user's queued submissions
+ * @param {boolean} [force=false] - Send all of the user's entries now, ignoring their backoff
+ * @returns {Promise<number>} - Number of submissions sent
+ */
+export async function processQueue(force = false) {
+  if (queueState.flushing) {
+    return 0;
+  }
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+    console.log('Offline, postponing queued submissions');
+    scheduleRetry();
+    return 0;
+  }
+
+  queueState.flushing = true;
+  let sentCount = 0;
+
+  try {
+    const now = Date.now();
+    for (const entry of getOwnEntries(readQueue())) {
+      if (!force && entry.nextAttemptAt > now) {
+        continue;
+      }
+      // The user may have signed out (and another signed in) while earlier entries were sent
+      if (!isSendableBy(entry, getCurrentOwner())) {
+        break;
+      }
+
+      const submissionId = entry.submission.submissionId;
+      try {
+        // Retries run in the background and must not open a sign-in popup
+        const result = await dataService.saveUserData(entry.submission, { interactive: false }, entry.endpoint);
+        writeQueue(readQueue().filter(queued => queued.dedupeKey !== entry.dedupeKey));
+        sentCount++;
+        console.log(`Queued submission ${submissionId} sent successfully`);
+        notify(QUEUE_EVENTS.sent, { submissionId, result });
+      } catch (error) {
+        const queue = readQueue();
+        const queued = queue.find(item => item.dedupeKey === entry.dedupeKey);
+        if (!queued) {
+          continue;
+        }
+        if (!isRetryableError(error)) {
+          // The server rejected the submission; retrying will not help
+          console.error(`Queued submission ${submissionId} rejected, removing from queue:`, error);
+          writeQueue(queue.filter(item => item !== queued));
+          continue;
+        }
+        queued.attempts += 1;
+        queued.nextAttemptAt = Date.now() + getRetryDelay(queued.attempts);
+        queued.lastError = error.message;
+        writeQueue(queue);
+        console.warn(`Queued submission ${submissionId} failed (attempt ${queued.attempts}), will retry:`, error.message);
+      }
+    }
+  } finally {
+    queueState.flushing = false;
+    scheduleRetry();
+  }
+
+  return sentCount;
+}
+
+/**
+ * Start automatic delivery of queued submissions: retry when the browser
+ * comes back online and resume any backoff left from a previous session
+ */
+export function startQueue() {
+  if (queueState.started) {
+    return;
+  }
+  queueState.started = true;
+
+  window.addEventListener('online', () => {
+    console.log('Connection restored, sending queued submissions');
+    processQueue(true);
+  });
+
+  scheduleRetry();
+}
@@ -0,0 +1,186 @@
+/**
+ * surveyAvailability.js
+ * Survey availability module
+ *
+ * This module decides whether a survey can be taken: the definition may set an
+ * open window (`opensAt`/`closesAt`) and quotas, either for the total number of
+ * respondents or per answer to a segmenting question such as `bedrijf`. Quotas
+ * are checked against the survey summary endpoint, which is expected to return
+ * the number of submitted respondents per survey id:
+ *
+ *   { "<surveyId>": { "respondents": 120, "segments": { "bedrijf": { "amis": 20 } } } }
+ *
+ * Participants cannot read each other's results, so the counts must be computed
+ * on the server; the client only reads them.
+ *
+ * Quotas are a courtesy to participants, not an enforcement: when the summary
+ * cannot be loaded the survey stays available.
+ */
+
+import * as dataService from './dataService.js';
+
+// Outcomes of an availability check
+export const AVAILABILITY_STATUS = {
+  open: 'open',
+  notOpen: 'notOpen',
+  closed: 'closed',
+  quotaFull: 'quotaFull'
+};
+
+// Kinds of quota that can be reached
+export const QUOTA_KINDS = {
+  total: 'total',
+  segment: 'segment'
+};
+
+/**
+ * Parse a date of the survey definition
+ * @param {string} value - ISO 8601 date or date-time
+ * @returns {Date|null} - The date, or null when not set or invalid
+ */
+function parseDate(value) {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Check the survey's open window
+ * @param {Object} definition - The survey definition
+ * @param {Date} [now=new Date()] - The moment to check
+ * @returns {Object} - { status, opensAt, closesAt } with the dates as Date or null
+ */
+export function getScheduleStatus(definition, now = new Date()) {
+  const opensAt = parseDate(definition && definition.opensAt);
+  const closesAt = parseDate(definition && definition.closesAt);
+
+  let status = AVAILABILITY_STATUS.open;
+  if (opensAt && now < opensAt) {
+    status = AVAILABILITY_STATUS.notOpen;
+  } else if (closesAt && now >= closesAt) {
+    status = AVAILABILITY_STATUS.closed;
+  }
+  return { status, opensAt, closesAt };
+}
+
+/**
+ * Get the respondent limit for an answer to the segment question
+ * @param {Object} segmentQuota - The quotas.segment setting
+ * @param {string} value - The answer (option value)
+ * @returns {number|null} - The limit, or null when the answer has no limit
+ */
+function getSegmentLimit(segmentQuota, value) {
+  const limits = segmentQuota.limits || {};
+  if (typeof limits[value] === 'number') {
+    return limits[value];
+  }
+  return typeof segmentQuota.limit === 'number' ? segmentQuota.limit : null;
+}
+
+/**
+ * Get the answers of a response to the segment question as option values
+ * @param {Object} response - The stored response ({ value })
+ * @returns {string[]} - The selected option values
+ */
+function getSegmentValues(response) {
+  if (!response || response.value === undefined || response.value === null || response.value === '') {
+    return [];
+  }
+  return (Array.isArray(response.value) ? response.value : [response.value])
+    .map(selection => (selection && typeof selection === 'object' && selection.isOther ? 'other' : selection));
+}
+
+/**
+ * Load the respondent counts of a survey from the summary endpoint
+ * @param {string} surveyId - The survey id
+ * @returns {Promise<Object|null>} - { respondents, segments }, or null when unavailable
+ */
+async function loadSurveyCounts(surveyId) {
+  try {
+    const summary = await dataService.getSurveySummary(true);
+    return (summary && summary[surveyId]) || null;
+  } catch (error) {
+    console.warn('Survey summary not available, quotas are not checked:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Check the survey's quotas against the summary endpoint.
+ * Without responses the segment quota only blocks the start when every answer is full;
+ * with responses it blocks when the participant's own answer is full.
+ * @param {Object} definition - The survey definition
+ * @param {Object} [responses=null] - The participant's responses, keyed by question id
+ * @returns {Promise<Object>} - { status } and, when a quota is full, { quota: { kind, questionId, value, limit } }
+ */
+export async function checkQuotas(definition, responses = null) {
+  const quotas = definition && definition.quotas;
+  if (!quotas || (typeof quotas.total !== 'number' && !quotas.segment)) {
+    return { status: AVAILABILITY_STATUS.open };
+  }
+
+  const counts = await loadSurveyCounts(definition.id);
+  if (!counts) {
+    return { status: AVAILABILITY_STATUS.open };
+  }
+
+  if (typeof quotas.total === 'number' && (counts.respondents || 0) >= quotas.total) {
+    return { status: AVAILABILITY_STATUS.quotaFull, quota: { kind: QUOTA_KINDS.total, limit: quotas.total } };
+  }
+
+  const segmentQuota = quotas.segment;
+  if (segmentQuota && segmentQuota.questionId) {
+    const segmentCounts = (counts.segments && counts.segments[segmentQuota.questionId]) || {};
+    const isFull = value => {
+      const limit = getSegmentLimit(segmentQuota, value);
+      return limit !== null && (segmentCounts[value] || 0) >= limit;
+    };
+    const fullQuota = value => ({
+      status: AVAILABILITY_STATUS.quotaFull,
+      quota: { kind: QUOTA_KINDS.segment, questionId: segmentQuota.questionId, value, limit: getSegmentLimit(segmentQuota, value) }
+    });
+
+    const answers = getSegmentValues(responses && responses[segmentQuota.questionId]);
+    const fullAnswer = answers.find(isFull);
+    if (fullAnswer !== undefined) {
+      return fullQuota(fullAnswer);
+    }
+
+    const segmentQuestion = (definition.steps || [])
+      .flatMap(step => step.questions || [])
+      .find(question => question.id === segmentQuota.questionId);
+    const options = (segmentQuestion && segmentQuestion.options) || [];
+    if (answers.length === 0 && options.length > 0 && options.every(option => isFull(option.value))) {
+      return fullQuota(null);
+    }
+  }
+
+  return { status: AVAILABILITY_STATUS.open };
+}
+
+/**
+ * Check whether the survey can be taken: first the open window, then the quotas
+ * @param {Object} definition - The survey definition
+ * @param {Object} [responses=null] - The participant's responses, keyed by question id
+ * @returns {Promise<Object>} - { status, opensAt?, closesAt?, quota? }
+ */
+export async function checkAvailability(definition, responses = null) {
+  const schedule = getScheduleStatus(definition);
+  if (schedule.status !== AVAILABILITY_STATUS.open) {
+    return schedule;
+  }
+  return { ...schedule, ...await checkQuotas(definition, responses) };
+}
+
+/**
+ * Check whether a step holds the question the segment quota is based on
+ * @param {Object} definition - The survey definition
+ * @param {Object} step - The survey step
+ * @returns {boolean} - Whether the step holds the segment question
+ */
+export function isSegmentQuotaStep(definition, step) {
+  const segmentQuota = definition && definition.quotas && definition.quotas.segment;
+  return Boolean(segmentQuota && step && (step.questions || []).some(question => question.id === segmentQuota.questionId));
+}
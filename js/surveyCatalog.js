@@ -0,0 +1,149 @@
+/**
+ * surveyCatalog.js
+ * Survey catalog module
+ *
+ * This module reads the survey catalog (js/data/surveys.json), which lists the
+ * surveys one deployment serves: their ids, titles, definition paths, open
+ * windows, audiences and where their results are stored. The survey to show is
+ * picked with a deep link such as `?survey=onstage-2026`; without one the
+ * catalog's default survey is used.
+ *
+ * Every entry needs its own `resultsEndpoint`: the API Gateway route writes one
+ * result file per user, so two surveys sharing a route would overwrite each
+ * other's drafts and submissions.
+ *
+ * Audiences are e-mail patterns ("*" for everyone, "*@conclusion.nl" for a
+ * domain). They decide which surveys are listed for a participant; access
+ * itself is controlled by the API Gateway authorizer.
+ */
+
+// Constants for the catalog
+const CATALOG = {
+  path: 'js/data/surveys.json',
+  queryParameter: 'survey'
+};
+
+// Catalog state
+const catalogState = {
+  catalog: null
+};
+
+/**
+ * Check the entries of the survey catalog
+ * @param {Array} surveys - The catalog entries
+ * @returns {string[]} - Descriptions of the problems found; empty when the entries are valid
+ */
+export function validateCatalogEntries(surveys) {
+  const errors = [];
+  const endpoints = new Map();
+  surveys.forEach((entry, index) => {
+    const name = entry && entry.id ? `"${entry.id}"` : `#${index + 1}`;
+    ['id', 'path', 'resultsEndpoint'].forEach(key => {
+      if (!entry || typeof entry[key] !== 'string' || entry[key] === '') {
+        errors.push(`survey ${name} has no ${key}`);
+      }
+    });
+    if (entry && entry.resultsEndpoint) {
+      if (endpoints.has(entry.resultsEndpoint)) {
+        errors.push(`surveys ${endpoints.get(entry.resultsEndpoint)} and ${name} use the same resultsEndpoint`);
+      } else {
+        endpoints.set(entry.resultsEndpoint, name);
+      }
+    }
+  });
+  return errors;
+}
+
+/**
+ * Load the survey catalog
+ * @returns {Promise<Object>} - The catalog ({ defaultSurvey, surveys })
+ */
+export async function loadCatalog() {
+  if (catalogState.catalog) {
+    return catalogState.catalog;
+  }
+
+  const response = await fetch(CATALOG.path);
+  if (!response.ok) {
+    throw new Error(`Failed to load survey catalog: ${response.status} ${response.statusText}`);
+  }
+  const catalog = await response.json();
+  if (!catalog || !Array.isArray(catalog.surveys) || catalog.surveys.length === 0) {
+    throw new Error('Survey catalog does not list any surveys');
+  }
+  const errors = validateCatalogEntries(catalog.surveys);
+  if (errors.length > 0) {
+    throw new Error(`Invalid survey catalog: ${errors.join('; ')}`);
+  }
+
+  catalogState.catalog = catalog;
+  return catalog;
+}
+
+/**
+ * Get the survey id requested with a deep link
+ * @param {string} [search=window.location.search] - The query string
+ * @returns {string|null} - The requested survey id, or null
+ */
+export function getRequestedSurveyId(search = window.location.search) {
+  return new URLSearchParams(search).get(CATALOG.queryParameter);
+}
+
+/**
+ * Build the deep link to a survey
+ * @param {string} surveyId - The survey id
+ * @returns {string} - URL of this page with the survey parameter set
+ */
+export function getSurveyLink(surveyId) {
+  const url = new URL(window.location.href);
+  url.searchParams.set(CATALOG.queryParameter, surveyId);
+  url.hash = '';
+  return url.toString();
+}
+
+/**
+ * Select the survey to show: the deep-linked survey, or the catalog's default
+ * @param {Object} catalog - The survey catalog
+ * @param {string|null} requestedId - The survey id from the deep link
+ * @returns {Object} - { entry, notFound } where notFound holds a requested id missing from the catalog
+ */
+export function selectSurvey(catalog, requestedId) {
+  const find = id => catalog.surveys.find(survey => survey.id === id);
+  const requested = requestedId ? find(requestedId) : null;
+  if (requestedId && !requested) {
+    console.warn(`Survey "${requestedId}" is not in the catalog, showing the default survey`);
+  }
+  return {
+    entry: requested || find(catalog.defaultSurvey) || catalog.surveys[0],
+    notFound: requestedId && !requested ? requestedId : null
+  };
+}
+
+/**
+ * Check whether a user belongs to one of the audiences of a catalog entry
+ * @param {Object} entry - The catalog entry
+ * @param {Object|null} idTokenClaims - The user's ID token claims
+ * @returns {boolean} - Whether the survey is meant for the user; entries without audiences are for everyone
+ */
+export function isInAudience(entry, idTokenClaims) {
+  const audiences = entry.audiences || ['*'];
+  const email = ((idTokenClaims && (idTokenClaims.email || idTokenClaims.preferred_username)) || '').toLowerCase();
+  return audiences.some(pattern => {
+    const normalized = String(pattern).trim().toLowerCase();
+    if (normalized === '*') {
+      return true;
+    }
+    const expression = normalized.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+    return email !== '' && new RegExp(`^${expression}$`).test(email);
+  });
+}
+
+/**
+ * Get the catalog entries that are listed for a user
+ * @param {Object} catalog - The survey catalog
+ * @param {Object|null} idTokenClaims - The user's ID token claims
+ * @returns {Array} - The catalog entries for the user's audiences
+ */
+export function getSurveysForUser(catalog, idTokenClaims) {
+  return catalog.surveys.filter(entry => entry.listed !== false && isInAudience(entry, idTokenClaims));
+}
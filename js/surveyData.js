@@ -9,27 +9,101 @@
 
 import * as dataService from './dataService.js';
 import * as auth from './auth.js';
+import { validateSurveyDefinition } from './surveyValidator.js';
+import { migrateResponses, normalizeVersion, DEFAULT_VERSION } from './responseMigration.js';
+import * as submissionQueue from './submissionQueue.js';
+import { getScheduleStatus, AVAILABILITY_STATUS } from './surveyAvailability.js';
+import { buildDependencyGraph } from './conditionGraph.js';
 
 // Constants for local storage keys
+// Progress is stored per survey, signed-in user and definition version under
+// `${prefix}:${surveyId}:${userId}:v${version}`; the legacy keys predate namespacing
 const STORAGE_KEYS = {
-  currentStep: 'survey_current_step',
-  responses: 'survey_responses'
+  prefix: 'survey_progress',
+  legacyCurrentStep: 'survey_current_step',
+  legacyResponses: 'survey_responses'
+};
+
+// Fallbacks for the storage key components
+const STORAGE_DEFAULTS = {
+  userId: 'anonymous'
+};
+
+// Path to the JSON schema that survey definitions are validated against
+const SCHEMA_PATH = 'js/schema/surveySchema.json';
+
+// Constants for server-side drafts
+const DRAFT = {
+  status: 'draft',
+  submittedStatus: 'submitted',
+  autosaveInterval: 60000 // ms between draft saves while responses change
+};
+
+// Anonymity modes of a survey definition: whether submissions carry the
+// participant's user name or not. Pseudonymous results are stored under a pseudonym
+// the authorizer computes with a secret key, so each participant has one result file;
+// anonymous results get a new random file name for every submission (see server/func.js)
+export const ANONYMITY = {
+  identified: 'identified',
+  pseudonymous: 'pseudonymous',
+  anonymous: 'anonymous'
+};
+
+// Notices shown on the first step, explaining how the answers are stored
+const ANONYMITY_NOTICES = {
+  [ANONYMITY.identified]: 'Your answers are saved together with your name and e-mail address, so the organisers can see who gave them.',
+  [ANONYMITY.pseudonymous]: 'Your answers are saved without your name or e-mail address, under a code that the server computes from your account with a secret key. The code lets the organisers count every participant once, but does not show them who you are.',
+  [ANONYMITY.anonymous]: 'Your answers are saved without your name, your e-mail address or any code linked to your account. Because nobody can link them back to you, your progress is only kept on this device and you cannot change your answers after submitting.'
+};
+
+// Edit policies of a survey definition: whether a participant may change a
+// submitted response always, until the survey closes (default) or never
+export const EDIT_POLICY = {
+  always: 'always',
+  untilClose: 'untilClose',
+  never: 'never'
+};
+
+// Events dispatched on the document when the survey state changes
+export const SURVEY_EVENTS = {
+  responseChanged: 'survey:response-changed'
 };
 
 // Survey state object
 const surveyState = {
   definition: null,      // The full survey definition object
+  surveyPath: null,      // Path the definition was loaded from (fallback survey id)
   currentStepIndex: 0,   // Current step index (0-based)
-  responses: {},         // User responses to questions
+  stepHistory: [],       // Indexes of the steps travelled before the current step, for Previous
+  responses: {},         // User responses to questions; answers to hidden questions are marked stale
+  dependencyGraph: null, // Which questions and steps depend on which answers (see conditionGraph.js)
   isLoaded: false        // Whether survey data is loaded
 };
 
+// Draft autosave state
+const draftState = {
+  timer: null,           // Interval timer for periodic draft saving
+  dirty: false,          // Whether responses changed since the last draft save
+  inFlight: null,        // Promise of the draft save in progress, if any
+  serverChecked: false,  // Whether the server copy was inspected for this user
+  blocked: false         // Drafts must not be saved (a final submission exists or was made)
+};
+
+// Submitted response state
+const submissionState = {
+  existing: null,        // The signed-in user's submission of this survey on the server, if any
+  checked: false,        // Whether the server was asked for the user's submission
+  editing: false         // Whether the submitted responses are loaded for editing
+};
+
 /**
  * Load a survey definition from a URL or path
  * @param {string} surveyPath - Path to the survey definition JSON
+ * @param {Object} [defaults={}] - Properties used when the definition does not set them,
+ *   such as the open window from the survey catalog
  * @returns {Promise<Object>} - The survey definition object
  */
-export async function loadSurveyDefinition(surveyPath) {
+export async function loadSurveyDefinition(surveyPath, defaults = {}) {
   try {
     // Fetch the survey definition from the specified path
     const response = await fetch(surveyPath);
@@ -38,14 +112,27 @@ export async function loadSurveyDefinition(surveyPath) {
       throw new Error(`Failed to load survey definition: ${response.status} ${response.statusText}`);
     }
     
-    const surveyData = await response.json();
+    // Properties the definition does not set itself are taken from the defaults
+    const surveyData = { ...defaults, ...await response.json() };
+    
+    // Refuse definitions with schema or cross-reference errors rather than rendering half a wizard
+    const schema = await loadSurveySchema();
+    const validation = validateSurveyDefinition(surveyData, schema);
+    if (!validation.valid) {
+      const error = new Error(`Survey definition ${surveyPath} is invalid (${validation.errors.length} problem(s) found)`);
+      error.validationErrors = validation.errors;
+      throw error;
+    }
     
     // Store the survey definition in the state
     surveyState.definition = surveyData;
+    surveyState.surveyPath = surveyPath;
+    surveyState.dependencyGraph = buildDependencyGraph(surveyData);
     surveyState.isLoaded = true;
     
-    // Try to restore any saved progress
+    // Try to restore any saved progress, preferring a newer draft saved from another device
     restoreProgress();
+    await resumeFromServerDraft();
     
     return surveyData;
   } catch (error) {
@@ -54,6 +141,24 @@ export async function loadSurveyDefinition(surveyPath) {
   }
 }
 
+/**
+ * Load the survey JSON schema
+ * @returns {Promise<Object|null>} - The parsed schema, or null if it could not be loaded
+ */
+async function loadSurveySchema() {
+  try {
+    const response = await fetch(SCHEMA_PATH);
+    if (!response.ok) {
+      throw new Error(`${response.status} ${response.statusText}`);
+    }
+    return await response.json();
+  } catch (error) {
+    // Cross-reference checks still run without the schema
+    console.warn('Could not load survey schema, skipping schema validation:', error);
+    return null;
+  }
+}
+
 /**
  * Get the current survey definition
  * @returns {Object|null} - The current survey definition or null if not loaded
@@ -62,6 +167,26 @@ export function getSurveyDefinition() {
   return surveyState.definition;
 }
 
+/**
+ * Get the dependency graph of the conditions of the current survey
+ * @returns {Object|null} - The graph (see conditionGraph.buildDependencyGraph) or null if no survey is loaded
+ */
+export function getDependencyGraph() {
+  return surveyState.dependencyGraph;
+}
+
+/**
+ * Get what answer piping needs to fill in placeholders such as {{bedrijf.label}} (see answerPiping.js)
+ * @returns {Object} - { definition, responses, user } with the signed-in user's ID token claims as user
+ */
+export function getPipingContext() {
+  return {
+    definition: surveyState.definition,
+    responses: surveyState.responses,
+    user: auth.getIdTokenClaims() || {}
+  };
+}
+
 /**
  * Check if a survey is currently loaded
  * @returns {boolean} - Whether a survey is loaded
@@ -142,21 +267,69 @@ export function goToStep(index) {
 }
 
 /**
- * Move to the next step
+ * Move to the next step, remembering the current step for Previous
+ * @param {number} [targetIndex] - Index of the next step; defaults to the following step
+ *   (surveyPath.js passes the step that conditions and branches lead to)
  * @returns {boolean} - Whether the navigation was successful
  */
-export function nextStep() {
-  return goToStep(surveyState.currentStepIndex + 1);
+export function nextStep(targetIndex = surveyState.currentStepIndex + 1) {
+  const fromIndex = surveyState.currentStepIndex;
+  if (targetIndex <= fromIndex) {
+    return false;
+  }
+  surveyState.stepHistory.push(fromIndex);
+  if (!goToStep(targetIndex)) {
+    surveyState.stepHistory.pop();
+    return false;
+  }
+  return true;
 }
 
 /**
- * Move to the previous step
+ * Move to the previous step: the step the participant came from, or else the preceding step
  * @returns {boolean} - Whether the navigation was successful
  */
 export function prevStep() {
+  if (surveyState.stepHistory.length > 0) {
+    const previousIndex = surveyState.stepHistory.pop();
+    if (goToStep(previousIndex)) {
+      return true;
+    }
+    surveyState.stepHistory.push(previousIndex);
+    return false;
+  }
   return goToStep(surveyState.currentStepIndex - 1);
 }
 
+/**
+ * Get the steps travelled before the current step
+ * @returns {number[]} - Step indexes in the order they were visited
+ */
+export function getStepHistory() {
+  return [...surveyState.stepHistory];
+}
+
+/**
+ * Replace the travelled steps, e.g. after jumping to a step with the pagination circles
+ * @param {number[]} history - Step indexes in the order they were visited
+ */
+export function setStepHistory(history) {
+  surveyState.stepHistory = sanitizeStepHistory(history);
+  saveProgress();
+}
+
+/**
+ * Keep only valid step indexes before the current step in a step history
+ * @param {Array} history - The stored step history
+ * @returns {number[]} - The usable step history
+ */
+function sanitizeStepHistory(history) {
+  if (!Array.isArray(history) || !surveyState.definition) {
+    return [];
+  }
+  return history.filter(index => Number.isInteger(index) && index >= 0 && index < surveyState.currentStepIndex);
+}
+
 /**
  * Check if there is a next step available
  * @returns {boolean} - Whether there is a next step
@@ -178,17 +351,21 @@ export function hasPrevStep() {
     return false;
   }
   
-  return surveyState.currentStepIndex > 0;
+  return surveyState.stepHistory.length > 0 || surveyState.currentStepIndex > 0;
 }
 
 /**
  * Check if a step has been visited.
- * A step is considered visited if its index is less than or equal to the current step index.
+ * A step is considered visited if it is the current step or on the travelled path;
+ * without a travelled path (progress saved before it was kept) every step up to the current one counts.
  * @param {number} index - The index of the step to check.
  * @returns {boolean} - True if the step has been visited, false otherwise.
  */
 export function hasVisitedStep(index) {
-  return index <= surveyState.currentStepIndex;
+  if (surveyState.stepHistory.length === 0) {
+    return index <= surveyState.currentStepIndex;
+  }
+  return index === surveyState.currentStepIndex || surveyState.stepHistory.includes(index);
 }
 
 /**
@@ -203,15 +380,19 @@ export function areAllRequiredQuestionsAnswered(stepId) {
   }
 
   const requiredQuestions = step.questions.filter(q => q.required);
-  for (const question of requiredQuestions) {
-    const response = getResponse(question.id);
-    if (!response || response.value === undefined || response.value === null ||
-        (Array.isArray(response.value) && response.value.length === 0) ||
-        (typeof response.value === 'string' && response.value.trim() === '')) {
-      return false;
-    }
-  }
-  return true;
+  return requiredQuestions.every(question => isQuestionAnswered(question.id));
+}
+
+/**
+ * Check whether a question has an answer
+ * @param {string} questionId - The question ID
+ * @returns {boolean} - Whether the response holds a non-empty value
+ */
+export function isQuestionAnswered(questionId) {
+  const response = getResponse(questionId);
+  return !(!response || response.value === undefined || response.value === null ||
+    (Array.isArray(response.value) && response.value.length === 0) ||
+    (typeof response.value === 'string' && response.value.trim() === ''));
 }
 
 /**
@@ -239,10 +420,53 @@ export function saveResponse(questionId, value, comment = null) {
   
   // Save progress to local storage
   saveProgress();
+  draftState.dirty = true;
+
+  // Let conditional questions, the path and the navigation follow the new answer
+  document.dispatchEvent(new CustomEvent(SURVEY_EVENTS.responseChanged, {
+    detail: { questionId, value }
+  }));
   
   return true;
 }
 
+/**
+ * Mark the answers to hidden questions as stale, and those to shown questions as current again.
+ * Stale answers are kept, so they return when the question is shown again, but they do not
+ * count for conditions and are left out of the submission.
+ * @param {string[]} hiddenQuestionIds - IDs of the questions that are hidden
+ * @returns {string[]} - IDs of the questions whose answer became stale or current
+ */
+export function setStaleResponses(hiddenQuestionIds) {
+  const hidden = new Set(hiddenQuestionIds);
+  const changed = Object.entries(surveyState.responses)
+    .filter(([questionId, response]) => Boolean(response.stale) !== hidden.has(questionId))
+    .map(([questionId, response]) => {
+      if (hidden.has(questionId)) {
+        response.stale = true;
+      } else {
+        delete response.stale;
+      }
+      return questionId;
+    });
+
+  if (changed.length > 0) {
+    saveProgress();
+    draftState.dirty = true;
+  }
+  return changed;
+}
+
+/**
+ * Get the responses to submit: all answers except the stale answers to hidden questions
+ * @returns {Object} - Response objects keyed by question ID
+ */
+function getSubmittedResponses() {
+  return Object.fromEntries(
+    Object.entries(surveyState.responses).filter(([, response]) => !response.stale)
+  );
+}
+
 /**
  * Get a response for a specific question
  * @param {string} questionId - The question ID
@@ -260,87 +484,621 @@ export function getAllResponses() {
   return { ...surveyState.responses };
 }
 
+/**
+ * Get the identifier of the loaded survey, used to namespace stored progress
+ * @returns {string} - The survey id, or the path it was loaded from if it has no id
+ */
+function getSurveyId() {
+  return surveyState.definition?.id || surveyState.surveyPath || 'unknown';
+}
+
+/**
+ * Get the anonymity mode of the loaded survey definition
+ * @returns {string} - One of ANONYMITY; surveys without a valid setting are identified
+ */
+export function getAnonymity() {
+  const anonymity = surveyState.definition?.anonymity;
+  return Object.values(ANONYMITY).includes(anonymity) ? anonymity : ANONYMITY.identified;
+}
+
+/**
+ * Get the notice that tells the participant how their answers are stored
+ * @returns {string} - The definition's anonymityNotice, or the default notice for its anonymity mode
+ */
+export function getAnonymityNotice() {
+  return surveyState.definition?.anonymityNotice || ANONYMITY_NOTICES[getAnonymity()];
+}
+
+/**
+ * Check whether the participant's result file can be read back from the server.
+ * Identified and pseudonymous results are stored under the participant's user name
+ * or pseudonym; anonymous results get a new random name, so there are no server
+ * drafts or earlier submissions to find for them.
+ * @returns {boolean} - Whether the survey keeps a result file per participant
+ */
+function hasServerCopy() {
+  return getAnonymity() !== ANONYMITY.anonymous;
+}
+
+/**
+ * Get the identity fields of a submission according to the survey's anonymity mode.
+ * Pseudonyms are not computed here: anything the browser computes from the account
+ * can be recomputed by anyone who knows the account id. The results route of
+ * pseudonymous surveys names the result file after the pseudonym the authorizer
+ * computes with its secret key, and the results dashboard takes it from there.
+ * @returns {Object} - { username } when identified, {} otherwise
+ */
+function getRespondentIdentity() {
+  switch (getAnonymity()) {
+    case ANONYMITY.anonymous:
+    case ANONYMITY.pseudonymous:
+      return {};
+    default: {
+      // Get username from token if available
+      const idTokenClaims = auth.getIdTokenClaims();
+      const username = idTokenClaims ?
+        (idTokenClaims.preferred_username || idTokenClaims.email || idTokenClaims.name || 'unknown') :
+        'unknown';
+      return { username };
+    }
+  }
+}
+
+/**
+ * Get the version of the loaded survey definition
+ * @returns {string} - The definition version
+ */
+function getDefinitionVersion() {
+  return normalizeVersion(surveyState.definition?.version);
+}
+
+/**
+ * Get a stable identifier for the signed-in user from the ID token claims
+ * @returns {string} - The user identifier, or 'anonymous' when nobody is signed in
+ */
+function getStorageUserId() {
+  const idTokenClaims = auth.getIdTokenClaims();
+  if (!idTokenClaims) {
+    return STORAGE_DEFAULTS.userId;
+  }
+  return idTokenClaims.oid || idTokenClaims.preferred_username || idTokenClaims.email || STORAGE_DEFAULTS.userId;
+}
+
+/**
+ * Build the local storage key prefix shared by all versions of this survey for this user
+ * @returns {string} - The key prefix (ends with a colon)
+ */
+function getProgressKeyPrefix() {
+  return `${STORAGE_KEYS.prefix}:${encodeURIComponent(getSurveyId())}:${encodeURIComponent(getStorageUserId())}:`;
+}
+
+/**
+ * Build the local storage key for the progress of this survey, user and definition version
+ * @returns {string} - The local storage key
+ */
+function getProgressKey() {
+  return `${getProgressKeyPrefix()}v${encodeURIComponent(getDefinitionVersion())}`;
+}
+
 /**
  * Save survey progress to local storage
  */
 function saveProgress() {
+  if (!surveyState.isLoaded) {
+    return;
+  }
+
   try {
-    // Save current step
-    localStorage.setItem(STORAGE_KEYS.currentStep, surveyState.currentStepIndex.toString());
-    
-    // Save responses
-    localStorage.setItem(STORAGE_KEYS.responses, JSON.stringify(surveyState.responses));
+    const progress = {
+      surveyId: getSurveyId(),
+      version: getDefinitionVersion(),
+      currentStepIndex: surveyState.currentStepIndex,
+      stepHistory: surveyState.stepHistory,
+      responses: surveyState.responses,
+      savedAt: new Date().toISOString()
+    };
+    localStorage.setItem(getProgressKey(), JSON.stringify(progress));
   } catch (error) {
     console.error('Error saving survey progress:', error);
   }
 }
 
+/**
+ * Move progress stored under the legacy fixed keys into the namespaced key.
+ * Legacy progress predates versioning and is filed under the default version,
+ * from where it is migrated like any other version. The legacy keys were shared
+ * by all surveys, so they are removed either way.
+ */
+function migrateLegacyProgress() {
+  const legacyResponses = localStorage.getItem(STORAGE_KEYS.legacyResponses);
+  const legacyStep = localStorage.getItem(STORAGE_KEYS.legacyCurrentStep);
+  if (legacyResponses === null && legacyStep === null) {
+    return;
+  }
+
+  const legacyKey = `${getProgressKeyPrefix()}v${encodeURIComponent(DEFAULT_VERSION)}`;
+  if (localStorage.getItem(legacyKey) === null && legacyResponses !== null) {
+    console.log(`Migrating legacy survey progress to ${legacyKey}`);
+    localStorage.setItem(legacyKey, JSON.stringify({
+      surveyId: getSurveyId(),
+      version: DEFAULT_VERSION,
+      currentStepIndex: parseInt(legacyStep, 10) || 0,
+      responses: JSON.parse(legacyResponses),
+      savedAt: new Date().toISOString()
+    }));
+  }
+
+  localStorage.removeItem(STORAGE_KEYS.legacyResponses);
+  localStorage.removeItem(STORAGE_KEYS.legacyCurrentStep);
+}
+
+/**
+ * Bring progress this user saved for other versions of this survey up to date.
+ * The most recent progress is migrated with the definition's migration rules if
+ * there is none for the current version yet; anything that cannot be migrated
+ * no longer matches the questions and is discarded.
+ */
+function migrateOtherVersions() {
+  const prefix = getProgressKeyPrefix();
+  const currentKey = getProgressKey();
+  const otherKeys = [];
+
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (key && key.startsWith(prefix) && key !== currentKey) {
+      otherKeys.push(key);
+    }
+  }
+
+  if (otherKeys.length === 0) {
+    return;
+  }
+
+  if (localStorage.getItem(currentKey) === null) {
+    const candidates = otherKeys
+      .map(key => {
+        try {
+          return JSON.parse(localStorage.getItem(key));
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(progress => progress && progress.responses)
+      .sort((a, b) => String(b.savedAt || '').localeCompare(String(a.savedAt || '')));
+
+    for (const progress of candidates) {
+      const responses = migrateResponses(progress.responses, progress.version, surveyState.definition);
+      if (responses) {
+        console.log(`Migrating survey progress from version ${progress.version} to ${getDefinitionVersion()}`);
+        localStorage.setItem(currentKey, JSON.stringify({
+          ...progress,
+          version: getDefinitionVersion(),
+          migratedFrom: normalizeVersion(progress.version),
+          responses
+        }));
+        break;
+      }
+    }
+  }
+
+  otherKeys.forEach(key => {
+    console.log(`Removing survey progress saved for another definition version: ${key}`);
+    localStorage.removeItem(key);
+  });
+}
+
 /**
  * Restore survey progress from local storage
  */
 function restoreProgress() {
+  // Start from a clean slate; progress of another survey or user must never leak in
+  surveyState.currentStepIndex = 0;
+  surveyState.stepHistory = [];
+  surveyState.responses = {};
+
   try {
+    migrateLegacyProgress();
+    migrateOtherVersions();
+
+    const savedProgress = localStorage.getItem(getProgressKey());
+    if (savedProgress === null) {
+      return;
+    }
+
+    const progress = JSON.parse(savedProgress);
+
     // Restore current step
-    const savedStep = localStorage.getItem(STORAGE_KEYS.currentStep);
-    if (savedStep !== null) {
-      const stepIndex = parseInt(savedStep, 10);
-      if (!isNaN(stepIndex) && stepIndex >= 0 && 
-          surveyState.definition && 
-          stepIndex < surveyState.definition.steps.length) {
-        surveyState.currentStepIndex = stepIndex;
-      }
+    const stepIndex = parseInt(progress.currentStepIndex, 10);
+    if (!isNaN(stepIndex) && stepIndex >= 0 &&
+        surveyState.definition &&
+        stepIndex < surveyState.definition.steps.length) {
+      surveyState.currentStepIndex = stepIndex;
     }
-    
+    surveyState.stepHistory = sanitizeStepHistory(progress.stepHistory);
+
     // Restore responses
-    const savedResponses = localStorage.getItem(STORAGE_KEYS.responses);
-    if (savedResponses !== null) {
-      surveyState.responses = JSON.parse(savedResponses);
+    if (progress.responses && typeof progress.responses === 'object') {
+      surveyState.responses = progress.responses;
     }
   } catch (error) {
     console.error('Error restoring survey progress:', error);
   }
 }
 
+/**
+ * Reload saved progress for the user that is currently signed in.
+ * Call this after sign-in, as the definition may have been loaded before
+ * the user's identity was known.
+ * @returns {Promise<boolean>} - Whether a survey is loaded and progress was reloaded
+ */
+export async function restoreProgressForCurrentUser() {
+  if (!surveyState.isLoaded) {
+    return false;
+  }
+
+  draftState.serverChecked = false;
+  draftState.blocked = false;
+  draftState.dirty = false;
+  submissionState.existing = null;
+  submissionState.checked = false;
+  submissionState.editing = false;
+
+  restoreProgress();
+  await resumeFromServerDraft();
+  return true;
+}
+
+/**
+ * Get the time progress was last saved on this device
+ * @returns {string|null} - ISO timestamp, or null if there is no saved progress
+ */
+function getLocalSavedAt() {
+  try {
+    const savedProgress = localStorage.getItem(getProgressKey());
+    return savedProgress ? JSON.parse(savedProgress).savedAt || null : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Resume from the draft the signed-in user saved on the server (for example from
+ * another device) when it is newer than the progress saved on this device.
+ * Also records whether the server holds a final submission, which drafts must never overwrite.
+ * @returns {Promise<boolean>} - Whether progress was taken from the server draft
+ */
+async function resumeFromServerDraft() {
+  if (!auth.getIdTokenClaims() || !hasServerCopy()) {
+    return false;
+  }
+
+  let serverData;
+  try {
+    serverData = await dataService.getUserData(true, { interactive: false });
+  } catch (error) {
+    if (error.status === 404) {
+      // Nothing saved on the server yet
+      draftState.serverChecked = true;
+    } else {
+      console.warn('Could not check for a server-side draft:', error);
+    }
+    return false;
+  }
+
+  draftState.serverChecked = true;
+  submissionState.checked = true;
+  if (!serverData) {
+    return false;
+  }
+
+  if (serverData.status !== DRAFT.status) {
+    if (isSubmission(serverData)) {
+      draftState.blocked = true;
+      if (isOwnSubmission(serverData)) {
+        submissionState.existing = serverData;
+      }
+    }
+    return false;
+  }
+
+  if (serverData.surveyId !== getSurveyId()) {
+    return false;
+  }
+
+  const localSavedAt = getLocalSavedAt();
+  if (localSavedAt && serverData.savedAt && serverData.savedAt <= localSavedAt) {
+    return false;
+  }
+
+  const responses = migrateResponses(serverData.responses || {}, serverData.surveyVersion, surveyState.definition);
+  if (!responses) {
+    return false;
+  }
+
+  console.log(`Resuming from server draft saved at ${serverData.savedAt}`);
+  surveyState.responses = responses;
+  const stepIndex = parseInt(serverData.currentStepIndex, 10);
+  surveyState.currentStepIndex = !isNaN(stepIndex) && stepIndex >= 0 && stepIndex < surveyState.definition.steps.length
+    ? stepIndex
+    : 0;
+  surveyState.stepHistory = sanitizeStepHistory(serverData.stepHistory);
+  saveProgress();
+  return true;
+}
+
+/**
+ * Save the current responses to the server as a draft, if they changed since the last save
+ * @returns {Promise<boolean>} - Whether a draft was saved
+ */
+export async function saveDraft() {
+  if (!surveyState.isLoaded || !hasServerCopy() || !draftState.dirty || draftState.inFlight ||
+      draftState.blocked || !draftState.serverChecked) {
+    return false;
+  }
+
+  const draft = {
+    surveyId: getSurveyId(),
+    surveyTitle: surveyState.definition.title,
+    surveyVersion: getDefinitionVersion(),
+    currentStepIndex: surveyState.currentStepIndex,
+    stepHistory: surveyState.stepHistory,
+    responses: surveyState.responses,
+    savedAt: new Date().toISOString()
+  };
+
+  draftState.dirty = false;
+  draftState.inFlight = dataService.saveDraftData(draft);
+  try {
+    await draftState.inFlight;
+    console.log('Draft saved to server');
+    return true;
+  } catch (error) {
+    // Try again at the next interval
+    draftState.dirty = true;
+    console.warn('Could not save draft to server:', error.message);
+    return false;
+  } finally {
+    draftState.inFlight = null;
+  }
+}
+
+/**
+ * Save a draft when the page is hidden, e.g. when the participant switches apps on a phone
+ */
+function handleVisibilityChange() {
+  if (document.visibilityState === 'hidden') {
+    saveDraft();
+  }
+}
+
+/**
+ * Start saving drafts to the server periodically while the survey is being filled in
+ */
+export function startDraftAutosave() {
+  if (draftState.timer) {
+    return;
+  }
+
+  draftState.timer = setInterval(saveDraft, DRAFT.autosaveInterval);
+  document.addEventListener('visibilitychange', handleVisibilityChange);
+}
+
+/**
+ * Stop saving drafts to the server
+ */
+export function stopDraftAutosave() {
+  if (draftState.timer) {
+    clearInterval(draftState.timer);
+    draftState.timer = null;
+  }
+  document.removeEventListener('visibilitychange', handleVisibilityChange);
+}
+
 /**
  * Clear all survey responses and reset progress
  */
 export function clearResponses() {
   surveyState.responses = {};
   surveyState.currentStepIndex = 0;
+  surveyState.stepHistory = [];
+
+  try {
+    localStorage.removeItem(getProgressKey());
+  } catch (error) {
+    console.error('Error clearing survey progress:', error);
+  }
+}
+
+/**
+ * Check whether data saved on the server is a final submission rather than a draft
+ * @param {Object} data - The saved data
+ * @returns {boolean} - Whether the data is a submission
+ */
+function isSubmission(data) {
+  return Boolean(data && (data.completedAt || data.status === DRAFT.submittedStatus));
+}
+
+/**
+ * Check whether a submission belongs to the loaded survey
+ * @param {Object} submission - The submission
+ * @returns {boolean} - Whether it was made for the loaded survey
+ */
+function isOwnSubmission(submission) {
+  return submission.surveyId === getSurveyId();
+}
+
+/**
+ * Get the signed-in user's submission of the loaded survey from the server
+ * @param {boolean} [forceRefresh=false] - Ask the server again even if it was checked before
+ * @returns {Promise<Object|null>} - The submission, or null when the user has not submitted
+ */
+export async function getExistingSubmission(forceRefresh = false) {
+  if (!surveyState.isLoaded || !auth.getIdTokenClaims()) {
+    return null;
+  }
+  // Only a submission made in this session is known for anonymous surveys
+  if (!hasServerCopy() || (submissionState.checked && !forceRefresh)) {
+    return submissionState.existing;
+  }
+
+  try {
+    const serverData = await dataService.getUserData(true, { interactive: false });
+    submissionState.existing = isSubmission(serverData) && isOwnSubmission(serverData) ? serverData : null;
+    submissionState.checked = true;
+  } catch (error) {
+    if (error.status === 404) {
+      submissionState.existing = null;
+      submissionState.checked = true;
+    } else {
+      // Do not stand in the way of a participant because the check failed
+      console.warn('Could not check for an existing submission:', error.message);
+    }
+  }
+
+  if (submissionState.existing) {
+    draftState.blocked = true;
+  }
+  return submissionState.existing;
+}
+
+/**
+ * Get the edit policy of the loaded survey definition
+ * @returns {string} - One of EDIT_POLICY; surveys without a valid setting can be edited until they close
+ */
+export function getEditPolicy() {
+  const editPolicy = surveyState.definition?.editPolicy;
+  return Object.values(EDIT_POLICY).includes(editPolicy) ? editPolicy : EDIT_POLICY.untilClose;
+}
+
+/**
+ * Check whether the participant may still change their submitted responses
+ * @returns {boolean} - Whether the submission can be edited under the survey's edit policy
+ */
+export function canEditSubmission() {
+  // Resubmitting an anonymous survey would add a second result instead of replacing the first
+  if (!hasServerCopy()) {
+    return false;
+  }
+  switch (getEditPolicy()) {
+    case EDIT_POLICY.never:
+      return false;
+    case EDIT_POLICY.untilClose:
+      return getScheduleStatus(surveyState.definition).status !== AVAILABILITY_STATUS.closed;
+    default:
+      return true;
+  }
+}
+
+/**
+ * Check whether the submitted responses are loaded for editing
+ * @returns {boolean} - Whether a submission is being edited
+ */
+export function isEditingSubmission() {
+  return submissionState.editing;
+}
+
+/**
+ * Load the responses of the existing submission, so the participant can change and resubmit them
+ * @returns {boolean} - Whether the submission was loaded; false when there is none or it cannot be edited
+ */
+export function editExistingSubmission() {
+  const submission = submissionState.existing;
+  if (!submission || !canEditSubmission()) {
+    return false;
+  }
+
+  const responses = migrateResponses(submission.responses || {}, submission.surveyVersion, surveyState.definition);
+  if (!responses) {
+    return false;
+  }
+
+  console.log(`Editing submission ${submission.submissionId} (revision ${submission.revision || 1})`);
+  surveyState.responses = responses;
+  surveyState.currentStepIndex = 0;
+  surveyState.stepHistory = [];
+  submissionState.editing = true;
   saveProgress();
+  return true;
 }
 
 /**
- * Submit survey responses to the server
- * @returns {Promise<Object>} - Server response
+ * Submit survey responses to the server.
+ * A participant who already submitted can only resubmit while editing their submission;
+ * the update keeps the submission id and increments its revision.
+ * If the server cannot be reached the submission is stored in the offline
+ * queue and sent automatically later; the result then has queued: true.
+ * @returns {Promise<Object>} - Server response, or { success: false, queued: true, submittedData }
  */
 export async function submitSurvey() {
   if (!surveyState.isLoaded || Object.keys(surveyState.responses).length === 0) {
     throw new Error('No survey responses to submit');
   }
+
+  // Look at the server copy rather than the cached one: the survey may have been submitted on another device
+  const existing = await getExistingSubmission(true);
+  if (existing && !submissionState.editing) {
+    const error = new Error('You have already submitted this survey');
+    error.status = 409;
+    error.existingSubmission = existing;
+    throw error;
+  }
+  if (existing && !canEditSubmission()) {
+    const error = new Error('Your submitted answers can no longer be changed');
+    error.status = 403;
+    throw error;
+  }
+  
+  // Prepare submission data; the identity fields depend on the survey's anonymity mode
+  const now = new Date().toISOString();
+  const submissionData = {
+    submissionId: existing ? existing.submissionId : submissionQueue.createSubmissionId(),
+    surveyId: getSurveyId(),
+    surveyTitle: surveyState.definition.title,
+    surveyVersion: getDefinitionVersion(),
+    status: DRAFT.submittedStatus,
+    completedAt: existing ? existing.completedAt : now,
+    revision: existing ? (existing.revision || 1) + 1 : 1,
+    ...(existing ? { revisedAt: now } : {}),
+    responses: getSubmittedResponses(),
+    anonymity: getAnonymity(),
+    ...getRespondentIdentity()
+  };
+  
+  // From here on drafts must not overwrite the submission; let a draft save in progress finish first
+  stopDraftAutosave();
+  draftState.blocked = true;
+  if (draftState.inFlight) {
+    await draftState.inFlight.catch(() => {});
+  }
   
   try {
-    // Get username from token if available
-    const idTokenClaims = auth.getIdTokenClaims();
-    const username = idTokenClaims ? 
-      (idTokenClaims.preferred_username || idTokenClaims.email || idTokenClaims.name || 'unknown') : 
-      'unknown';
-    
-    // Prepare submission data
-    const submissionData = {
-      surveyId: surveyState.definition.id || 'unknown',
-      surveyTitle: surveyState.definition.title,
-      completedAt: new Date().toISOString(),
-      responses: surveyState.responses,
-      username: username // Include username from token
-    };
-    
     // Use the dataService to save the survey data
     const result = await dataService.saveUserData(submissionData);
+    recordSubmission(submissionData);
     
     return result;
   } catch (error) {
+    if (submissionQueue.isRetryableError(error)) {
+      console.warn('Survey submission failed, queueing for automatic retry:', error);
+      submissionQueue.enqueue(submissionData, error);
+      recordSubmission(submissionData);
+      return {
+        success: false,
+        queued: true,
+        submittedData: submissionData
+      };
+    }
     console.error('Error submitting survey:', error);
     throw error;
   }
 }
+
+/**
+ * Remember a submission that was sent or queued as the user's existing submission
+ * @param {Object} submissionData - The submission
+ */
+function recordSubmission(submissionData) {
+  submissionState.existing = submissionData;
+  submissionState.checked = true;
+  submissionState.editing = false;
+}
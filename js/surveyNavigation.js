@@ -7,7 +7,11 @@
  */
 
 import * as surveyData from './surveyData.js';
-import { renderQuestionsForStep } from './questionRenderers.js';
+import { renderQuestionsForStep, refreshConditionalQuestions, refreshPipedTexts } from './questionRenderers.js';
+import { shouldShowQuestion } from './conditionEvaluator.js';
+import { buildReview, renderReview } from './surveyReview.js';
+import * as surveyPath from './surveyPath.js';
+import { getAffected, getPipingDependents } from './conditionGraph.js';
 
 // Constants for navigation buttons
 const NAV_BUTTON_IDS = {
@@ -16,13 +20,29 @@ const NAV_BUTTON_IDS = {
   submit: 'survey-submit-btn'
 };
 
+// Labels of the next button
+const NEXT_LABELS = {
+  next: 'Next',
+  review: 'Review Answers'
+};
+
+// Labels of the submit button
+const SUBMIT_LABELS = {
+  submit: 'Submit Survey',
+  update: 'Update My Answers',
+  submitting: 'Submitting...'
+};
+
 // Navigation state
 const navState = {
   surveyContainer: null,
   questionsContainer: null,
   progressBar: null,
   navigationHandler: null,
-  submitHandler: null
+  submitHandler: null,
+  stepGuard: null,
+  reviewing: false,      // Whether the review after the last step is shown
+  followsResponses: false // Whether the response change listener is registered
 };
 
 /**
@@ -31,17 +51,21 @@ const navState = {
  * @param {HTMLElement} questionsContainer - The container for questions
  * @param {HTMLElement} progressBar - The progress bar element
  * @param {Function} submitHandler - Function to call when survey is submitted
+ * @param {Function} stepGuard - Async function called with the current step before moving on
+ *   or submitting; navigation stops when it resolves to false
  */
 export function initNavigation(
   surveyContainer, 
   questionsContainer, 
   progressBar = null,
-  submitHandler = null
+  submitHandler = null,
+  stepGuard = null
 ) {
   navState.surveyContainer = surveyContainer;
   navState.questionsContainer = questionsContainer;
   navState.progressBar = progressBar;
   navState.submitHandler = submitHandler;
+  navState.stepGuard = stepGuard;
   
   // Create navigation controls
   createNavigationControls();
@@ -54,6 +78,13 @@ export function initNavigation(
     navState.progressBar.parentElement.addEventListener('click', handleProgressBarNavigation);
   }
 
+  // Follow response changes across the whole survey; registered once, however often the wizard starts
+  if (!navState.followsResponses) {
+    document.addEventListener(surveyData.SURVEY_EVENTS.responseChanged, handleResponseChanged);
+    navState.followsResponses = true;
+  }
+  surveyPath.updateStaleResponses();
+
   // Load the first step
   loadCurrentStep();
 }
@@ -83,7 +114,7 @@ function createNavigationControls() {
   const nextButton = document.createElement('button');
   nextButton.id = NAV_BUTTON_IDS.next;
   nextButton.className = 'survey-nav-button next-button';
-  nextButton.textContent = 'Next';
+  nextButton.textContent = NEXT_LABELS.next;
   nextButton.addEventListener('click', handleNextStep);
   navContainer.appendChild(nextButton);
 
@@ -91,7 +122,7 @@ function createNavigationControls() {
   const submitButton = document.createElement('button');
   submitButton.id = NAV_BUTTON_IDS.submit;
   submitButton.className = 'survey-nav-button submit-button';
-  submitButton.textContent = 'Submit Survey';
+  submitButton.textContent = getSubmitLabel();
   submitButton.style.display = 'none';
   submitButton.addEventListener('click', handleSubmitSurvey);
   navContainer.appendChild(submitButton);
@@ -101,7 +132,8 @@ function createNavigationControls() {
 }
 
 /**
- * Populate the pagination circles based on survey steps
+ * Populate the pagination circles with the steps on the participant's path;
+ * the path changes with the answers, so the circles are rebuilt on every update
  */
 function populatePaginationCircles() {
   const paginationContainer = navState.surveyContainer.querySelector('.survey-pagination');
@@ -111,8 +143,7 @@ function populatePaginationCircles() {
 
   paginationContainer.innerHTML = ''; // Clear existing circles
 
-  const allSteps = surveyData.getAllSteps();
-  allSteps.forEach((step, index) => {
+  surveyPath.getStepPath().forEach(index => {
     const circle = document.createElement('span');
     circle.className = 'survey-pagination-circle';
     circle.dataset.stepIndex = index; // Store the step index
@@ -130,7 +161,7 @@ function handleCircleNavigation(index) {
   clearValidationErrors();
 
   // Go to the selected step
-  if (surveyData.goToStep(index)) {
+  if (surveyPath.goToStepOnPath(index)) {
     loadCurrentStep();
 
     // Scroll to the progress bar container
@@ -140,10 +171,44 @@ function handleCircleNavigation(index) {
   }
 }
 
+/**
+ * Follow a changed response: mark the answers to questions it hides as stale, show or hide the
+ * conditional questions of the current step that depend on it, re-render the texts that pipe it
+ * and update the navigation to the path
+ * @param {CustomEvent} event - The response change event, with detail { questionId, value }
+ */
+function handleResponseChanged(event) {
+  const staleChanged = surveyPath.updateStaleResponses();
+
+  const step = surveyData.getCurrentStep();
+  const graph = surveyData.getDependencyGraph();
+  const container = navState.questionsContainer && navState.questionsContainer.querySelector('.questions-container');
+  if (step && graph && container && !navState.reviewing) {
+    const affected = getAffected(graph, event.detail.questionId).questions;
+    if (staleChanged.length > 0 || (step.questions || []).some(question => affected.has(question.id))) {
+      refreshConditionalQuestions(step, container);
+    }
+
+    // Texts piping the answer, or an answer that became stale, show the current answers
+    const piping = { questions: new Set(), steps: new Set() };
+    [event.detail.questionId, ...staleChanged].forEach(questionId => {
+      const dependents = getPipingDependents(graph, questionId);
+      dependents.questions.forEach(id => piping.questions.add(id));
+      dependents.steps.forEach(id => piping.steps.add(id));
+    });
+    refreshPipedTexts(step, container, piping);
+  }
+
+  updateNavigationButtons();
+  updateProgressBar();
+  updateNavigationCircles();
+}
+
 /**
  * Update the visual state of pagination circles
  */
 function updateNavigationCircles() {
+  populatePaginationCircles();
   const paginationContainer = navState.surveyContainer.querySelector('.survey-pagination');
   if (!paginationContainer) {
     return;
@@ -153,18 +218,19 @@ function updateNavigationCircles() {
   const currentStepIndex = surveyData.getCurrentStepIndex();
   const allSteps = surveyData.getAllSteps();
 
-  circles.forEach((circle, index) => {
+  circles.forEach(circle => {
+    const index = parseInt(circle.dataset.stepIndex, 10);
     circle.classList.remove('active', 'visited', 'unvisited-unanswered');
 
-    if (index === currentStepIndex) {
+    if (index === currentStepIndex && !navState.reviewing) {
       circle.classList.add('active');
     }
 
     // Check if the step has been visited (index <= currentStepIndex)
-    // And if all required questions on that step are answered
+    // And if all required questions shown on that step are answered
     const step = allSteps[index];
     const isVisited = surveyData.hasVisitedStep(index);
-    const isAnswered = surveyData.areAllRequiredQuestionsAnswered(step.id);
+    const isAnswered = areShownRequiredQuestionsAnswered(step);
 
     if (isVisited && isAnswered) {
       circle.classList.add('visited');
@@ -177,27 +243,23 @@ function updateNavigationCircles() {
 }
 
 /**
- * Validate if all required questions on a given step are answered.
- * This is a helper function for updateNavigationCircles.
- * @param {string} stepId - The ID of the step to validate.
- * @returns {boolean} - True if all required questions are answered, false otherwise.
+ * Check whether all required questions of a step that the participant can see are answered.
+ * Questions hidden by their conditions do not count, as in the review.
+ * @param {Object} step - The step
+ * @returns {boolean} - True if all shown required questions are answered, false otherwise.
  */
-function areAllRequiredQuestionsAnswered(stepId) {
-  const step = surveyData.getStepById(stepId);
-  if (!step || !step.questions) {
-    return true;
-  }
+function areShownRequiredQuestionsAnswered(step) {
+  return (step.questions || [])
+    .filter(question => question.required && shouldShowQuestion(question))
+    .every(question => surveyData.isQuestionAnswered(question.id));
+}
 
-  const requiredQuestions = step.questions.filter(q => q.required);
-  for (const question of requiredQuestions) {
-    const response = surveyData.getResponse(question.id);
-    if (!response || response.value === undefined || response.value === null ||
-        (Array.isArray(response.value) && response.value.length === 0) ||
-        (typeof response.value === 'string' && response.value.trim() === '')) {
-      return false;
-    }
-  }
-  return true;
+/**
+ * Get the label of the submit button
+ * @returns {string} - The label for a first submission or for an update of a submitted response
+ */
+function getSubmitLabel() {
+  return surveyData.isEditingSubmission() ? SUBMIT_LABELS.update : SUBMIT_LABELS.submit;
 }
 
 /**
@@ -214,18 +276,24 @@ function updateNavigationButtons() {
   
   // Check if we have previous/next steps
   const hasPrev = surveyData.hasPrevStep();
-  const hasNext = surveyData.hasNextStep();
+  const hasNext = surveyPath.hasNextStep();
   
-  // Update previous button
-  prevButton.disabled = !hasPrev;
+  // Update previous button; from the review it returns to the last step
+  prevButton.disabled = !hasPrev && !navState.reviewing;
   
-  // Update next/submit buttons
-  if (hasNext) {
-    nextButton.style.display = '';
-    submitButton.style.display = 'none';
-  } else {
+  // A submitted response that is being edited is resubmitted as an update
+  submitButton.disabled = false;
+  submitButton.textContent = getSubmitLabel();
+
+  // Update next/submit buttons: the last step leads to the review, which holds the submit button
+  if (navState.reviewing) {
     nextButton.style.display = 'none';
     submitButton.style.display = '';
+    submitButton.disabled = buildReview().missing.length > 0;
+  } else {
+    nextButton.style.display = '';
+    nextButton.textContent = hasNext ? NEXT_LABELS.next : NEXT_LABELS.review;
+    submitButton.style.display = 'none';
   }
 }
 
@@ -242,8 +310,9 @@ function updateProgressBar() {
     return;
   }
   
-  const currentIndex = surveyData.getCurrentStepIndex();
-  const progress = ((currentIndex + 1) / steps.length) * 100;
+  // Progress counts the steps on the participant's path, not all steps of the survey
+  const { position, total } = surveyPath.getPathProgress();
+  const progress = navState.reviewing ? 100 : (position / total) * 100;
   
   navState.progressBar.style.width = `${progress}%`;
   navState.progressBar.setAttribute('aria-valuenow', progress);
@@ -260,6 +329,7 @@ export function loadCurrentStep() {
     console.error('No current step available');
     return;
   }
+  navState.reviewing = false;
   
   // Clear any previous step classes
   navState.questionsContainer.className = 'survey-questions-container survey-step';
@@ -311,6 +381,11 @@ export function loadCurrentStep() {
     // No background image, render questions directly
     renderQuestionsForStep(currentStep, navState.questionsContainer);
   }
+
+  // Tell the participant on the first step how their answers are stored
+  if (surveyData.getCurrentStepIndex() === surveyPath.getStepPath()[0]) {
+    renderAnonymityNotice();
+  }
   
   // Update navigation buttons
   updateNavigationButtons();
@@ -322,6 +397,21 @@ export function loadCurrentStep() {
   updateNavigationCircles();
 }
 
+/**
+ * Show the notice about how the participant's answers are stored above the questions
+ */
+function renderAnonymityNotice() {
+  const questions = navState.questionsContainer.querySelector('.questions-container');
+  if (!questions) {
+    return;
+  }
+  const notice = document.createElement('div');
+  notice.className = `anonymity-notice anonymity-${surveyData.getAnonymity()}`;
+  notice.setAttribute('role', 'note');
+  notice.textContent = surveyData.getAnonymityNotice();
+  questions.parentNode.insertBefore(notice, questions);
+}
+
 /**
  * Validate the current step before proceeding
  * @returns {boolean} - Whether the step is valid
@@ -333,8 +423,8 @@ function validateCurrentStep() {
     return true;
   }
   
-  // Find required questions
-  const requiredQuestions = currentStep.questions.filter(q => q.required);
+  // Find required questions; questions hidden by their conditions need no answer
+  const requiredQuestions = currentStep.questions.filter(q => q.required && shouldShowQuestion(q));
   
   // Check if all required questions have responses
   for (const question of requiredQuestions) {
@@ -382,10 +472,26 @@ function clearValidationErrors() {
   });
 }
 
+/**
+ * Ask the step guard whether the participant may move on from the current step
+ * @returns {Promise<boolean>} - Whether navigation may continue
+ */
+async function passesStepGuard() {
+  if (typeof navState.stepGuard !== 'function') {
+    return true;
+  }
+  try {
+    return await navState.stepGuard(surveyData.getCurrentStep());
+  } catch (error) {
+    console.error('Error checking step:', error);
+    return true;
+  }
+}
+
 /**
  * Handle next button click
  */
-function handleNextStep() {
+async function handleNextStep() {
   // Validate current step
   if (!validateCurrentStep()) {
     // Scroll to the first error
@@ -398,16 +504,64 @@ function handleNextStep() {
   
   // Clear validation errors
   clearValidationErrors();
+
+  if (!await passesStepGuard()) {
+    return;
+  }
   
-  // Move to next step
-  if (surveyData.nextStep()) {
+  // Move to next step on the path, or to the review after the last step
+  if (surveyPath.goToNextStep()) {
     loadCurrentStep();
+  } else {
+    showReview();
+  }
     
-    // Scroll to the progress bar container
-    if (navState.progressBar && navState.progressBar.parentElement) {
-      navState.progressBar.parentElement.scrollIntoView({ behavior: 'smooth', block: 'start' });
-    }
+  // Scroll to the progress bar container
+  if (navState.progressBar && navState.progressBar.parentElement) {
+    navState.progressBar.parentElement.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }
+}
+
+/**
+ * Show the review of all answers after the last step
+ */
+function showReview() {
+  navState.reviewing = true;
+  const submitError = navState.surveyContainer.querySelector('.survey-submit-error');
+  if (submitError) {
+    submitError.remove();
+  }
+  navState.questionsContainer.className = 'survey-questions-container survey-review';
+  renderReview(buildReview(), navState.questionsContainer, goToQuestion);
+
+  updateNavigationButtons();
+  updateProgressBar();
+  updateNavigationCircles();
+}
+
+/**
+ * Go from the review to a question, and flag it when it is required but unanswered
+ * @param {number} stepIndex - Index of the step holding the question
+ * @param {string} questionId - The question ID
+ */
+function goToQuestion(stepIndex, questionId) {
+  if (!surveyPath.goToStepOnPath(stepIndex)) {
+    return;
   }
+  loadCurrentStep();
+
+  const questionEl = document.getElementById(`question-${questionId}`);
+  if (!questionEl) {
+    return;
+  }
+  if (!surveyData.isQuestionAnswered(questionId) && questionEl.classList.contains('required')) {
+    questionEl.classList.add('validation-error');
+    const errorMsg = document.createElement('div');
+    errorMsg.className = 'validation-error-message';
+    errorMsg.textContent = 'This question is required';
+    questionEl.appendChild(errorMsg);
+  }
+  questionEl.scrollIntoView({ behavior: 'smooth', block: 'center' });
 }
 
 /**
@@ -416,9 +570,15 @@ function handleNextStep() {
 function handlePrevStep() {
   // Clear validation errors
   clearValidationErrors();
+
+  // From the review, go back to the last step
+  if (navState.reviewing) {
+    loadCurrentStep();
+    return;
+  }
   
-  // Move to previous step
-  if (surveyData.prevStep()) {
+  // Move back along the travelled path
+  if (surveyPath.goToPreviousStep()) {
     loadCurrentStep();
     
     // Scroll to the progress bar container
@@ -432,13 +592,14 @@ function handlePrevStep() {
  * Handle submit button click
  */
 async function handleSubmitSurvey() {
-  // Validate current step
-  if (!validateCurrentStep()) {
-    // Scroll to the first error
-    const firstError = navState.questionsContainer.querySelector('.validation-error');
-    if (firstError) {
-      firstError.scrollIntoView({ behavior: 'smooth', block: 'center' });
-    }
+  // Every required visible question across the survey must be answered, not just those on the last step
+  if (buildReview().missing.length > 0) {
+    showReview();
+    showSubmitError('Please answer all required questions before submitting');
+    return;
+  }
+
+  if (!await passesStepGuard()) {
     return;
   }
   
@@ -447,7 +608,7 @@ async function handleSubmitSurvey() {
     const submitButton = document.getElementById(NAV_BUTTON_IDS.submit);
     if (submitButton) {
       submitButton.disabled = true;
-      submitButton.textContent = 'Submitting...';
+      submitButton.textContent = SUBMIT_LABELS.submitting;
     }
     
     // Submit survey data
@@ -470,7 +631,7 @@ async function handleSubmitSurvey() {
     const submitButton = document.getElementById(NAV_BUTTON_IDS.submit);
     if (submitButton) {
       submitButton.disabled = false;
-      submitButton.textContent = 'Submit Survey';
+      submitButton.textContent = getSubmitLabel();
     }
   }
 }
@@ -539,23 +700,23 @@ function handleProgressBarNavigation(event) {
   // Calculate the percentage of the click relative to the progress bar width
   const clickPercentage = (clickX / totalWidth);
 
-  const allSteps = surveyData.getAllSteps();
-  if (!allSteps || allSteps.length === 0) {
+  const path = surveyPath.getStepPath();
+  if (path.length === 0) {
     return;
   }
 
-  // Determine the target step index based on the click percentage
-  // Ensure the index is within bounds [0, allSteps.length - 1]
-  const targetStepIndex = Math.min(
-    Math.max(0, Math.floor(clickPercentage * allSteps.length)),
-    allSteps.length - 1
+  // Determine the target step on the path based on the click percentage
+  // Ensure the position is within bounds [0, path.length - 1]
+  const targetPosition = Math.min(
+    Math.max(0, Math.floor(clickPercentage * path.length)),
+    path.length - 1
   );
 
   // Clear validation errors before navigating
   clearValidationErrors();
 
   // Go to the selected step
-  if (surveyData.goToStep(targetStepIndex)) {
+  if (surveyPath.goToStepOnPath(path[targetPosition])) {
     loadCurrentStep();
 
     // Scroll to the progress bar container
@@ -0,0 +1,176 @@
+/**
+ * surveyPath.js
+ * Survey path module
+ *
+ * This module works out which steps a participant goes through. A step can
+ * have `conditions` (the same format as question conditions): when they are
+ * not met the step is skipped. A step can also have `branches`, checked in
+ * order when the participant leaves the step; the first branch whose
+ * conditions are met jumps to its `goTo` step, for example:
+ *
+ *   "branches": [
+ *     { "conditions": { "rules": [{ "questionId": "interesseInEvent", "type": "equals", "value": "nee" }] }, "goTo": "step5" }
+ *   ]
+ *
+ * Branches only jump forward. The path follows from the current responses,
+ * so it changes when an answer changes; Previous follows the steps that were
+ * actually travelled (kept by surveyData). Answers to questions that are not
+ * on the path or hidden by their conditions are marked stale, so they no
+ * longer count for conditions and are not submitted.
+ */
+
+import * as surveyData from './surveyData.js';
+import { evaluateConditions, shouldShowStep, shouldShowQuestion } from './conditionEvaluator.js';
+
+/**
+ * Get the step a step branches to, based on the current responses
+ * @param {Array} steps - All steps of the survey
+ * @param {number} index - Index of the step being left
+ * @returns {number|null} - Index of the branch target, or null when no branch applies
+ */
+function getBranchTarget(steps, index) {
+  const branches = steps[index].branches || [];
+  for (const branch of branches) {
+    if (!evaluateConditions(branch.conditions)) {
+      continue;
+    }
+    const targetIndex = steps.findIndex(step => step.id === branch.goTo);
+    if (targetIndex > index) {
+      return targetIndex;
+    }
+    console.error(`Branch of step "${steps[index].id}" goes to "${branch.goTo}", which is not a later step`);
+  }
+  return null;
+}
+
+/**
+ * Find the first step from an index on whose conditions are met
+ * @param {Array} steps - All steps of the survey
+ * @param {number} index - Index to start looking from
+ * @returns {number|null} - The step index, or null when no later step applies
+ */
+function findShownStep(steps, index) {
+  for (let candidate = index; candidate < steps.length; candidate++) {
+    if (shouldShowStep(steps[candidate])) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the step that follows a step, following branches and skipping steps whose conditions are not met
+ * @param {number} [index=surveyData.getCurrentStepIndex()] - Index of the step being left
+ * @returns {number|null} - Index of the next step, or null when the step is the last on the path
+ */
+export function getNextStepIndex(index = surveyData.getCurrentStepIndex()) {
+  const steps = surveyData.getAllSteps() || [];
+  if (index < 0 || index >= steps.length) {
+    return null;
+  }
+  const branchTarget = getBranchTarget(steps, index);
+  return findShownStep(steps, branchTarget !== null ? branchTarget : index + 1);
+}
+
+/**
+ * Get the path through the survey for the current responses
+ * @returns {number[]} - Indexes of the steps on the path, in order
+ */
+export function getStepPath() {
+  const steps = surveyData.getAllSteps() || [];
+  const path = [];
+  let index = findShownStep(steps, 0);
+  while (index !== null) {
+    path.push(index);
+    index = getNextStepIndex(index);
+  }
+  return path;
+}
+
+/**
+ * Check whether the current step is followed by another step on the path
+ * @returns {boolean} - Whether there is a next step
+ */
+export function hasNextStep() {
+  return getNextStepIndex() !== null;
+}
+
+/**
+ * Move to the next step on the path
+ * @returns {boolean} - Whether the navigation was successful
+ */
+export function goToNextStep() {
+  const nextIndex = getNextStepIndex();
+  return nextIndex !== null && surveyData.nextStep(nextIndex);
+}
+
+/**
+ * Move back to the step the participant came from
+ * @returns {boolean} - Whether the navigation was successful
+ */
+export function goToPreviousStep() {
+  return surveyData.prevStep();
+}
+
+/**
+ * Jump to a step on the path, e.g. from a pagination circle or the review.
+ * The travelled path becomes the path up to that step.
+ * @param {number} index - The step index
+ * @returns {boolean} - Whether the navigation was successful; steps off the path cannot be opened
+ */
+export function goToStepOnPath(index) {
+  const path = getStepPath();
+  const position = path.indexOf(index);
+  if (position === -1 || !surveyData.goToStep(index)) {
+    return false;
+  }
+  surveyData.setStepHistory(path.slice(0, position));
+  return true;
+}
+
+/**
+ * Get the position of the current step on the path, for the progress bar
+ * @returns {Object} - { position, total } with position 1-based
+ */
+export function getPathProgress() {
+  const path = getStepPath();
+  const currentIndex = surveyData.getCurrentStepIndex();
+  const position = path.indexOf(currentIndex);
+  if (position !== -1) {
+    return { position: position + 1, total: path.length };
+  }
+  // The current step dropped off the path after an answer changed; count the travelled steps
+  const travelled = surveyData.getStepHistory().length + 1;
+  return { position: travelled, total: Math.max(path.length, travelled) };
+}
+
+/**
+ * Mark the answers to questions off the path or hidden by their conditions as stale, and the
+ * others as current. Hiding a question can hide questions and steps that depend on its answer,
+ * so this repeats until nothing changes; conditions only refer to earlier questions, so it ends.
+ * @returns {string[]} - IDs of the questions whose answer became stale or current
+ */
+export function updateStaleResponses() {
+  const steps = surveyData.getAllSteps() || [];
+  const questionCount = steps.reduce((count, step) => count + (step.questions || []).length, 0);
+  const changed = new Set();
+
+  for (let pass = 0; pass <= questionCount; pass++) {
+    const path = new Set(getStepPath());
+    const hiddenQuestionIds = [];
+    steps.forEach((step, index) => {
+      (step.questions || []).forEach(question => {
+        if (!path.has(index) || !shouldShowQuestion(question)) {
+          hiddenQuestionIds.push(question.id);
+        }
+      });
+    });
+
+    const passChanged = surveyData.setStaleResponses(hiddenQuestionIds);
+    if (passChanged.length === 0) {
+      break;
+    }
+    passChanged.forEach(questionId => changed.add(questionId));
+  }
+  return Array.from(changed);
+}
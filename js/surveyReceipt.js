@@ -0,0 +1,175 @@
+/**
+ * surveyReceipt.js
+ * Submission receipt module
+ *
+ * This module turns a submission into a receipt for the participant: the
+ * submission reference, the time it was submitted and, per step, the answered
+ * questions with their answers written out in human terms (option labels,
+ * rankings in order, slider positions as zone labels). It has no DOM
+ * dependencies; surveyReceiptView.js renders, prints and downloads it.
+ */
+
+import { getSurveyQuestions, unwrapResponse, getOptionLabel, isAnswered, getZoneLabel, htmlToText } from './responseValues.js';
+
+/**
+ * Describe one selected option of a radio or checkbox question
+ * @param {Object} question - The question object
+ * @param {string|Object} selection - The option value or an 'other' answer
+ * @returns {string} - The option label, or the 'other' text
+ */
+function describeSelection(question, selection) {
+  if (selection && typeof selection === 'object' && selection.isOther) {
+    return `Other: ${selection.otherValue || ''}`.trim();
+  }
+  return getOptionLabel(question, selection);
+}
+
+/**
+ * Describe a likert answer
+ * @param {Object} question - The question object
+ * @param {Object} value - Scores keyed by item value
+ * @returns {string[]} - One line per rated item
+ */
+function describeLikert(question, value) {
+  const labels = (question.likertScale && question.likertScale.labels) || {};
+  return (question.options || [])
+    .filter(option => value[option.value] !== undefined)
+    .map(option => {
+      const score = value[option.value];
+      return labels[score] ? `${option.label}: ${labels[score]} (${score})` : `${option.label}: ${score}`;
+    });
+}
+
+/**
+ * Describe a matrix answer
+ * @param {Object} question - The question object
+ * @param {string|string[]} value - Selected cells as "rowId:columnId"
+ * @returns {string[]} - One line per row with a selection
+ */
+function describeMatrix(question, value) {
+  const config = question.matrix || {};
+  const cells = (Array.isArray(value) ? value : [value]).map(cellId => String(cellId).split(':'));
+  return (config.rows || [])
+    .map(row => {
+      const columns = cells
+        .filter(([rowId]) => rowId === row.id)
+        .map(([, columnId]) => {
+          const column = (config.columns || []).find(candidate => candidate.id === columnId);
+          return column ? column.label : columnId;
+        });
+      return columns.length > 0 ? `${row.label}: ${columns.join(', ')}` : null;
+    })
+    .filter(line => line !== null);
+}
+
+/**
+ * Describe a ranking, best ranked first
+ * @param {Object} question - The question object
+ * @param {Array} value - Ranked options as { id, rank }
+ * @returns {string[]} - One line per ranked option
+ */
+function describeRanking(question, value) {
+  return [...value]
+    .sort((a, b) => a.rank - b.rank)
+    .map(entry => `${entry.rank}. ${getOptionLabel(question, entry.id)}`);
+}
+
+/**
+ * Describe the positions of a multi-value slider
+ * @param {Object} question - The question object
+ * @param {Object} value - Positions keyed by option id
+ * @returns {string[]} - One line per positioned option
+ */
+function describeSlider(question, value) {
+  const config = question.multiValueSlider || {};
+  return (config.options || [])
+    .filter(option => typeof value[option.id] === 'number')
+    .map(option => `${option.label}: ${getZoneLabel(config, value[option.id])}`);
+}
+
+/**
+ * Describe the placements on a radar chart
+ * @param {Object} question - The question object
+ * @param {Object} value - Placements keyed by option id, as { segment, ring }
+ * @returns {string[]} - One line per placed option
+ */
+function describeRadar(question, value) {
+  const config = question.radar || {};
+  return (config.options || [])
+    .filter(option => value[option.id])
+    .map(option => {
+      const placement = value[option.id];
+      const parts = [placement.segment, placement.ring].filter(part => part !== undefined && part !== null);
+      return `${option.label}: ${parts.join(', ')}`;
+    });
+}
+
+/**
+ * Describe an answer in human terms
+ * @param {Object} question - The question object
+ * @param {any} value - The answer value
+ * @returns {string[]} - The answer as lines of text
+ */
+export function describeAnswer(question, value) {
+  switch (question.type) {
+    case 'radio':
+      return [describeSelection(question, value)];
+    case 'checkbox':
+      return (Array.isArray(value) ? value : [value]).map(selection => describeSelection(question, selection));
+    case 'likert':
+      return describeLikert(question, value);
+    case 'rangeSlider': {
+      const labels = (question.rangeSlider && question.rangeSlider.labels) || {};
+      return [labels[value] ? `${labels[value]} (${value})` : String(value)];
+    }
+    case 'matrix2d':
+      return describeMatrix(question, value);
+    case 'rankOptions':
+      return Array.isArray(value) ? describeRanking(question, value) : [];
+    case 'tags':
+      return Array.isArray(value) ? [value.join(', ')] : [String(value)];
+    case 'multiValueSlider':
+      return describeSlider(question, value);
+    case 'radar':
+      return describeRadar(question, value);
+    case 'longText':
+      return htmlToText(value).split('\n');
+    default:
+      return [typeof value === 'object' ? JSON.stringify(value) : String(value)];
+  }
+}
+
+/**
+ * Build the receipt of a submission
+ * @param {Object} definition - The survey definition
+ * @param {Object} submission - The submission
+ * @returns {Object} - { reference, surveyTitle, submittedAt, revisedAt, revision, steps: [{ title, answers: [{ questionId, title, lines, comment }] }] }
+ */
+export function buildReceipt(definition, submission) {
+  const responses = submission.responses || {};
+  const steps = [];
+
+  getSurveyQuestions(definition).forEach(({ question, step }) => {
+    const { value, comment } = unwrapResponse(question, responses[question.id]);
+    const lines = isAnswered(value) ? describeAnswer(question, value).filter(line => line !== '') : [];
+    if (lines.length === 0 && !comment) {
+      return;
+    }
+
+    let receiptStep = steps[steps.length - 1];
+    if (!receiptStep || receiptStep.id !== step.id) {
+      receiptStep = { id: step.id, title: step.title, answers: [] };
+      steps.push(receiptStep);
+    }
+    receiptStep.answers.push({ questionId: question.id, title: question.title, lines, comment: comment || '' });
+  });
+
+  return {
+    reference: submission.submissionId || '',
+    surveyTitle: submission.surveyTitle || definition.title,
+    submittedAt: submission.completedAt || null,
+    revisedAt: submission.revisedAt || null,
+    revision: submission.revision || 1,
+    steps
+  };
+}
@@ -0,0 +1,175 @@
+/**
+ * surveyReceiptView.js
+ * Submission receipt view module
+ *
+ * This module renders the receipt built by surveyReceipt.js as a read-only
+ * review of the participant's answers, and lets the participant print it or
+ * download it as a PDF. The PDF is generated in the browser with the jsPDF
+ * library loaded from the CDN in index.html; nothing is sent to a server.
+ */
+
+// Constants for the PDF layout (jsPDF units: mm on an A4 page)
+const PDF_LAYOUT = {
+  margin: 20,
+  pageHeight: 297,
+  pageWidth: 210,
+  lineHeight: 5,
+  fontSizes: {
+    title: 16,
+    heading: 12,
+    text: 10
+  }
+};
+
+/**
+ * Format a timestamp of the receipt for the participant
+ * @param {string} timestamp - ISO timestamp
+ * @returns {string} - The localized date and time
+ */
+function formatReceiptDate(timestamp) {
+  return new Date(timestamp).toLocaleString(undefined, { dateStyle: 'long', timeStyle: 'short' });
+}
+
+/**
+ * Get the lines with the reference and times of a receipt
+ * @param {Object} receipt - The receipt (see surveyReceipt.buildReceipt)
+ * @returns {string[]} - Lines such as "Reference: ..."
+ */
+function getReceiptMetaLines(receipt) {
+  const lines = [`Reference: ${receipt.reference}`];
+  if (receipt.submittedAt) {
+    lines.push(`Submitted: ${formatReceiptDate(receipt.submittedAt)}`);
+  }
+  if (receipt.revisedAt) {
+    lines.push(`Last changed: ${formatReceiptDate(receipt.revisedAt)} (revision ${receipt.revision})`);
+  }
+  return lines;
+}
+
+/**
+ * Create an element with text content
+ * @param {string} tagName - The tag name
+ * @param {string} text - The text
+ * @param {string} [className] - The class name
+ * @returns {HTMLElement} - The element
+ */
+function createTextElement(tagName, text, className) {
+  const element = document.createElement(tagName);
+  element.textContent = text;
+  if (className) {
+    element.className = className;
+  }
+  return element;
+}
+
+/**
+ * Render a receipt as a read-only review with print and PDF buttons
+ * @param {Object} receipt - The receipt (see surveyReceipt.buildReceipt)
+ * @returns {HTMLElement} - The receipt element
+ */
+export function renderReceipt(receipt) {
+  const container = document.createElement('div');
+  container.className = 'survey-receipt';
+
+  container.appendChild(createTextElement('h3', receipt.surveyTitle || 'Your answers'));
+  const meta = document.createElement('div');
+  meta.className = 'survey-receipt-meta';
+  getReceiptMetaLines(receipt).forEach(line => meta.appendChild(createTextElement('p', line)));
+  container.appendChild(meta);
+
+  const review = document.createElement('details');
+  review.className = 'survey-receipt-review';
+  review.appendChild(createTextElement('summary', 'View Your Answers'));
+  if (receipt.steps.length === 0) {
+    review.appendChild(createTextElement('p', 'No questions were answered.'));
+  }
+  receipt.steps.forEach(step => {
+    review.appendChild(createTextElement('h4', step.title));
+    const list = document.createElement('dl');
+    step.answers.forEach(answer => {
+      list.appendChild(createTextElement('dt', answer.title));
+      const description = document.createElement('dd');
+      answer.lines.forEach(line => description.appendChild(createTextElement('div', line)));
+      if (answer.comment) {
+        description.appendChild(createTextElement('div', `Comment: ${answer.comment}`, 'survey-receipt-comment'));
+      }
+      list.appendChild(description);
+    });
+    review.appendChild(list);
+  });
+  container.appendChild(review);
+
+  const actions = document.createElement('div');
+  actions.className = 'survey-receipt-actions';
+
+  const printButton = createTextElement('button', 'Print', 'survey-nav-button');
+  printButton.addEventListener('click', () => {
+    // Show all answers on paper, also when the review is collapsed
+    review.open = true;
+    window.print();
+  });
+  actions.appendChild(printButton);
+
+  const pdfButton = createTextElement('button', 'Download PDF', 'survey-nav-button');
+  pdfButton.addEventListener('click', () => {
+    try {
+      downloadReceiptPdf(receipt);
+    } catch (error) {
+      console.error('Error creating the receipt PDF:', error);
+      pdfButton.disabled = true;
+      pdfButton.textContent = 'PDF not available, please use Print';
+    }
+  });
+  actions.appendChild(pdfButton);
+
+  container.appendChild(actions);
+  return container;
+}
+
+/**
+ * Download a receipt as a PDF file.
+ * Uses the jsPDF library loaded from the CDN in index.html.
+ * @param {Object} receipt - The receipt (see surveyReceipt.buildReceipt)
+ */
+export function downloadReceiptPdf(receipt) {
+  if (!window.jspdf || !window.jspdf.jsPDF) {
+    throw new Error('The PDF library is not loaded');
+  }
+
+  const pdf = new window.jspdf.jsPDF({ unit: 'mm', format: 'a4' });
+  const textWidth = PDF_LAYOUT.pageWidth - 2 * PDF_LAYOUT.margin;
+  let y = PDF_LAYOUT.margin;
+
+  // Write wrapped text, continuing on a new page when the page is full
+  const write = (text, fontSize, fontStyle = 'normal', indent = 0) => {
+    pdf.setFontSize(fontSize);
+    pdf.setFont(undefined, fontStyle);
+    pdf.splitTextToSize(text, textWidth - indent).forEach(line => {
+      if (y > PDF_LAYOUT.pageHeight - PDF_LAYOUT.margin) {
+        pdf.addPage();
+        y = PDF_LAYOUT.margin;
+      }
+      pdf.text(line, PDF_LAYOUT.margin + indent, y);
+      y += PDF_LAYOUT.lineHeight * fontSize / PDF_LAYOUT.fontSizes.text;
+    });
+  };
+
+  write(receipt.surveyTitle || 'Your answers', PDF_LAYOUT.fontSizes.title, 'bold');
+  getReceiptMetaLines(receipt).forEach(line => write(line, PDF_LAYOUT.fontSizes.text));
+
+  receipt.steps.forEach(step => {
+    y += PDF_LAYOUT.lineHeight;
+    write(step.title, PDF_LAYOUT.fontSizes.heading, 'bold');
+    step.answers.forEach(answer => {
+      y += PDF_LAYOUT.lineHeight / 2;
+      write(answer.title, PDF_LAYOUT.fontSizes.text, 'bold');
+      answer.lines.forEach(line => write(line, PDF_LAYOUT.fontSizes.text, 'normal', 5));
+      if (answer.comment) {
+        write(`Comment: ${answer.comment}`, PDF_LAYOUT.fontSizes.text, 'italic', 5);
+      }
+    });
+  });
+
+  const reference = String(receipt.reference || 'receipt').slice(0, 8);
+  pdf.save(`survey-receipt-${reference}.pdf`);
+}
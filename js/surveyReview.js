@@ -0,0 +1,162 @@
+/**
+ * surveyReview.js
+ * Review step module
+ *
+ * This module builds and renders the review that is shown after the last step
+ * of the survey, before submitting. It summarises every visible question per
+ * step on the participant's path, flags required questions that are still
+ * unanswered (for example on a step that was skipped with the pagination
+ * circles) and links back to them.
+ * Submitting is only possible once the review has no missing answers.
+ */
+
+import * as surveyData from './surveyData.js';
+import { shouldShowQuestion } from './conditionEvaluator.js';
+import { describeAnswer } from './surveyReceipt.js';
+import { unwrapResponse } from './responseValues.js';
+import { getStepPath } from './surveyPath.js';
+import { pipeText, pipeQuestion } from './answerPiping.js';
+
+// Texts of the review
+const REVIEW_TEXTS = {
+  heading: 'Review your answers',
+  complete: 'All required questions are answered. Check your answers and submit the survey.',
+  unanswered: 'Not answered',
+  missing: 'Required - not answered yet',
+  change: 'Change',
+  answer: 'Answer this question'
+};
+
+/**
+ * Build the review of the current responses
+ * @returns {Object} - { steps: [{ index, id, title, questions: [{ id, title, required, answered, missing, lines }] }], missing: [{ stepIndex, questionId, title }] }
+ */
+export function buildReview() {
+  const steps = [];
+  const missing = [];
+
+  // Steps skipped by step conditions or branches are not part of the review
+  const allSteps = surveyData.getAllSteps() || [];
+  const pipingContext = surveyData.getPipingContext();
+  getStepPath().forEach(index => {
+    const step = allSteps[index];
+    const questions = (step.questions || [])
+      .filter(question => shouldShowQuestion(question))
+      .map(question => {
+        // Show the texts as the participant saw them, with earlier answers piped in
+        const pipedQuestion = pipeQuestion(question, pipingContext);
+        const answered = surveyData.isQuestionAnswered(question.id);
+        const { value } = unwrapResponse(question, surveyData.getResponse(question.id));
+        const isMissing = Boolean(question.required) && !answered;
+        if (isMissing) {
+          missing.push({ stepIndex: index, questionId: question.id, title: pipedQuestion.title });
+        }
+        return {
+          id: question.id,
+          title: pipedQuestion.title,
+          required: Boolean(question.required),
+          answered,
+          missing: isMissing,
+          lines: answered ? describeAnswer(pipedQuestion, value).filter(line => line !== '') : []
+        };
+      });
+
+    if (questions.length > 0) {
+      steps.push({ index, id: step.id, title: pipeText(step.title, pipingContext), questions });
+    }
+  });
+
+  return { steps, missing };
+}
+
+/**
+ * Create a button that takes the participant back to a question
+ * @param {string} text - The button text
+ * @param {number} stepIndex - Index of the step holding the question
+ * @param {string} questionId - The question ID
+ * @param {Function} onGoToQuestion - Called with (stepIndex, questionId)
+ * @returns {HTMLButtonElement} - The button
+ */
+function createQuestionLink(text, stepIndex, questionId, onGoToQuestion) {
+  const link = document.createElement('button');
+  link.type = 'button';
+  link.className = 'survey-review-link';
+  link.textContent = text;
+  link.addEventListener('click', () => onGoToQuestion(stepIndex, questionId));
+  return link;
+}
+
+/**
+ * Render the review into a container
+ * @param {Object} review - The review (see buildReview)
+ * @param {HTMLElement} container - The container to render into
+ * @param {Function} onGoToQuestion - Called with (stepIndex, questionId) when the participant follows a link
+ */
+export function renderReview(review, container, onGoToQuestion) {
+  container.innerHTML = '';
+
+  const heading = document.createElement('h2');
+  heading.className = 'step-title';
+  heading.textContent = REVIEW_TEXTS.heading;
+  container.appendChild(heading);
+
+  const status = document.createElement('div');
+  status.setAttribute('role', 'status');
+  if (review.missing.length === 0) {
+    status.className = 'survey-review-status complete';
+    status.textContent = REVIEW_TEXTS.complete;
+  } else {
+    status.className = 'survey-review-status incomplete';
+    status.textContent = `${review.missing.length} required question${review.missing.length === 1 ? ' is' : 's are'} not answered yet:`;
+    const list = document.createElement('ul');
+    review.missing.forEach(item => {
+      const listItem = document.createElement('li');
+      listItem.appendChild(createQuestionLink(item.title, item.stepIndex, item.questionId, onGoToQuestion));
+      list.appendChild(listItem);
+    });
+    status.appendChild(list);
+  }
+  container.appendChild(status);
+
+  review.steps.forEach(step => {
+    const section = document.createElement('section');
+    section.className = 'survey-review-step';
+
+    const stepHeading = document.createElement('h3');
+    stepHeading.textContent = step.title;
+    section.appendChild(stepHeading);
+
+    step.questions.forEach(question => {
+      const item = document.createElement('div');
+      item.className = `survey-review-question${question.missing ? ' missing' : ''}`;
+
+      const title = document.createElement('div');
+      title.className = 'survey-review-title';
+      title.textContent = question.required ? `${question.title} *` : question.title;
+      item.appendChild(title);
+
+      const answer = document.createElement('div');
+      answer.className = 'survey-review-answer';
+      if (question.answered) {
+        question.lines.forEach(line => {
+          const lineElement = document.createElement('div');
+          lineElement.textContent = line;
+          answer.appendChild(lineElement);
+        });
+      } else {
+        answer.textContent = question.missing ? REVIEW_TEXTS.missing : REVIEW_TEXTS.unanswered;
+      }
+      item.appendChild(answer);
+
+      item.appendChild(createQuestionLink(
+        question.missing ? REVIEW_TEXTS.answer : REVIEW_TEXTS.change,
+        step.index,
+        question.id,
+        onGoToQuestion
+      ));
+      section.appendChild(item);
+    });
+
+    container.appendChild(section);
+  });
+}
@@ -0,0 +1,534 @@
+/**
+ * surveyValidator.js
+ * Survey definition validation module
+ *
+ * This module checks a loaded survey definition against the JSON schema in
+ * js/schema/surveySchema.json and performs cross-reference checks that a schema
+ * cannot express (unique ids, condition targets, referenced option values).
+ * It has no DOM dependencies; callers decide how to present the report.
+ */
+
+import { buildDependencyGraph, findDependencyCycles } from './conditionGraph.js';
+import { getPlaceholders, getQuestionPlaceholders, PIPING_PARTS, PIPING_USER_SOURCE } from './answerPiping.js';
+
+// Constants for condition types that reference an option of another question
+const OPTION_REFERENCE_TYPES = {
+  OPTION_CHECKED: 'optionChecked',
+  TOP_RANKED: 'topRanked',
+  RANKED_IN_TOP: 'rankedInTop',
+  LIKERT_RATING: 'likertRating',
+  RADAR_RING: 'radarRing'
+};
+
+// Question types that condition types for specific answer shapes can be used with
+const CONDITION_QUESTION_TYPES = {
+  topRanked: ['multiValueSlider', 'rankOptions'],
+  rankedInTop: ['rankOptions'],
+  likertRating: ['likert'],
+  matrixCell: ['matrix2d'],
+  radarRing: ['radar'],
+  tagSelected: ['tags'],
+  matches: ['shortText', 'longText', 'radio']
+};
+
+/**
+ * Determine the JSON schema type name of a value
+ * @param {any} value - The value to inspect
+ * @returns {string} - One of null, array, integer, number, string, boolean, object
+ */
+function getJsonType(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? 'integer' : 'number';
+  }
+  return typeof value;
+}
+
+/**
+ * Check whether a value matches a (possibly multiple) schema type
+ * @param {any} value - The value to check
+ * @param {string|string[]} expectedType - The schema type or list of types
+ * @returns {boolean} - Whether the value matches
+ */
+function matchesType(value, expectedType) {
+  const actualType = getJsonType(value);
+  const expectedTypes = Array.isArray(expectedType) ? expectedType : [expectedType];
+  return expectedTypes.some(type =>
+    type === actualType || (type === 'number' && actualType === 'integer')
+  );
+}
+
+/**
+ * Validate a value against a JSON schema node.
+ * Supports the subset of draft-07 used by the survey schema: type, enum,
+ * required, properties, additionalProperties, items, minItems, pattern,
+ * minimum, maximum and oneOf/anyOf.
+ * @param {any} value - The value to validate
+ * @param {Object} schema - The schema node
+ * @param {string} path - Readable path of the value, used in error messages
+ * @param {Array} errors - Array that collects {path, message} entries
+ * @param {Object} [rootSchema=schema] - The complete schema, used to resolve local "$ref"s such as "#/definitions/conditions"
+ */
+function validateNode(value, schema, path, errors, rootSchema = schema) {
+  if (!schema || typeof schema !== 'object') {
+    return;
+  }
+
+  if (typeof schema.$ref === 'string') {
+    validateNode(value, resolveReference(rootSchema, schema.$ref), path, errors, rootSchema);
+    return;
+  }
+
+  const alternatives = schema.oneOf || schema.anyOf;
+  if (alternatives) {
+    const matches = alternatives.filter(alternative => {
+      const alternativeErrors = [];
+      validateNode(value, alternative, path, alternativeErrors, rootSchema);
+      return alternativeErrors.length === 0;
+    });
+    if (matches.length === 0 || (schema.oneOf && matches.length > 1)) {
+      errors.push({ path, message: 'does not match any of the allowed forms' });
+      return;
+    }
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    const expected = Array.isArray(schema.type) ? schema.type.join(' or ') : schema.type;
+    errors.push({ path, message: `should be of type ${expected} but is ${getJsonType(value)}` });
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `has value "${value}", expected one of: ${schema.enum.join(', ')}` });
+  }
+
+  if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    errors.push({ path, message: `"${value}" does not match pattern ${schema.pattern}` });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `should be at least ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `should be at most ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `should contain at least ${schema.minItems} item(s)` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validateNode(item, schema.items, `${path}[${index}]`, errors, rootSchema));
+    }
+  }
+
+  if (getJsonType(value) === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push({ path, message: `is missing required property "${key}"` });
+      }
+    });
+
+    const properties = schema.properties || {};
+    Object.entries(value).forEach(([key, propertyValue]) => {
+      const propertyPath = path ? `${path}.${key}` : key;
+      if (properties[key]) {
+        validateNode(propertyValue, properties[key], propertyPath, errors, rootSchema);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: propertyPath, message: 'is not an allowed property' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        validateNode(propertyValue, schema.additionalProperties, propertyPath, errors, rootSchema);
+      }
+    });
+  }
+}
+
+/**
+ * Resolve a local JSON pointer reference within the schema
+ * @param {Object} rootSchema - The complete schema
+ * @param {string} reference - The reference, e.g. "#/definitions/conditions"
+ * @returns {Object|null} - The referenced schema node, or null when it does not exist
+ */
+function resolveReference(rootSchema, reference) {
+  if (!reference.startsWith('#/')) {
+    console.warn(`Only local schema references are supported, ignoring "${reference}"`);
+    return null;
+  }
+  return reference.slice(2).split('/').reduce(
+    (node, key) => (node && typeof node === 'object' ? node[key.replace(/~1/g, '/').replace(/~0/g, '~')] : null),
+    rootSchema
+  );
+}
+
+/**
+ * Validate a survey definition against the survey JSON schema
+ * @param {Object} definition - The survey definition
+ * @param {Object} schema - The parsed JSON schema
+ * @returns {Array} - Array of {path, message} errors (empty when valid)
+ */
+export function validateAgainstSchema(definition, schema) {
+  const errors = [];
+  validateNode(definition, schema, '', errors);
+  return errors.map(error => ({ ...error, path: error.path || '(survey)' }));
+}
+
+/**
+ * Collect the option values or ids that a question exposes for conditions
+ * @param {Object} question - The question object
+ * @returns {string[]|null} - Option identifiers, or null if the question has no options
+ */
+function getOptionIds(question) {
+  if (Array.isArray(question.options)) {
+    return question.options.map(option => option.value);
+  }
+  if (question.multiValueSlider && Array.isArray(question.multiValueSlider.options)) {
+    return question.multiValueSlider.options.map(option => option.id);
+  }
+  if (question.radar && Array.isArray(question.radar.options)) {
+    return question.radar.options.map(option => option.id);
+  }
+  if (question.rankOptions && Array.isArray(question.rankOptions.options)) {
+    return question.rankOptions.options.map(option => option.value || option.id);
+  }
+  return null;
+}
+
+/**
+ * Perform cross-reference checks that the JSON schema cannot express:
+ * - step ids and question ids are unique across the survey
+ * - option values are unique within a question
+ * - condition rules point to an existing question that precedes the dependent question or step
+ *   (no forward references), and question conditions do not depend on each other in a cycle
+ * - step branches go to an existing later step
+ * - option ids used by optionChecked/topRanked/rankedInTop/likertRating/radarRing rules exist on the referenced question
+ * - rules for specific answer shapes refer to a question of a matching type, with existing matrix
+ *   cells and radar rings, a valid regular expression and the min/max bounds they need
+ * - piped answers ({{questionId.part}}) come from an existing earlier question and use a known part
+ * - the open window is valid and the segment quota refers to a radio or checkbox question and its options
+ * @param {Object} definition - The survey definition
+ * @returns {Array} - Array of {path, message} errors (empty when valid)
+ */
+export function validateCrossReferences(definition) {
+  const errors = [];
+  if (!definition || !Array.isArray(definition.steps)) {
+    return errors;
+  }
+
+  const stepIds = new Map();
+  // Per step the range of question orders it holds: { start, end } with end exclusive
+  const stepRanges = [];
+  // Question id -> { question, order, path } where order is the position in the survey
+  const questionsById = new Map();
+  let order = 0;
+
+  definition.steps.forEach((step, stepIndex) => {
+    const stepPath = `steps[${stepIndex}]`;
+    const stepStart = order;
+    if (step.id !== undefined) {
+      if (stepIds.has(step.id)) {
+        errors.push({ path: `${stepPath}.id`, message: `duplicate step id "${step.id}" (also used by ${stepIds.get(step.id)})` });
+      } else {
+        stepIds.set(step.id, stepPath);
+      }
+    }
+
+    (step.questions || []).forEach((question, questionIndex) => {
+      const questionPath = `${stepPath}.questions[${questionIndex}]`;
+      if (question.id === undefined) {
+        return;
+      }
+      if (questionsById.has(question.id)) {
+        errors.push({ path: `${questionPath}.id`, message: `duplicate question id "${question.id}" (also used by ${questionsById.get(question.id).path})` });
+        return;
+      }
+      questionsById.set(question.id, { question, order: order++, path: questionPath });
+
+      const optionIds = getOptionIds(question) || [];
+      const seenOptions = new Set();
+      optionIds.forEach((optionId, optionIndex) => {
+        if (seenOptions.has(optionId)) {
+          errors.push({ path: `${questionPath}.options[${optionIndex}]`, message: `duplicate option value "${optionId}" in question "${question.id}"` });
+        }
+        seenOptions.add(optionId);
+      });
+    });
+    stepRanges.push({ start: stepStart, end: order });
+  });
+
+  questionsById.forEach(({ question, order: questionOrder, path }) => {
+    errors.push(...validateConditionRules(question.conditions, `${path}.conditions`, `"${question.id}"`, questionOrder, questionsById));
+    errors.push(...validatePlaceholders(getQuestionPlaceholders(question), path, `"${question.id}"`, questionOrder, questionsById));
+  });
+
+  definition.steps.forEach((step, stepIndex) => {
+    const placeholders = [...getPlaceholders(step.title), ...getPlaceholders(step.description)];
+    errors.push(...validatePlaceholders(placeholders, `steps[${stepIndex}]`, `step "${step.id}"`, stepRanges[stepIndex].start, questionsById));
+  });
+
+  errors.push(...validateStepPaths(definition, stepRanges, questionsById));
+
+  findDependencyCycles(buildDependencyGraph(definition)).forEach(cycle => {
+    const first = questionsById.get(cycle[0]);
+    errors.push({ path: first ? `${first.path}.conditions` : 'steps', message: `conditions form a cycle: ${[...cycle].reverse().join(' depends on ')}` });
+  });
+
+  errors.push(...validateAvailability(definition, questionsById));
+
+  return errors;
+}
+
+/**
+ * Collect the rules of a set of conditions, including those in nested groups and negations
+ * @param {Object} node - The conditions or a nested condition node
+ * @param {string} nodePath - Readable path of the node
+ * @param {Array} [found=[]] - Rules found so far
+ * @returns {Array} - Array of { rule, path }
+ */
+function collectConditionRules(node, nodePath, found = []) {
+  if (!node || typeof node !== 'object') {
+    return found;
+  }
+  if (node.not !== undefined) {
+    collectConditionRules(node.not, `${nodePath}.not`, found);
+  } else if (Array.isArray(node.rules)) {
+    node.rules.forEach((rule, ruleIndex) => collectConditionRules(rule, `${nodePath}.rules[${ruleIndex}]`, found));
+  } else if (node.questionId !== undefined) {
+    found.push({ rule: node, path: nodePath });
+  }
+  return found;
+}
+
+/**
+ * Check the placeholders piped into the texts of a question or step
+ * @param {Array} placeholders - The placeholders ({ source, part })
+ * @param {string} textsPath - Readable path of the question or step
+ * @param {string} owner - Description of what the texts belong to, for messages
+ * @param {number} beforeOrder - Piped questions must come before this position in the survey
+ * @param {Map} questionsById - Question id -> { question, order, path }
+ * @returns {Array} - Array of {path, message} errors
+ */
+function validatePlaceholders(placeholders, textsPath, owner, beforeOrder, questionsById) {
+  const errors = [];
+  placeholders.forEach(({ source, part }) => {
+    if (source === PIPING_USER_SOURCE) {
+      if (!part) {
+        errors.push({ path: textsPath, message: `placeholder {{user}} in ${owner} needs a claim, e.g. {{user.name}}` });
+      }
+      return;
+    }
+    const target = questionsById.get(source);
+    if (!target) {
+      errors.push({ path: textsPath, message: `placeholder in ${owner} refers to unknown question "${source}"` });
+    } else if (target.order >= beforeOrder) {
+      errors.push({ path: textsPath, message: `placeholder in ${owner} refers to "${source}", which does not come before it in the survey` });
+    }
+    if (part !== undefined && !Object.values(PIPING_PARTS).includes(part)) {
+      errors.push({ path: textsPath, message: `placeholder {{${source}.${part}}} in ${owner} uses unknown part "${part}" (expected ${Object.values(PIPING_PARTS).join(' or ')})` });
+    }
+  });
+  return errors;
+}
+
+/**
+ * Check the rules of a set of conditions
+ * @param {Object} conditions - The conditions ({ operator, rules } with optionally nested groups and negations)
+ * @param {string} conditionsPath - Readable path of the conditions
+ * @param {string} owner - Description of what the conditions belong to, for messages
+ * @param {number} beforeOrder - Referenced questions must come before this position in the survey
+ * @param {Map} questionsById - Question id -> { question, order, path }
+ * @returns {Array} - Array of {path, message} errors
+ */
+function validateConditionRules(conditions, conditionsPath, owner, beforeOrder, questionsById) {
+  const errors = [];
+  collectConditionRules(conditions, conditionsPath).forEach(({ rule, path: rulePath }) => {
+    const target = questionsById.get(rule.questionId);
+
+    if (!target) {
+      errors.push({ path: rulePath, message: `condition of ${owner} refers to unknown question "${rule.questionId}"` });
+      return;
+    }
+    if (target.order >= beforeOrder) {
+      errors.push({ path: rulePath, message: `condition of ${owner} refers to "${rule.questionId}", which does not come before it in the survey` });
+    }
+
+    errors.push(...validateRuleSettings(rule, target.question, rulePath, owner));
+
+    if (Object.values(OPTION_REFERENCE_TYPES).includes(rule.type)) {
+      const knownOptions = getOptionIds(target.question);
+      const referencedOptions = Array.isArray(rule.optionId) ? rule.optionId : [rule.optionId];
+      if (!knownOptions) {
+        errors.push({ path: rulePath, message: `"${rule.type}" condition of ${owner} refers to "${rule.questionId}", which has no options` });
+        return;
+      }
+      referencedOptions.forEach(optionId => {
+        if (!knownOptions.includes(optionId)) {
+          errors.push({ path: rulePath, message: `condition of ${owner} refers to option "${optionId}", which does not exist in "${rule.questionId}"` });
+        }
+      });
+    }
+  });
+  return errors;
+}
+
+/**
+ * Check the settings of a condition rule that depend on its type: the type of the referenced
+ * question, matrix cells and radar rings, the regular expression and the min/max bounds
+ * @param {Object} rule - The condition rule
+ * @param {Object} question - The referenced question
+ * @param {string} rulePath - Readable path of the rule
+ * @param {string} owner - Description of what the conditions belong to, for messages
+ * @returns {Array} - Array of {path, message} errors
+ */
+function validateRuleSettings(rule, question, rulePath, owner) {
+  const errors = [];
+  const questionTypes = CONDITION_QUESTION_TYPES[rule.type];
+  if (questionTypes && !questionTypes.includes(question.type)) {
+    errors.push({ path: rulePath, message: `"${rule.type}" condition of ${owner} refers to "${rule.questionId}", which is a ${question.type} question (expected ${questionTypes.join(' or ')})` });
+    return errors;
+  }
+
+  switch (rule.type) {
+    case 'count':
+    case 'likertRating':
+      if (rule.min === undefined && rule.max === undefined) {
+        errors.push({ path: rulePath, message: `"${rule.type}" condition of ${owner} needs "min" and/or "max"` });
+      }
+      break;
+    case 'between':
+      if (rule.min === undefined || rule.max === undefined) {
+        errors.push({ path: rulePath, message: `"between" condition of ${owner} needs "min" and "max"` });
+      }
+      break;
+    case 'matches':
+      if (typeof rule.pattern !== 'string') {
+        errors.push({ path: rulePath, message: `"matches" condition of ${owner} needs a "pattern"` });
+        break;
+      }
+      try {
+        new RegExp(rule.pattern, rule.flags || '');
+      } catch (error) {
+        errors.push({ path: `${rulePath}.pattern`, message: `is not a valid regular expression: ${error.message}` });
+      }
+      break;
+    case 'matrixCell': {
+      const matrix = question.matrix || {};
+      if (!(matrix.rows || []).some(row => row.id === rule.rowId)) {
+        errors.push({ path: `${rulePath}.rowId`, message: `refers to row "${rule.rowId}", which does not exist in "${rule.questionId}"` });
+      }
+      if (rule.columnId !== undefined && !(matrix.columns || []).some(column => column.id === rule.columnId)) {
+        errors.push({ path: `${rulePath}.columnId`, message: `refers to column "${rule.columnId}", which does not exist in "${rule.questionId}"` });
+      }
+      break;
+    }
+    case 'radarRing': {
+      const rings = (question.radar && question.radar.variable2 && question.radar.variable2.labels) || [];
+      (Array.isArray(rule.value) ? rule.value : [rule.value]).forEach(ring => {
+        if (!rings.includes(ring)) {
+          errors.push({ path: `${rulePath}.value`, message: `refers to ring "${ring}", which does not exist in "${rule.questionId}"` });
+        }
+      });
+      break;
+    }
+    default:
+      break;
+  }
+  return errors;
+}
+
+/**
+ * Check the step conditions and branches of a survey definition: step conditions may only use
+ * questions of earlier steps, branches questions up to and including their own step, and
+ * branches must go to a later step
+ * @param {Object} definition - The survey definition
+ * @param {Array} stepRanges - Per step the question orders it holds ({ start, end })
+ * @param {Map} questionsById - Question id -> { question, order, path }
+ * @returns {Array} - Array of {path, message} errors
+ */
+function validateStepPaths(definition, stepRanges, questionsById) {
+  const errors = [];
+  const stepIndexes = new Map(definition.steps.map((step, index) => [step.id, index]));
+
+  definition.steps.forEach((step, stepIndex) => {
+    const stepPath = `steps[${stepIndex}]`;
+    const { start, end } = stepRanges[stepIndex];
+    errors.push(...validateConditionRules(step.conditions, `${stepPath}.conditions`, `step "${step.id}"`, start, questionsById));
+
+    (Array.isArray(step.branches) ? step.branches : []).forEach((branch, branchIndex) => {
+      const branchPath = `${stepPath}.branches[${branchIndex}]`;
+      errors.push(...validateConditionRules(branch.conditions, `${branchPath}.conditions`, `a branch of step "${step.id}"`, end, questionsById));
+      if (branch.goTo === undefined) {
+        return;
+      }
+      if (!stepIndexes.has(branch.goTo)) {
+        errors.push({ path: `${branchPath}.goTo`, message: `refers to unknown step "${branch.goTo}"` });
+      } else if (stepIndexes.get(branch.goTo) <= stepIndex) {
+        errors.push({ path: `${branchPath}.goTo`, message: `refers to step "${branch.goTo}", which does not come after step "${step.id}"` });
+      }
+    });
+  });
+  return errors;
+}
+
+/**
+ * Check the open window and quotas of a survey definition
+ * @param {Object} definition - The survey definition
+ * @param {Map} questionsById - Question id -> { question, order, path }
+ * @returns {Array} - Array of {path, message} errors
+ */
+function validateAvailability(definition, questionsById) {
+  const errors = [];
+  const dates = {};
+  ['opensAt', 'closesAt'].forEach(key => {
+    if (definition[key] !== undefined) {
+      dates[key] = new Date(definition[key]);
+      if (Number.isNaN(dates[key].getTime())) {
+        errors.push({ path: key, message: `"${definition[key]}" is not a valid date` });
+      }
+    }
+  });
+  if (dates.opensAt && dates.closesAt && dates.opensAt >= dates.closesAt) {
+    errors.push({ path: 'closesAt', message: 'should be later than opensAt' });
+  }
+
+  const segmentQuota = definition.quotas && definition.quotas.segment;
+  if (segmentQuota && segmentQuota.questionId !== undefined) {
+    const target = questionsById.get(segmentQuota.questionId);
+    if (!target) {
+      errors.push({ path: 'quotas.segment.questionId', message: `refers to unknown question "${segmentQuota.questionId}"` });
+    } else if (target.question.type !== 'radio' && target.question.type !== 'checkbox') {
+      errors.push({ path: 'quotas.segment.questionId', message: `refers to "${segmentQuota.questionId}", which is not a radio or checkbox question` });
+    } else {
+      const knownOptions = getOptionIds(target.question) || [];
+      Object.keys(segmentQuota.limits || {}).forEach(optionId => {
+        if (!knownOptions.includes(optionId)) {
+          errors.push({ path: `quotas.segment.limits.${optionId}`, message: `option "${optionId}" does not exist in "${segmentQuota.questionId}"` });
+        }
+      });
+    }
+  }
+  return errors;
+}
+
+/**
+ * Validate a survey definition: schema validation followed by cross-reference checks
+ * @param {Object} definition - The survey definition
+ * @param {Object|null} schema - The parsed JSON schema; schema checks are skipped when null
+ * @returns {Object} - { valid: boolean, errors: Array<{path, message}> }
+ */
+export function validateSurveyDefinition(definition, schema) {
+  const errors = [
+    ...(schema ? validateAgainstSchema(definition, schema) : []),
+    ...validateCrossReferences(definition)
+  ];
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
@@ -9,6 +9,10 @@
 import * as surveyData from './surveyData.js';
 import { renderQuestionsForStep } from './questionRenderers.js';
 import * as surveyNavigation from './surveyNavigation.js';
+import { QUEUE_EVENTS } from './submissionQueue.js';
+import { checkAvailability, getScheduleStatus, isSegmentQuotaStep, AVAILABILITY_STATUS, QUOTA_KINDS } from './surveyAvailability.js';
+import { buildReceipt } from './surveyReceipt.js';
+import { renderReceipt } from './surveyReceiptView.js';
 
 // Import extended renderers for complex question types
 import { renderLikert, renderRangeSlider, renderMatrix2D } from './questionRenderersExtended.js';
@@ -17,7 +21,9 @@ import { renderLikert, renderRangeSlider, renderMatrix2D } from './questionRende
 const ELEMENT_IDS = {
   surveySection: 'survey-section',
   questionsContainer: 'survey-questions-container',
-  progressBar: 'survey-progress-bar'
+  progressBar: 'survey-progress-bar',
+  surveyDescription: 'survey-description',
+  validationReport: 'survey-validation-report'
 };
 
 // Constants for default survey
@@ -36,12 +42,13 @@ const surveyState = {
 /**
  * Initialize the survey wizard
  * @param {string} surveyPath - Path to the survey definition JSON
+ * @param {Object} [defaults={}] - Settings from the survey catalog, overridden by the definition
  * @returns {Promise<boolean>} - Whether initialization was successful
  */
-export async function initSurveyWizard(surveyPath = DEFAULT_SURVEY.path) {
+export async function initSurveyWizard(surveyPath = DEFAULT_SURVEY.path, defaults = {}) {
   try {
     // Try to load the survey definition
-    const surveyD = await surveyData.loadSurveyDefinition(surveyPath);
+    const surveyD = await surveyData.loadSurveyDefinition(surveyPath, defaults);
     // initialize survey description
     const surveyDescription = document.getElementById('survey-description');
     if (surveyDescription) {
@@ -61,12 +68,13 @@ export async function initSurveyWizard(surveyPath = DEFAULT_SURVEY.path) {
       return false;
     }
     
-    // Initialize navigation with submit handler
+    // Initialize navigation with submit handler and the availability check between steps
     surveyNavigation.initNavigation(
       surveySection,
       questionsContainer,
       progressBar,
-      handleSurveySubmit
+      handleSurveySubmit,
+      checkStepAvailability
     );
     
     // Register custom renderers
@@ -78,15 +86,290 @@ export async function initSurveyWizard(surveyPath = DEFAULT_SURVEY.path) {
     return true;
   } catch (error) {
     console.error('Failed to initialize survey wizard:', error);
+    if (error.validationErrors) {
+      showValidationReport(error.message, error.validationErrors);
+    }
     return false;
   }
 }
 
 /**
- * Show the survey wizard to the user
- * @returns {boolean} - Whether showing was successful
+ * Show a readable report of the problems found in the survey definition
+ * @param {string} summary - Summary line describing the failure
+ * @param {Array} errors - Array of {path, message} validation errors
+ */
+function showValidationReport(summary, errors) {
+  let report = document.getElementById(ELEMENT_IDS.validationReport);
+  if (!report) {
+    report = document.createElement('div');
+    report.id = ELEMENT_IDS.validationReport;
+    report.className = 'survey-validation-report';
+
+    // Place the report where the survey description would normally be shown
+    const surveyDescription = document.getElementById(ELEMENT_IDS.surveyDescription);
+    if (surveyDescription && surveyDescription.parentElement) {
+      surveyDescription.style.display = 'none';
+      surveyDescription.parentElement.appendChild(report);
+    } else {
+      document.body.appendChild(report);
+    }
+  }
+
+  report.innerHTML = '';
+
+  const heading = document.createElement('h3');
+  heading.textContent = 'This survey cannot be started';
+  report.appendChild(heading);
+
+  const message = document.createElement('p');
+  message.textContent = summary;
+  report.appendChild(message);
+
+  const list = document.createElement('ul');
+  errors.forEach(error => {
+    const item = document.createElement('li');
+    const path = document.createElement('code');
+    path.textContent = error.path;
+    item.appendChild(path);
+    item.appendChild(document.createTextNode(` ${error.message}`));
+    list.appendChild(item);
+  });
+  report.appendChild(list);
+}
+
+/**
+ * Reload the saved progress of the user that is currently signed in
+ * (including a newer draft saved on the server) and re-render the current
+ * step if the wizard is visible
+ */
+export async function reloadProgressForCurrentUser() {
+  if (!surveyState.initialized) {
+    return;
+  }
+
+  await surveyData.restoreProgressForCurrentUser();
+
+  if (surveyState.active) {
+    surveyNavigation.loadCurrentStep();
+  }
+}
+
+/**
+ * Format a date of the open window for the participant
+ * @param {Date} date - The date
+ * @returns {string} - The localized date and time
+ */
+function formatAvailabilityDate(date) {
+  return date.toLocaleString(undefined, { dateStyle: 'long', timeStyle: 'short' });
+}
+
+/**
+ * Get the label of an answer to the segment question
+ * @param {string} questionId - The segment question id
+ * @param {string} value - The option value
+ * @returns {string} - The option label, or the value if unknown
+ */
+function getSegmentLabel(questionId, value) {
+  const question = surveyData.getAllSteps()
+    .flatMap(step => step.questions || [])
+    .find(candidate => candidate.id === questionId);
+  const option = question && (question.options || []).find(candidate => candidate.value === value);
+  return option ? option.label : value;
+}
+
+/**
+ * Build the heading and message explaining why the survey cannot be taken
+ * @param {Object} availability - The result of checkAvailability
+ * @returns {Object} - { heading, message }
+ */
+function getUnavailableText(availability) {
+  switch (availability.status) {
+    case AVAILABILITY_STATUS.notOpen:
+      return {
+        heading: 'This survey is not open yet',
+        message: `The survey opens on ${formatAvailabilityDate(availability.opensAt)}. Please come back then.`
+      };
+    case AVAILABILITY_STATUS.closed:
+      return {
+        heading: 'This survey is closed',
+        message: `The survey closed on ${formatAvailabilityDate(availability.closesAt)}. Thank you for your interest.`
+      };
+    default:
+      if (availability.quota.kind === QUOTA_KINDS.segment && availability.quota.value !== null) {
+        const label = getSegmentLabel(availability.quota.questionId, availability.quota.value);
+        return {
+          heading: 'This survey is full',
+          message: `The maximum number of participants for "${label}" has been reached. Thank you for your interest.`
+        };
+      }
+      return {
+        heading: 'This survey is full',
+        message: 'The maximum number of participants has been reached. Thank you for your interest.'
+      };
+  }
+}
+
+/**
+ * Replace the survey with a screen explaining why it cannot be taken
+ * @param {Object} availability - The result of checkAvailability
+ */
+function showUnavailableScreen(availability) {
+  const surveySection = document.getElementById(ELEMENT_IDS.surveySection);
+  const questionsContainer = document.getElementById(ELEMENT_IDS.questionsContainer);
+  if (!surveySection || !questionsContainer) {
+    return;
+  }
+
+  setSurveyChromeVisible(surveySection, false);
+  surveyData.stopDraftAutosave();
+
+  const { heading, message } = getUnavailableText(availability);
+  const container = document.createElement('div');
+  container.className = `survey-unavailable survey-${availability.status}`;
+
+  const headingElement = document.createElement('h2');
+  headingElement.textContent = heading;
+  container.appendChild(headingElement);
+
+  const messageElement = document.createElement('p');
+  messageElement.textContent = message;
+  container.appendChild(messageElement);
+
+  const returnButton = document.createElement('button');
+  returnButton.textContent = 'Return to Home';
+  returnButton.className = 'survey-nav-button';
+  returnButton.addEventListener('click', () => {
+    hideSurveyWizard();
+  });
+  container.appendChild(returnButton);
+
+  questionsContainer.className = 'survey-questions-container';
+  questionsContainer.innerHTML = '';
+  questionsContainer.appendChild(container);
+}
+
+/**
+ * Replace the survey with a screen showing the participant's existing submission,
+ * with the option to edit it when the survey's edit policy allows
+ * @param {Object} submission - The submission
+ */
+function showSubmittedScreen(submission) {
+  const surveySection = document.getElementById(ELEMENT_IDS.surveySection);
+  const questionsContainer = document.getElementById(ELEMENT_IDS.questionsContainer);
+  if (!surveySection || !questionsContainer) {
+    return;
+  }
+
+  setSurveyChromeVisible(surveySection, false);
+  surveyData.stopDraftAutosave();
+
+  const canEdit = surveyData.canEditSubmission();
+  const container = document.createElement('div');
+  container.className = 'survey-unavailable survey-submitted';
+
+  const heading = document.createElement('h2');
+  heading.textContent = 'You have already submitted this survey';
+  container.appendChild(heading);
+
+  const message = document.createElement('p');
+  message.textContent = canEdit
+    ? 'You can look at your answers below, or change them and submit them again.'
+    : 'You can look at your answers below. They can no longer be changed.';
+  container.appendChild(message);
+
+  container.appendChild(createSubmissionDetails(submission));
+
+  if (canEdit) {
+    container.appendChild(createEditButton());
+  }
+
+  const returnButton = document.createElement('button');
+  returnButton.textContent = 'Return to Home';
+  returnButton.className = 'survey-nav-button';
+  returnButton.addEventListener('click', () => {
+    hideSurveyWizard();
+  });
+  container.appendChild(returnButton);
+
+  questionsContainer.className = 'survey-questions-container';
+  questionsContainer.innerHTML = '';
+  questionsContainer.appendChild(container);
+}
+
+/**
+ * Create the button that loads the submitted responses for editing
+ * @returns {HTMLButtonElement} - The edit button
+ */
+function createEditButton() {
+  const editButton = document.createElement('button');
+  editButton.textContent = 'Edit My Answers';
+  editButton.className = 'survey-nav-button';
+  editButton.addEventListener('click', () => {
+    startEditingSubmission();
+  });
+  return editButton;
+}
+
+/**
+ * Load the submitted responses into the wizard and show its first step
+ */
+function startEditingSubmission() {
+  const surveySection = document.getElementById(ELEMENT_IDS.surveySection);
+  if (!surveySection || !surveyData.editExistingSubmission()) {
+    console.error('The submitted responses cannot be edited');
+    return;
+  }
+
+  setSurveyChromeVisible(surveySection, true);
+  const submitError = surveySection.querySelector('.survey-submit-error');
+  if (submitError) {
+    submitError.remove();
+  }
+  surveyNavigation.loadCurrentStep();
+}
+
+/**
+ * Show or hide the navigation and progress bar of the survey
+ * @param {HTMLElement} surveySection - The survey section element
+ * @param {boolean} visible - Whether they should be visible
+ */
+function setSurveyChromeVisible(surveySection, visible) {
+  ['.survey-navigation', '.survey-progress-container'].forEach(selector => {
+    const element = surveySection.querySelector(selector);
+    if (element) {
+      element.style.display = visible ? '' : 'none';
+    }
+  });
+}
+
+/**
+ * Check before moving on from a step whether the survey can still be taken.
+ * The segment quota is checked when leaving the step that holds the segment question.
+ * @param {Object} step - The step the participant is leaving
+ * @returns {Promise<boolean>} - Whether the participant may continue
+ */
+async function checkStepAvailability(step) {
+  // Quotas do not apply to a participant who changes a submitted response
+  if (surveyData.isEditingSubmission()) {
+    return true;
+  }
+  const definition = surveyData.getSurveyDefinition();
+  const availability = isSegmentQuotaStep(definition, step)
+    ? await checkAvailability(definition, surveyData.getAllResponses())
+    : getScheduleStatus(definition);
+  if (availability.status === AVAILABILITY_STATUS.open) {
+    return true;
+  }
+  showUnavailableScreen(availability);
+  return false;
+}
+
+/**
+ * Show the survey wizard to the user, or a screen explaining why the survey
+ * cannot be taken when it is outside its open window or its quota is full
+ * @returns {Promise<boolean>} - Whether the survey was shown
  */
-export function showSurveyWizard() {
+export async function showSurveyWizard() {
   if (!surveyState.initialized) {
     console.error('Survey wizard not initialized');
     return false;
@@ -102,10 +385,32 @@ export function showSurveyWizard() {
   
   // Show the survey section
   surveySection.style.display = 'block';
+
+  // A participant who already submitted gets their submission instead of a new survey;
+  // while editing it the open window and quotas are covered by the edit policy
+  if (!surveyData.isEditingSubmission()) {
+    const submission = await surveyData.getExistingSubmission();
+    if (submission) {
+      showSubmittedScreen(submission);
+      surveyState.active = true;
+      return false;
+    }
+
+    const availability = await checkAvailability(surveyData.getSurveyDefinition(), surveyData.getAllResponses());
+    if (availability.status !== AVAILABILITY_STATUS.open) {
+      showUnavailableScreen(availability);
+      surveyState.active = true;
+      return false;
+    }
+  }
+  setSurveyChromeVisible(surveySection, true);
   
   // Load the current step
   surveyNavigation.loadCurrentStep();
   
+  // Keep a draft on the server so the survey can be finished on another device
+  surveyData.startDraftAutosave();
+  
   // Mark as active
   surveyState.active = true;
   
@@ -122,6 +427,9 @@ export function hideSurveyWizard() {
     surveySection.style.display = 'none';
   }
   
+  // Save pending changes as a draft before autosave stops
+  surveyData.saveDraft().finally(() => surveyData.stopDraftAutosave());
+  
   // Mark as inactive
   surveyState.active = false;
 }
@@ -165,90 +473,35 @@ function handleSurveySubmit(result) {
     const message = document.createElement('p');
     message.textContent = 'Your survey responses have been successfully submitted.';
     
-    // Display submission details if available
-    if (result && result.submittedData) {
-      const submissionDetails = document.createElement('div');
-      submissionDetails.className = 'submission-details';
+    // The submission could not be sent yet and waits in the offline queue
+    if (result && result.queued) {
+      successContainer.classList.add('survey-submit-queued');
+      heading.textContent = 'Thank You - Almost There';
+      message.textContent = 'We could not reach the server, so your responses are saved on this device ' +
+        'and will be sent automatically as soon as the connection is restored. You can close this page ' +
+        'and come back later; please do not clear your browser data until they have been sent.';
       
-      const detailsHeading = document.createElement('h3');
-      detailsHeading.textContent = 'Submission Details';
-      submissionDetails.appendChild(detailsHeading);
-      
-      // Show survey title and timestamp
-      const surveyTitle = document.createElement('p');
-      surveyTitle.innerHTML = `<strong>Survey:</strong> ${result.submittedData.surveyTitle || 'Cloud Survey'}`;
-      submissionDetails.appendChild(surveyTitle);
-      
-      const timestamp = document.createElement('p');
-      timestamp.innerHTML = `<strong>Submitted:</strong> ${new Date(result.submittedData.completedAt).toLocaleString()}`;
-      submissionDetails.appendChild(timestamp);
-      
-      // Add collapsible responses section
-      const responsesToggle = document.createElement('details');
-      const responsesToggleSummary = document.createElement('summary');
-      responsesToggleSummary.textContent = 'View Your Responses';
-      responsesToggle.appendChild(responsesToggleSummary);
-      
-      // Format responses as a list
-      const responsesList = document.createElement('ul');
-      responsesList.className = 'responses-list';
-      
-      if (result.submittedData.responses) {
-        Object.entries(result.submittedData.responses).forEach(([questionId, response]) => {
-          const responseItem = document.createElement('li');
-          responseItem.className = 'response-item';
-          
-          // Try to find the question title from the survey definition
-          let questionTitle = questionId;
-          try {
-            // Use the imported surveyData module instead of accessing it through window
-            const allSteps = surveyData.getAllSteps();
-            if (allSteps) {
-              for (const step of allSteps) {
-                for (const question of step.questions || []) {
-                  if (question.id === questionId) {
-                    questionTitle = question.title;
-                    break;
-                  }
-                }
-              }
-            }
-          } catch (e) {
-            console.error('Error finding question title:', e);
-          }
-          
-          // Format the response value based on its type
-          let responseValue = 'No response';
-          if (response.value !== undefined && response.value !== null) {
-            if (typeof response.value === 'object') {
-              responseValue = JSON.stringify(response.value);
-            } else {
-              responseValue = String(response.value);
-            }
-          }
-          
-          responseItem.innerHTML = `<strong>${questionTitle}:</strong> <span class="response-value">${responseValue}</span>`;
-          
-          // Add comment if present
-          if (response.comment) {
-            const commentElem = document.createElement('div');
-            commentElem.className = 'response-comment';
-            commentElem.innerHTML = `<em>Comment:</em> ${response.comment}`;
-            responseItem.appendChild(commentElem);
-          }
-          
-          responsesList.appendChild(responseItem);
-        });
-      }
-      
-      responsesToggle.appendChild(responsesList);
-      submissionDetails.appendChild(responsesToggle);
-      successContainer.appendChild(submissionDetails);
+      const submissionId = result.submittedData.submissionId;
+      const onSent = (event) => {
+        if (event.detail.submissionId !== submissionId) {
+          return;
+        }
+        window.removeEventListener(QUEUE_EVENTS.sent, onSent);
+        successContainer.classList.remove('survey-submit-queued');
+        heading.textContent = 'Thank You!';
+        message.textContent = 'Your survey responses have been successfully submitted.';
+      };
+      window.addEventListener(QUEUE_EVENTS.sent, onSent);
     }
     
     successContainer.appendChild(heading);
     successContainer.appendChild(message);
     
+    // Display the receipt if the submission is available
+    if (result && result.submittedData) {
+      successContainer.appendChild(createSubmissionDetails(result.submittedData));
+    }
+    
     // Add a return button
     const returnButton = document.createElement('button');
     returnButton.textContent = 'Return to Home';
@@ -257,11 +510,23 @@ function handleSurveySubmit(result) {
       hideSurveyWizard();
     });
     
+    if (surveyData.canEditSubmission()) {
+      successContainer.appendChild(createEditButton());
+    }
     successContainer.appendChild(returnButton);
     questionsContainer.appendChild(successContainer);
   }
 }
 
+/**
+ * Create the receipt of a submission: reference, time and a read-only review of the answers
+ * @param {Object} submittedData - The submission
+ * @returns {HTMLElement} - The receipt element
+ */
+function createSubmissionDetails(submittedData) {
+  return renderReceipt(buildReceipt(surveyData.getSurveyDefinition(), submittedData));
+}
+
 /**
  * Reset the survey to its initial state
  */
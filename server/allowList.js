@@ -0,0 +1,172 @@
+/**
+ * Allow-list evaluation for the authorizer function.
+ *
+ * The allow-list file is either a plain array of entries, or an object with a
+ * "rules" array. Entries are strings or rule objects:
+ *
+ *   "lucas.jellema@amis.nl"                       allow one address
+ *   "*@amis.nl"                                   allow a whole domain (* matches anything)
+ *   "!former.colleague@amis.nl"                   deny an address
+ *   { "email": "*@amis.nl", "reason": "AMIS employees" }
+ *   { "tenant": "<tenant id>", "reason": "Conclusion tenant" }
+ *   { "group": "<group object id>" }
+ *   { "role": "Survey.Participant" }
+ *   { "effect": "deny", "email": "*@competitor.example", "reason": "..." }
+ *
+ * A rule may combine several conditions; all of them must match. Deny rules
+ * take precedence over allow rules. All comparisons are case-insensitive.
+ *
+ * The object form may also hold an "admins" array with entries in the same
+ * format; users matching one of them get the admin role.
+ */
+
+const EFFECTS = {
+    ALLOW: 'allow',
+    DENY: 'deny'
+};
+
+// Prefix that marks a string entry as a deny rule
+const DENY_PREFIX = '!';
+
+/**
+ * Turn a pattern with * wildcards into a case-insensitive regular expression
+ * @param {string} pattern - The pattern, e.g. *@amis.nl
+ * @returns {RegExp} The regular expression matching the whole value
+ */
+function wildcardToRegExp(pattern) {
+    const escaped = pattern
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+    return new RegExp(`^${escaped}$`, 'i');
+}
+
+/**
+ * Normalize a single allow-list entry into a rule object
+ * @param {string|Object} entry - The entry as found in the file
+ * @param {number} index - Position of the entry, used to describe the rule
+ * @returns {Object|null} The rule, or null if the entry is not usable
+ */
+function normalizeRule(entry, index) {
+    let rule = entry;
+    if (typeof entry === 'string') {
+        const deny = entry.startsWith(DENY_PREFIX);
+        rule = {
+            effect: deny ? EFFECTS.DENY : EFFECTS.ALLOW,
+            email: deny ? entry.substring(DENY_PREFIX.length) : entry
+        };
+    }
+
+    if (!rule || typeof rule !== 'object') {
+        console.error(`Ignoring allow-list entry ${index}: not a string or object`);
+        return null;
+    }
+
+    const effect = (rule.effect || EFFECTS.ALLOW).toLowerCase();
+    if (effect !== EFFECTS.ALLOW && effect !== EFFECTS.DENY) {
+        console.error(`Ignoring allow-list entry ${index}: unknown effect "${rule.effect}"`);
+        return null;
+    }
+    if (!rule.email && !rule.tenant && !rule.group && !rule.role) {
+        console.error(`Ignoring allow-list entry ${index}: no email, tenant, group or role`);
+        return null;
+    }
+
+    const description = ['email', 'tenant', 'group', 'role']
+        .filter(key => rule[key])
+        .map(key => `${key}=${rule[key]}`)
+        .join(', ');
+
+    return {
+        effect,
+        email: rule.email ? wildcardToRegExp(rule.email) : null,
+        tenant: rule.tenant ? String(rule.tenant).toLowerCase() : null,
+        group: rule.group ? String(rule.group).toLowerCase() : null,
+        role: rule.role ? String(rule.role).toLowerCase() : null,
+        description: `${effect} ${description}`,
+        reason: rule.reason || null
+    };
+}
+
+/**
+ * Normalize a list of entries into rules, dropping unusable entries
+ * @param {Array} entries - The entries as found in the file
+ * @returns {Array} The rules
+ */
+function normalizeRules(entries) {
+    return entries
+        .map((entry, index) => normalizeRule(entry, index))
+        .filter(rule => rule !== null);
+}
+
+/**
+ * Parse the contents of the allow-list file into rules
+ * @param {Array|Object} data - The parsed allow-list file
+ * @returns {Array} The rules
+ */
+function parseAllowList(data) {
+    return normalizeRules(Array.isArray(data) ? data : (data && data.rules) || []);
+}
+
+/**
+ * Parse the admin entries of the allow-list file into rules
+ * @param {Array|Object} data - The parsed allow-list file
+ * @returns {Array} The admin rules (empty for the plain array format)
+ */
+function parseAdminList(data) {
+    return normalizeRules(!Array.isArray(data) && data && Array.isArray(data.admins) ? data.admins : []);
+}
+
+/**
+ * Get a claim that may hold one value or a list of values as a lowercase list
+ * @param {Object} claims - The token claims
+ * @param {string} name - The claim name
+ * @returns {string[]} The lowercase claim values
+ */
+function getClaimValues(claims, name) {
+    const value = claims[name];
+    if (value === undefined || value === null) {
+        return [];
+    }
+    return (Array.isArray(value) ? value : [value]).map(item => String(item).toLowerCase());
+}
+
+/**
+ * Check whether a rule matches the token claims
+ * @param {Object} rule - The normalized rule
+ * @param {Object} claims - The verified token claims
+ * @returns {boolean} Whether every condition of the rule matches
+ */
+function ruleMatches(rule, claims) {
+    if (rule.email && !(claims.email && rule.email.test(claims.email))) {
+        return false;
+    }
+    if (rule.tenant && !getClaimValues(claims, 'tid').includes(rule.tenant)) {
+        return false;
+    }
+    if (rule.group && !getClaimValues(claims, 'groups').includes(rule.group)) {
+        return false;
+    }
+    if (rule.role && !getClaimValues(claims, 'roles').includes(rule.role)) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Evaluate the rules for a set of token claims
+ * @param {Array} rules - The rules from parseAllowList
+ * @param {Object} claims - The verified token claims
+ * @returns {Object} { allowed: boolean, rule: Object|null } with the deciding rule, if any
+ */
+function evaluateAllowList(rules, claims) {
+    const denyRule = rules.find(rule => rule.effect === EFFECTS.DENY && ruleMatches(rule, claims));
+    if (denyRule) {
+        return { allowed: false, rule: denyRule };
+    }
+
+    const allowRule = rules.find(rule => rule.effect === EFFECTS.ALLOW && ruleMatches(rule, claims));
+    return { allowed: Boolean(allowRule), rule: allowRule || null };
+}
+
+module.exports = { parseAllowList, parseAdminList, evaluateAllowList, getClaimValues, EFFECTS };
@@ -1,82 +1,445 @@
-const fdk = require('@fnproject/fdk');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const https = require('https');
 const fs = require('fs');
 const path = require('path');
+const { parseAllowList, parseAdminList, evaluateAllowList, getClaimValues } = require('./allowList');
 
-let allowedEmails = [];
+// Entra ID tenant and application (client) id of the survey app, see js/authConfig.js.
+// Both can be overridden through function configuration (exposed as environment variables).
+const TENANT_ID = process.env.TENANT_ID || '21429da9-e4ad-45f9-9a6f-cd126a64274b';
+const CLIENT_ID = process.env.CLIENT_ID || 'c0461816-7078-466b-9329-6be5824c82dd';
 
-// Load allowed emails once when the function starts
+const TOKEN_CONFIG = {
+    issuer: process.env.TOKEN_ISSUER || `https://login.microsoftonline.com/${TENANT_ID}/v2.0`,
+    audience: process.env.TOKEN_AUDIENCE || CLIENT_ID,
+    jwksUri: process.env.JWKS_URI || `https://login.microsoftonline.com/${TENANT_ID}/discovery/v2.0/keys`,
+    // Path to a local JWKS file; when set, keys are read from it instead of Entra ID (offline testing)
+    jwksFile: process.env.JWKS_FILE || null,
+    algorithms: ['RS256'],
+    clockTolerance: 60 // seconds
+};
+
+const JWKS_CACHE = {
+    ttl: 24 * 60 * 60 * 1000, // ms, keys are refetched at least daily
+    minRefreshInterval: 5 * 60 * 1000, // ms, limits refetching for unknown key ids
+    timeout: 5000 // ms, for the JWKS request
+};
+
+// Roles emitted in the authorizer context; the scope holds the same values so that
+// API Gateway routes can require a role with an ANY_OF authorization policy
+const ROLES = {
+    PARTICIPANT: 'participant',
+    ADMIN: 'admin'
+};
+
+// Token "roles" claim values (app roles) that grant the admin role, case-insensitive
+const ADMIN_APP_ROLES = (process.env.ADMIN_ROLES || 'admin,superadmin')
+    .split(',')
+    .map(role => role.trim().toLowerCase())
+    .filter(role => role);
+
+// Secret key for the pseudonyms of participants in pseudonymous surveys;
+// it must stay on the server, anyone who knows it can link pseudonyms to accounts
+const PSEUDONYM_SECRET = process.env.PSEUDONYM_SECRET || null;
+
+// Gateway route paths that require the admin role (comma-separated in ADMIN_ROUTE_PATHS).
+// The gateway passes the path of the request to the authorizer as its "path" argument.
+const ADMIN_ROUTE_PATHS = parseRoutePaths(process.env.ADMIN_ROUTE_PATHS || '/speakerpool-admin');
+
+// Results routes of anonymous surveys (comma-separated in ANONYMOUS_ROUTE_PATHS). Requests on
+// these routes get no pseudonym, only a random responseKey that names a new result file.
+const ANONYMOUS_ROUTE_PATHS = parseRoutePaths(process.env.ANONYMOUS_ROUTE_PATHS || '');
+
+// Reasons returned in the context of a rejected request
+const REASONS = {
+    NO_AUTHORIZATION_HEADER: 'no_authorization_header',
+    MALFORMED_TOKEN: 'malformed_token',
+    UNKNOWN_SIGNING_KEY: 'unknown_signing_key',
+    JWKS_UNAVAILABLE: 'jwks_unavailable',
+    INVALID_SIGNATURE: 'invalid_signature',
+    TOKEN_EXPIRED: 'token_expired',
+    TOKEN_NOT_YET_VALID: 'token_not_yet_valid',
+    INVALID_ISSUER: 'invalid_issuer',
+    INVALID_AUDIENCE: 'invalid_audience',
+    INVALID_TOKEN: 'invalid_token',
+    MISSING_EMAIL: 'missing_email',
+    DENIED_BY_RULE: 'denied_by_rule',
+    NOT_ALLOWED: 'not_allowed',
+    ADMIN_REQUIRED: 'admin_required'
+};
+
+let allowListRules = [];
+let adminRules = [];
+
+// Load the allow-list once when the function starts (format described in allowList.js)
 try {
     const allowedEmailsPath = path.join(__dirname, 'allowed_emails.json');
     const data = fs.readFileSync(allowedEmailsPath, 'utf8');
-    allowedEmails = JSON.parse(data);
-    console.log('Allowed emails loaded successfully.');
+    const allowList = JSON.parse(data);
+    allowListRules = parseAllowList(allowList);
+    adminRules = parseAdminList(allowList);
+    console.log(`Allow-list loaded successfully with ${allowListRules.length} rule(s) and ${adminRules.length} admin rule(s).`);
 } catch (err) {
     console.error('Error loading allowed_emails.json:', err);
     // In a real scenario, you might want to exit or handle this more gracefully
-    // For now, the function will proceed with an empty allowedEmails array
+    // For now, the function will proceed with an empty allow-list and deny every request
 }
 
-fdk.handle(async function (input) {
-    const headers = input.headers;
-    const authorizationHeader = headers ? headers['Authorization'] || headers['authorization'] : null;
+// Signing keys by key id, kept for the lifetime of the function container
+const jwksCache = {
+    keys: new Map(),
+    fetchedAt: 0,
+    pending: null
+};
 
-    if (!authorizationHeader) {
-        console.log('No Authorization header found.');
-        return {
-            active: false,
-            context: {
-                message: 'Unauthorized: No Authorization header'
-            }
-        };
+/**
+ * Build an authorizer response that rejects the request
+ * @param {string} reason - One of REASONS
+ * @param {string} message - Human readable explanation
+ * @param {Object} [extraContext={}] - Additional context values
+ * @returns {Object} The authorizer response
+ */
+function deny(reason, message, extraContext = {}) {
+    console.log(`Authorization denied (${reason}): ${message}`);
+    return {
+        active: false,
+        context: {
+            reason,
+            message: `Unauthorized: ${message}`,
+            ...extraContext
+        }
+    };
+}
+
+/**
+ * Describe the allow-list rule that decided a request, for the authorizer context
+ * @param {Object} rule - The rule from evaluateAllowList
+ * @returns {Object} Context values (strings only, as required by API Gateway)
+ */
+function getRuleContext(rule) {
+    const context = { rule: rule.description };
+    if (rule.reason) {
+        context.ruleReason = rule.reason;
     }
+    return context;
+}
 
-    const token = authorizationHeader.startsWith('Bearer ') ? authorizationHeader.substring(7) : authorizationHeader;
+/**
+ * Read a request header, ignoring the case of its name
+ * @param {Object} headers - The request headers
+ * @param {string} name - The header name
+ * @returns {string|undefined} The header value
+ */
+function getHeader(headers, name) {
+    if (!headers) {
+        return undefined;
+    }
+    const key = Object.keys(headers).find(headerName => headerName.toLowerCase() === name.toLowerCase());
+    return key === undefined ? undefined : headers[key];
+}
 
-    try {
-        // In a real scenario, you would verify the token with a public key
-        // For this example, we'll just decode it to get the email
-        const decoded = jwt.decode(token);
-
-        if (!decoded || !decoded.email) {
-            console.log('Token invalid or missing email:', decoded);
-            return {
-                active: false,
-                context: {
-                    message: 'Unauthorized: Invalid token or missing email'
-                }
-            };
-        }
+/**
+ * Parse a comma-separated list of route paths
+ * @param {string} value - The configured list
+ * @returns {string[]} The route paths, without trailing slashes
+ */
+function parseRoutePaths(value) {
+    return value
+        .split(',')
+        .map(routePath => routePath.trim().replace(/\/+$/, ''))
+        .filter(routePath => routePath);
+}
 
-        const userEmail = decoded.email;
-        console.log('Attempting to authorize email:', userEmail);
-
-        if (allowedEmails.includes(userEmail)) {
-            console.log('Authorization successful for:', userEmail);
-            return {
-                active: true,
-                principal: userEmail,
-                context: {
-                    email: userEmail,
-                    message: 'Authorized'
+/**
+ * Check whether a request path falls under one of the given routes
+ * @param {string|undefined} requestPath - The request path passed by the gateway
+ * @param {string[]} routePaths - The route paths
+ * @returns {boolean} True if the request is for one of the routes
+ */
+function isRouteRequest(requestPath, routePaths) {
+    if (typeof requestPath !== 'string') {
+        return false;
+    }
+    const pathOnly = requestPath.split('?')[0];
+    return routePaths.some(routePath => pathOnly === routePath || pathOnly.startsWith(`${routePath}/`));
+}
+
+/**
+ * Determine the role of an authorized user
+ * @param {Object} claims - The verified token claims (email lowercased)
+ * @returns {Object} { role: string, rule: Object|null } with the admin rule that matched, if any
+ */
+function getRole(claims) {
+    if (getClaimValues(claims, 'roles').some(role => ADMIN_APP_ROLES.includes(role))) {
+        return { role: ROLES.ADMIN, rule: null };
+    }
+    const adminDecision = evaluateAllowList(adminRules, claims);
+    if (adminDecision.allowed) {
+        return { role: ROLES.ADMIN, rule: adminDecision.rule };
+    }
+    return { role: ROLES.PARTICIPANT, rule: null };
+}
+
+/**
+ * Compute the pseudonym of a user: an HMAC-SHA256 of the account id with the secret key.
+ * The results route of pseudonymous and anonymous surveys names the result file after it
+ * (${request.auth[pseudonym]}), so file names do not reveal who answered.
+ * @param {Object} claims - The verified token claims
+ * @returns {string|null} The hex encoded pseudonym, or null without a secret or account id
+ */
+function createPseudonym(claims) {
+    const accountId = claims.oid || claims.sub;
+    if (!PSEUDONYM_SECRET || !accountId) {
+        return null;
+    }
+    return crypto.createHmac('sha256', PSEUDONYM_SECRET).update(accountId).digest('hex');
+}
+
+/**
+ * Create an error that carries one of the REASONS
+ * @param {string} reason - One of REASONS
+ * @param {string} message - Error message
+ * @returns {Error} The error
+ */
+function createAuthError(reason, message) {
+    const error = new Error(message);
+    error.reason = reason;
+    return error;
+}
+
+/**
+ * Download a JSON document over HTTPS
+ * @param {string} url - The URL to fetch
+ * @returns {Promise<Object>} The parsed document
+ */
+function fetchJson(url) {
+    return new Promise((resolve, reject) => {
+        const request = https.get(url, { timeout: JWKS_CACHE.timeout }, response => {
+            let body = '';
+            response.setEncoding('utf8');
+            response.on('data', chunk => { body += chunk; });
+            response.on('end', () => {
+                if (response.statusCode !== 200) {
+                    reject(new Error(`Request to ${url} failed with status ${response.statusCode}`));
+                    return;
                 }
-            };
-        } else {
-            console.log('Authorization failed: Email not in allowed list:', userEmail);
-            return {
-                active: false,
-                context: {
-                    message: 'Unauthorized: Email not allowed'
+                try {
+                    resolve(JSON.parse(body));
+                } catch (err) {
+                    reject(err);
                 }
-            };
+            });
+        });
+        request.on('timeout', () => request.destroy(new Error(`Request to ${url} timed out`)));
+        request.on('error', reject);
+    });
+}
+
+/**
+ * Read the JSON Web Key Set, from the configured local file or from Entra ID
+ * @returns {Promise<Object>} The key set ({ keys: [...] })
+ */
+async function loadJwks() {
+    if (TOKEN_CONFIG.jwksFile) {
+        const jwksPath = path.resolve(__dirname, TOKEN_CONFIG.jwksFile);
+        return JSON.parse(fs.readFileSync(jwksPath, 'utf8'));
+    }
+    return fetchJson(TOKEN_CONFIG.jwksUri);
+}
+
+/**
+ * Refresh the signing key cache. Concurrent callers share one request.
+ * @returns {Promise<void>}
+ */
+async function refreshJwks() {
+    if (!jwksCache.pending) {
+        jwksCache.pending = loadJwks()
+            .then(jwks => {
+                const keys = new Map();
+                (jwks.keys || []).forEach(jwk => {
+                    if (jwk.kty !== 'RSA' || (jwk.use && jwk.use !== 'sig')) {
+                        return;
+                    }
+                    try {
+                        const publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+                        keys.set(jwk.kid, publicKey.export({ type: 'spki', format: 'pem' }));
+                    } catch (err) {
+                        console.error(`Skipping unusable signing key ${jwk.kid}:`, err.message);
+                    }
+                });
+                jwksCache.keys = keys;
+                jwksCache.fetchedAt = Date.now();
+                console.log(`Loaded ${keys.size} signing key(s).`);
+            })
+            .finally(() => {
+                jwksCache.pending = null;
+            });
+    }
+    return jwksCache.pending;
+}
+
+/**
+ * Get the public key (PEM) for a key id, refreshing the cache when it is stale
+ * or when the key id is unknown (Entra ID rotates its keys)
+ * @param {string} kid - The key id from the token header
+ * @returns {Promise<string>} The public key in PEM format
+ */
+async function getSigningKey(kid) {
+    const age = Date.now() - jwksCache.fetchedAt;
+    const stale = age > JWKS_CACHE.ttl;
+    const unknownKey = !jwksCache.keys.has(kid) && age > JWKS_CACHE.minRefreshInterval;
+
+    if (stale || unknownKey) {
+        try {
+            await refreshJwks();
+        } catch (err) {
+            console.error('Error loading signing keys:', err);
+            // A stale cache is still better than no cache
+            if (!jwksCache.keys.has(kid)) {
+                throw createAuthError(REASONS.JWKS_UNAVAILABLE, 'Signing keys could not be loaded');
+            }
         }
+    }
+
+    const key = jwksCache.keys.get(kid);
+    if (!key) {
+        throw createAuthError(REASONS.UNKNOWN_SIGNING_KEY, `Token signed with unknown key ${kid}`);
+    }
+    return key;
+}
+
+/**
+ * Map an error thrown by jwt.verify to one of REASONS
+ * @param {Error} err - The verification error
+ * @returns {string} The reason
+ */
+function getVerificationReason(err) {
+    if (err.name === 'TokenExpiredError') {
+        return REASONS.TOKEN_EXPIRED;
+    }
+    if (err.name === 'NotBeforeError') {
+        return REASONS.TOKEN_NOT_YET_VALID;
+    }
+    if (/signature/.test(err.message)) {
+        return REASONS.INVALID_SIGNATURE;
+    }
+    if (/issuer/.test(err.message)) {
+        return REASONS.INVALID_ISSUER;
+    }
+    if (/audience/.test(err.message)) {
+        return REASONS.INVALID_AUDIENCE;
+    }
+    if (/malformed/.test(err.message)) {
+        return REASONS.MALFORMED_TOKEN;
+    }
+    return REASONS.INVALID_TOKEN;
+}
+
+/**
+ * Verify the signature, issuer, audience and lifetime of an ID token
+ * @param {string} token - The raw JWT
+ * @returns {Promise<Object>} The verified token claims
+ */
+async function verifyToken(token) {
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded || !decoded.header || !decoded.header.kid) {
+        throw createAuthError(REASONS.MALFORMED_TOKEN, 'Token is not a signed JWT');
+    }
+
+    const key = await getSigningKey(decoded.header.kid);
+
+    try {
+        return jwt.verify(token, key, {
+            algorithms: TOKEN_CONFIG.algorithms,
+            issuer: TOKEN_CONFIG.issuer,
+            audience: TOKEN_CONFIG.audience,
+            clockTolerance: TOKEN_CONFIG.clockTolerance
+        });
     } catch (err) {
+        throw createAuthError(getVerificationReason(err), err.message);
+    }
+}
+
+/**
+ * Authorize an API Gateway request based on the bearer token
+ * @param {Object} input - The authorizer input from API Gateway (request headers and path)
+ * @returns {Promise<Object>} The authorizer response
+ */
+async function authorize(input) {
+    const headers = input ? input.headers : null;
+    const authorizationHeader = getHeader(headers, 'Authorization');
+
+    if (!authorizationHeader) {
+        return deny(REASONS.NO_AUTHORIZATION_HEADER, 'No Authorization header');
+    }
+
+    const token = authorizationHeader.startsWith('Bearer ') ? authorizationHeader.substring(7) : authorizationHeader;
+
+    let claims;
+    try {
+        claims = await verifyToken(token);
+    } catch (err) {
+        if (err.reason) {
+            return deny(err.reason, err.message);
+        }
         console.error('Error processing token:', err);
-        return {
-            active: false,
-            context: {
-                message: `Unauthorized: Token processing error - ${err.message}`
-            }
-        };
+        return deny(REASONS.INVALID_TOKEN, `Token processing error - ${err.message}`);
+    }
+
+    const userEmail = claims.email ? claims.email.toLowerCase() : null;
+    console.log('Attempting to authorize:', userEmail || claims.oid);
+
+    const normalizedClaims = { ...claims, email: userEmail };
+    const decision = evaluateAllowList(allowListRules, normalizedClaims);
+    const { role, rule: adminRule } = getRole(normalizedClaims);
+
+    // Admins do not need a separate allow rule, but deny rules still apply to them
+    if (!decision.allowed && role === ROLES.ADMIN && !decision.rule) {
+        decision.allowed = true;
+        decision.rule = adminRule;
+    }
+
+    if (!decision.allowed) {
+        if (decision.rule) {
+            return deny(REASONS.DENIED_BY_RULE, 'Access denied', getRuleContext(decision.rule));
+        }
+        if (!userEmail) {
+            return deny(REASONS.MISSING_EMAIL, 'Token has no email claim');
+        }
+        return deny(REASONS.NOT_ALLOWED, 'Email not allowed');
     }
-});
\ No newline at end of file
+
+    if (isRouteRequest(input.path, ADMIN_ROUTE_PATHS) && role !== ROLES.ADMIN) {
+        return deny(REASONS.ADMIN_REQUIRED, 'Admin role required');
+    }
+
+    // Tenant, group and role rules can admit users without an email claim
+    const principal = userEmail || claims.oid || claims.sub;
+    // Anonymous results must not be linkable to the account, not even through the pseudonym
+    const anonymous = isRouteRequest(input.path, ANONYMOUS_ROUTE_PATHS);
+    const pseudonym = anonymous ? null : createPseudonym(claims);
+    console.log(`Authorization successful for ${principal} as ${role}`);
+    return {
+        active: true,
+        principal,
+        scope: role === ROLES.ADMIN ? [ROLES.PARTICIPANT, ROLES.ADMIN] : [ROLES.PARTICIPANT],
+        context: {
+            email: userEmail || '',
+            role,
+            message: 'Authorized',
+            ...(pseudonym ? { pseudonym } : {}),
+            ...(anonymous ? { responseKey: crypto.randomUUID() } : {}),
+            ...(decision.rule ? getRuleContext(decision.rule) : { rule: 'admin app role' })
+        }
+    };
+}
+
+// Exported for testing with self-signed tokens (set JWKS_FILE, TOKEN_ISSUER and TOKEN_AUDIENCE), see test/func.test.js
+module.exports = { authorize, verifyToken, REASONS, ROLES };
+
+if (require.main === module) {
+    // Required here so the tests can load the authorizer without the Fn runtime
+    const fdk = require('@fnproject/fdk');
+    fdk.handle(authorize);
+}
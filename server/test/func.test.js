@@ -0,0 +1,166 @@
+/**
+ * Tests for the authorizer function with self-signed tokens.
+ *
+ * A key pair is generated for the test run and its public key is written to a
+ * local JWKS file; JWKS_FILE, TOKEN_ISSUER and TOKEN_AUDIENCE point the
+ * authorizer at it before func.js is loaded, with PSEUDONYM_SECRET for the
+ * pseudonyms and ANONYMOUS_ROUTE_PATHS for an anonymous results route. The
+ * allow-list is the allowed_emails.json file next to func.js.
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+
+const TEST_TOKEN = {
+    issuer: 'https://login.example.test/tenant/v2.0',
+    audience: 'survey-app-test',
+    kid: 'test-key',
+    pseudonymSecret: 'test-pseudonym-secret'
+};
+
+// An address on the allow-list in allowed_emails.json
+const ALLOWED_EMAIL = 'user1@example.com';
+
+const signingKeys = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const otherKeys = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+const jwksDir = fs.mkdtempSync(path.join(os.tmpdir(), 'authorizer-test-'));
+const jwksFile = path.join(jwksDir, 'jwks.json');
+fs.writeFileSync(jwksFile, JSON.stringify({
+    keys: [{ ...signingKeys.publicKey.export({ format: 'jwk' }), kid: TEST_TOKEN.kid, use: 'sig', alg: 'RS256' }]
+}));
+
+process.env.JWKS_FILE = jwksFile;
+process.env.TOKEN_ISSUER = TEST_TOKEN.issuer;
+process.env.TOKEN_AUDIENCE = TEST_TOKEN.audience;
+process.env.PSEUDONYM_SECRET = TEST_TOKEN.pseudonymSecret;
+process.env.ANONYMOUS_ROUTE_PATHS = '/anonymous-results';
+
+const { authorize, REASONS, ROLES } = require('../func');
+
+after(() => fs.rmSync(jwksDir, { recursive: true, force: true }));
+
+/**
+ * Sign an ID token for the test issuer and audience
+ * @param {Object} [claims={}] - Claims to add or override
+ * @param {Object} [options={}] - jwt.sign options to add or override, and privateKey
+ * @returns {string} The signed token
+ */
+function createToken(claims = {}, options = {}) {
+    const { privateKey = signingKeys.privateKey, ...signOptions } = options;
+    return jwt.sign({ email: ALLOWED_EMAIL, oid: 'user-oid', ...claims }, privateKey, {
+        algorithm: 'RS256',
+        keyid: TEST_TOKEN.kid,
+        issuer: TEST_TOKEN.issuer,
+        audience: TEST_TOKEN.audience,
+        expiresIn: '1h',
+        ...signOptions
+    });
+}
+
+/**
+ * Build the authorizer input for a request carrying a token
+ * @param {string} token - The token
+ * @param {Object} [headers={}] - Additional request headers
+ * @param {string} [requestPath='/speakerpool-delta'] - The request path passed by the gateway
+ * @returns {Object} The authorizer input
+ */
+function createInput(token, headers = {}, requestPath = '/speakerpool-delta') {
+    return { headers: { Authorization: `Bearer ${token}`, ...headers }, path: requestPath };
+}
+
+test('accepts a valid token of an allowed user as participant', async () => {
+    const result = await authorize(createInput(createToken()));
+    assert.strictEqual(result.active, true);
+    assert.strictEqual(result.principal, ALLOWED_EMAIL);
+    assert.strictEqual(result.context.role, ROLES.PARTICIPANT);
+    assert.deepStrictEqual(result.scope, [ROLES.PARTICIPANT]);
+});
+
+test('rejects a request without an Authorization header', async () => {
+    const result = await authorize({ headers: {} });
+    assert.strictEqual(result.active, false);
+    assert.strictEqual(result.context.reason, REASONS.NO_AUTHORIZATION_HEADER);
+});
+
+test('rejects a token signed with another key', async () => {
+    const result = await authorize(createInput(createToken({}, { privateKey: otherKeys.privateKey })));
+    assert.strictEqual(result.active, false);
+    assert.strictEqual(result.context.reason, REASONS.INVALID_SIGNATURE);
+});
+
+test('rejects a token of another issuer', async () => {
+    const result = await authorize(createInput(createToken({}, { issuer: 'https://login.example.test/other/v2.0' })));
+    assert.strictEqual(result.active, false);
+    assert.strictEqual(result.context.reason, REASONS.INVALID_ISSUER);
+});
+
+test('rejects a token for another audience', async () => {
+    const result = await authorize(createInput(createToken({}, { audience: 'another-app' })));
+    assert.strictEqual(result.active, false);
+    assert.strictEqual(result.context.reason, REASONS.INVALID_AUDIENCE);
+});
+
+test('rejects an expired token', async () => {
+    // Issued two hours ago, valid for one hour (well past the clock tolerance)
+    const issuedAt = Math.floor(Date.now() / 1000) - 2 * 60 * 60;
+    const result = await authorize(createInput(createToken({ iat: issuedAt })));
+    assert.strictEqual(result.active, false);
+    assert.strictEqual(result.context.reason, REASONS.TOKEN_EXPIRED);
+});
+
+test('rejects a token signed with an unknown key id', async () => {
+    const result = await authorize(createInput(createToken({}, { keyid: 'unknown-key' })));
+    assert.strictEqual(result.active, false);
+    assert.strictEqual(result.context.reason, REASONS.UNKNOWN_SIGNING_KEY);
+});
+
+test('rejects a valid token of a user that is not on the allow-list', async () => {
+    const result = await authorize(createInput(createToken({ email: 'stranger@example.org' })));
+    assert.strictEqual(result.active, false);
+    assert.strictEqual(result.context.reason, REASONS.NOT_ALLOWED);
+});
+
+test('denies a participant access to the admin route', async () => {
+    const result = await authorize(createInput(createToken(), {}, '/speakerpool-admin'));
+    assert.strictEqual(result.active, false);
+    assert.strictEqual(result.context.reason, REASONS.ADMIN_REQUIRED);
+});
+
+test('recognises the admin route by its path, whatever the headers', async () => {
+    const withHeader = await authorize(createInput(createToken(), { 'Asset-Path': 'results/' }, '/speakerpool-admin/'));
+    const withoutHeader = await authorize(createInput(createToken(), {}, '/speakerpool-admin?list=1'));
+    assert.strictEqual(withHeader.context.reason, REASONS.ADMIN_REQUIRED);
+    assert.strictEqual(withoutHeader.context.reason, REASONS.ADMIN_REQUIRED);
+});
+
+test('admits a user with an admin app role to the admin route', async () => {
+    const result = await authorize(createInput(createToken({ roles: ['Admin'] }), {}, '/speakerpool-admin'));
+    assert.strictEqual(result.active, true);
+    assert.strictEqual(result.context.role, ROLES.ADMIN);
+    assert.deepStrictEqual(result.scope, [ROLES.PARTICIPANT, ROLES.ADMIN]);
+});
+
+test('adds a pseudonym computed with the secret key from the account id', async () => {
+    const result = await authorize(createInput(createToken({ oid: 'account-1' })));
+    const other = await authorize(createInput(createToken({ oid: 'account-2' })));
+    const expected = crypto.createHmac('sha256', TEST_TOKEN.pseudonymSecret).update('account-1').digest('hex');
+    assert.strictEqual(result.context.pseudonym, expected);
+    assert.notStrictEqual(other.context.pseudonym, expected);
+    assert.notStrictEqual(result.context.pseudonym, crypto.createHash('sha256').update('account-1').digest('hex'));
+});
+
+test('adds no pseudonym but a new random response key on an anonymous results route', async () => {
+    const token = createToken({ oid: 'account-1' });
+    const first = await authorize(createInput(token, {}, '/anonymous-results'));
+    const second = await authorize(createInput(token, {}, '/anonymous-results'));
+    assert.strictEqual(first.active, true);
+    assert.strictEqual(first.context.pseudonym, undefined);
+    assert.match(first.context.responseKey, /^[0-9a-f-]{36}$/);
+    assert.notStrictEqual(first.context.responseKey, second.context.responseKey);
+});
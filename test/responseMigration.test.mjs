@@ -0,0 +1,41 @@
+/**
+ * Tests for migrating responses between survey definition versions.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { migrateResponses } from '../js/responseMigration.js';
+
+const DEFINITION = {
+  version: '2',
+  migrations: [{
+    from: '1',
+    to: '2',
+    renameQuestions: { grid: 'skills' },
+    remapOptions: {
+      skills: { js: 'javascript', novice: 'beginner' },
+      language: { js: 'javascript' }
+    }
+  }],
+  steps: [{
+    questions: [
+      { id: 'skills', type: 'matrix2d', matrix: { rows: [], columns: [] } },
+      { id: 'language', type: 'radio' }
+    ]
+  }]
+};
+
+test('remaps the row and the column of a single matrix cell', () => {
+  const migrated = migrateResponses({ grid: { value: 'js:novice' } }, '1', DEFINITION);
+  assert.deepStrictEqual(migrated, { skills: { value: 'javascript:beginner' } });
+});
+
+test('remaps every cell of a multiple-choice matrix answer', () => {
+  const migrated = migrateResponses({ grid: { value: ['js:expert', 'css:novice'] } }, '1', DEFINITION);
+  assert.deepStrictEqual(migrated.skills.value, ['javascript:expert', 'css:beginner']);
+});
+
+test('remaps plain option values of other questions as a whole', () => {
+  const migrated = migrateResponses({ language: { value: 'js' } }, '1', DEFINITION);
+  assert.strictEqual(migrated.language.value, 'javascript');
+});
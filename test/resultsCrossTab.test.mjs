@@ -0,0 +1,99 @@
+/**
+ * Tests for the suppression of small cells in the cross-tab.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { buildCrossTab } from '../js/resultsCrossTab.js';
+
+const DEFINITION = {
+  id: 'crosstab-test',
+  steps: [{
+    id: 'step',
+    questions: [
+      { id: 'role', type: 'radio', title: 'Role', options: [{ value: 'a', label: 'A' }, { value: 'b', label: 'B' }, { value: 'c', label: 'C' }] },
+      { id: 'answer', type: 'radio', title: 'Answer', options: [{ value: 'x', label: 'X' }, { value: 'y', label: 'Y' }, { value: 'z', label: 'Z' }] }
+    ]
+  }]
+};
+
+/**
+ * Build submissions from counts per segment and answer
+ * @param {Object} counts - Counts keyed by "segment:answer"
+ * @returns {Array} - The submissions
+ */
+function createSubmissions(counts) {
+  const submissions = [];
+  Object.entries(counts).forEach(([key, count]) => {
+    const [role, answer] = key.split(':');
+    for (let i = 0; i < count; i++) {
+      submissions.push({ responses: { role: { value: role }, answer: { value: answer } } });
+    }
+  });
+  return submissions;
+}
+
+/**
+ * Get the count rows of the answer question as arrays of suppressed flags
+ * @param {Object} counts - Counts keyed by "segment:answer"
+ * @returns {Array<Array<boolean>>} - Suppressed flags per row and segment
+ */
+function getSuppressedCells(counts) {
+  const crossTab = buildCrossTab(DEFINITION, createSubmissions(counts), 'role', { minCellSize: 5 });
+  return crossTab.questions[0].rows
+    .filter(row => row.measure === 'count')
+    .map(row => row.cells.map(cell => cell.suppressed));
+}
+
+/**
+ * Count the suppressed cells in a list of flags
+ * @param {Array<boolean>} flags - Suppressed flags
+ * @returns {number} - The number of suppressed cells
+ */
+function countSuppressed(flags) {
+  return flags.filter(Boolean).length;
+}
+
+test('hides a second cell in a row with a single cell below the minimum size', () => {
+  // Only A/Y is small; the Y row total would give it away if it were the only hidden cell
+  const cells = getSuppressedCells({
+    'a:x': 20, 'a:y': 2, 'a:z': 20,
+    'b:x': 20, 'b:y': 8, 'b:z': 20,
+    'c:x': 20, 'c:y': 9, 'c:z': 20
+  });
+  assert.strictEqual(cells[1][0], true);
+  assert.ok(countSuppressed(cells[1]) >= 2, 'the Y row has a second hidden cell');
+});
+
+test('hides a second cell in a column with a single cell below the minimum size', () => {
+  const cells = getSuppressedCells({
+    'a:x': 20, 'a:y': 2, 'a:z': 20,
+    'b:x': 20, 'b:y': 8, 'b:z': 20,
+    'c:x': 20, 'c:y': 9, 'c:z': 20
+  });
+  const columnA = cells.map(row => row[0]);
+  assert.ok(countSuppressed(columnA) >= 2, 'the A column has a second hidden cell');
+});
+
+test('leaves no row or column with exactly one hidden cell', () => {
+  const cells = getSuppressedCells({
+    'a:x': 5, 'a:y': 2, 'a:z': 7,
+    'b:x': 6, 'b:y': 8, 'b:z': 9,
+    'c:x': 7, 'c:y': 6, 'c:z': 5
+  });
+  cells.forEach((row, rowIndex) => {
+    assert.notStrictEqual(countSuppressed(row), 1, `row ${rowIndex}`);
+  });
+  cells[0].forEach((_, columnIndex) => {
+    assert.notStrictEqual(countSuppressed(cells.map(row => row[columnIndex])), 1, `column ${columnIndex}`);
+  });
+});
+
+test('hides nothing when every cell reaches the minimum size', () => {
+  const cells = getSuppressedCells({
+    'a:x': 5, 'a:y': 6, 'a:z': 7,
+    'b:x': 6, 'b:y': 8, 'b:z': 9,
+    'c:x': 7, 'c:y': 6, 'c:z': 5
+  });
+  assert.strictEqual(cells.flat().some(Boolean), false);
+});
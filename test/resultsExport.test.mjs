@@ -0,0 +1,31 @@
+/**
+ * Tests for the CSV and Excel export of answers that start like a formula.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert';
+import { toCsv, toSheetRows } from '../js/resultsExport.js';
+
+const ANSWERS = ['=cmd', '+1+1', '-5', '@x', '\tx'];
+
+test('prefixes formula-like answers in CSV and leaves plain numbers alone', () => {
+  const csv = toCsv({ header: ['a', 'b', 'c', 'd', 'e'], rows: [ANSWERS] });
+  assert.strictEqual(csv, "a,b,c,d,e\r\n'=cmd,'+1+1,-5,'@x,'\tx");
+});
+
+test('quotes a prefixed CSV answer that contains a comma or quote', () => {
+  const csv = toCsv({ header: ['a'], rows: [['=HYPERLINK("http://x","y")']] });
+  assert.strictEqual(csv, 'a\r\n"\'=HYPERLINK(""http://x"",""y"")"');
+});
+
+test('stores formula-like answers as text cells in Excel and keeps other values as they are', () => {
+  assert.deepStrictEqual(toSheetRows([[...ANSWERS, 3, 'plain']]), [[
+    { t: 's', v: '=cmd' },
+    { t: 's', v: '+1+1' },
+    '-5',
+    { t: 's', v: '@x' },
+    { t: 's', v: '\tx' },
+    3,
+    'plain'
+  ]]);
+});